@@ -6,28 +6,42 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
 
-const { authenticateJWT } = require("./middleware/auth");
+const { authenticateJWT, logImpersonation } = require("./middleware/auth");
+const { assignRequestId } = require("./middleware/requestId");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const auditRoutes = require("./routes/audit");
+const searchRoutes = require("./routes/search");
+const wellKnownRoutes = require("./routes/wellKnown");
 
 
 
 const morgan = require("morgan");
 
 const app = express();
+app.set("trust proxy", TRUST_PROXY);
+// filters like salary[gte]=100 need the "extended" (qs) parser, which
+// Express 5 no longer uses by default
+app.set("query parser", "extended");
 
 app.use(cors());
 app.use(express.json());
+app.use(assignRequestId);
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(logImpersonation);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/audit", auditRoutes);
+app.use("/search", searchRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -40,6 +54,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
@@ -9,6 +9,14 @@ test("not found for site 404", async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
+test("trusts no proxy by default (see TRUST_PROXY)", function () {
+  expect(app.get("trust proxy")).toEqual(false);
+});
+
+test("parses bracket filters in query strings", function () {
+  expect(app.get("query parser")).toEqual("extended");
+});
+
 test("not found for site 404 (test stack print)", async function () {
   process.env.NODE_ENV = "";
   const resp = await request(app).get("/no-such-path");
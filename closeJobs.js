@@ -0,0 +1,33 @@
+"use strict";
+
+/** Close job: closes for good the open and paused jobs whose closesAt has
+ * passed, recording each in the audit log. Reads count them as closed
+ * already (see Job); this keeps the database in step.
+ *
+ * Run it hourly, e.g. `npm run close-jobs` from a scheduler.
+ */
+
+const db = require("./db");
+const Job = require("./models/job");
+const Audit = require("./models/audit");
+
+async function closeJobs() {
+  const closed = await Job.closeExpired();
+  for (const { id, fromStatus } of closed) {
+    await Audit.record({
+      action: "update",
+      entityType: "job",
+      entityId: id,
+      before: { status: fromStatus },
+      after: { status: "closed" },
+    });
+  }
+  console.log(`Closed ${closed.length} jobs`);
+}
+
+closeJobs()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
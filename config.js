@@ -2,13 +2,76 @@
 
 /** Shared config for application; can be required many places. */
 
+const fs = require("fs");
+
 require("dotenv").config();
 require("colors");
 
-const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
+// JWT signing keys, as a JSON list of { kid, alg, privateKey, publicKey,
+// retired } (alg RS256 or ES256, keys in PEM), from JWT_KEYS or the file
+// JWT_KEYS_FILE. Tokens are signed with the key JWT_ACTIVE_KID (by default,
+// the first key not retired) and accepted if signed by any key not retired;
+// see helpers/jwtKeys. Without keys, a throwaway key is made at startup,
+// except in production.
+const JWT_KEYS = process.env.JWT_KEYS
+    || (process.env.JWT_KEYS_FILE
+        && fs.readFileSync(process.env.JWT_KEYS_FILE, "utf8"))
+    || null;
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID || null;
 
 const PORT = +process.env.PORT || 3001;
 
+// Which proxies in front of the app to trust for the client's IP (req.ip,
+// used to throttle logins), as for Express's "trust proxy" setting: a number
+// of hops (1 behind Heroku's router), "true", or a list of addresses. By
+// default none, so req.ip is whatever connected.
+function parseTrustProxy(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return +value;
+  return value;
+}
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Lifetimes, in seconds, of JWT access tokens and of the refresh tokens used
+// to get new ones
+const ACCESS_TOKEN_TTL = +process.env.ACCESS_TOKEN_TTL || 15 * 60;
+const REFRESH_TOKEN_TTL = +process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60;
+
+// Lifetime, in seconds, of password reset tokens sent by email
+const PASSWORD_RESET_TTL = +process.env.PASSWORD_RESET_TTL || 60 * 60;
+
+// Lifetime, in seconds, of email verification tokens, and whether users must
+// verify their email before they can apply to jobs
+const EMAIL_VERIFICATION_TTL =
+    +process.env.EMAIL_VERIFICATION_TTL || 24 * 60 * 60;
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === "true";
+
+// Lifetime, in seconds, of the challenge a two-factor login has to answer,
+// and whether admins must use two-factor auth to get admin tokens
+const LOGIN_CHALLENGE_TTL = +process.env.LOGIN_CHALLENGE_TTL || 5 * 60;
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// Seconds an admin's token for impersonating a user stays valid
+const IMPERSONATION_TTL = +process.env.IMPERSONATION_TTL || 10 * 60;
+
+// Login throttling: failed logins are counted over LOGIN_WINDOW seconds.
+// After LOGIN_DELAY_AFTER failures for a username, each retry must wait
+// twice as long as the last (up to LOGIN_MAX_DELAY seconds); after
+// LOCKOUT_AFTER failures the account is locked for LOCKOUT_DURATION seconds.
+// An IP with LOGIN_IP_MAX_FAILURES failures is refused until they age out.
+const LOGIN_WINDOW = +process.env.LOGIN_WINDOW || 15 * 60;
+const LOGIN_DELAY_AFTER = +process.env.LOGIN_DELAY_AFTER || 3;
+const LOGIN_MAX_DELAY = +process.env.LOGIN_MAX_DELAY || 60;
+const LOCKOUT_AFTER = +process.env.LOCKOUT_AFTER || 10;
+const LOCKOUT_DURATION = +process.env.LOCKOUT_DURATION || 15 * 60;
+const LOGIN_IP_MAX_FAILURES = +process.env.LOGIN_IP_MAX_FAILURES || 50;
+
+// Seconds deleted companies, jobs and users are kept, so they can be
+// restored, before purge.js deletes them for good
+const DELETED_RETENTION = +process.env.DELETED_RETENTION || 30 * 24 * 60 * 60;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -22,15 +85,43 @@ function getDatabaseUri() {
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
 console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
+console.log("JWT_ACTIVE_KID:".yellow, JWT_ACTIVE_KID);
 console.log("PORT:".yellow, PORT.toString());
+console.log("TRUST_PROXY:".yellow, TRUST_PROXY);
+console.log("ACCESS_TOKEN_TTL:".yellow, ACCESS_TOKEN_TTL);
+console.log("REFRESH_TOKEN_TTL:".yellow, REFRESH_TOKEN_TTL);
+console.log("PASSWORD_RESET_TTL:".yellow, PASSWORD_RESET_TTL);
+console.log("EMAIL_VERIFICATION_TTL:".yellow, EMAIL_VERIFICATION_TTL);
+console.log("REQUIRE_VERIFIED_EMAIL:".yellow, REQUIRE_VERIFIED_EMAIL);
+console.log("LOGIN_CHALLENGE_TTL:".yellow, LOGIN_CHALLENGE_TTL);
+console.log("IMPERSONATION_TTL:".yellow, IMPERSONATION_TTL);
+console.log("REQUIRE_ADMIN_2FA:".yellow, REQUIRE_ADMIN_2FA);
+console.log("LOCKOUT_AFTER:".yellow, LOCKOUT_AFTER);
+console.log("DELETED_RETENTION:".yellow, DELETED_RETENTION);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
 console.log("Database:".yellow, getDatabaseUri());
 console.log("---");
 
 module.exports = {
-  SECRET_KEY,
+  JWT_KEYS,
+  JWT_ACTIVE_KID,
   PORT,
+  TRUST_PROXY,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  REQUIRE_VERIFIED_EMAIL,
+  LOGIN_CHALLENGE_TTL,
+  IMPERSONATION_TTL,
+  REQUIRE_ADMIN_2FA,
+  LOGIN_WINDOW,
+  LOGIN_DELAY_AFTER,
+  LOGIN_MAX_DELAY,
+  LOCKOUT_AFTER,
+  LOCKOUT_DURATION,
+  LOGIN_IP_MAX_FAILURES,
+  DELETED_RETENTION,
   BCRYPT_WORK_FACTOR,
   getDatabaseUri,
 };
@@ -2,19 +2,22 @@
 
 describe("config can come from env", function () {
   test("works", function() {
-    process.env.SECRET_KEY = "abc";
+    process.env.JWT_ACTIVE_KID = "abc";
     process.env.PORT = "5000";
+    process.env.TRUST_PROXY = "1";
     process.env.DATABASE_URL = "other";
     process.env.NODE_ENV = "other";
 
     const config = require("./config");
-    expect(config.SECRET_KEY).toEqual("abc");
+    expect(config.JWT_ACTIVE_KID).toEqual("abc");
     expect(config.PORT).toEqual(5000);
+    expect(config.TRUST_PROXY).toEqual(1);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
 
-    delete process.env.SECRET_KEY;
+    delete process.env.JWT_ACTIVE_KID;
     delete process.env.PORT;
+    delete process.env.TRUST_PROXY;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
 
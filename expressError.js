@@ -44,10 +44,36 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 423 LOCKED error.
+ *
+ * retryAfter, in seconds, is sent as a Retry-After header.
+ */
+
+class LockedError extends ExpressError {
+  constructor(message = "Locked", retryAfter) {
+    super(message, 423);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter, in seconds, is sent as a Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  LockedError,
+  TooManyRequestsError,
 };
@@ -0,0 +1,20 @@
+const Audit = require("../models/audit");
+
+/** record an audit entry for a change made while handling a request.
+ *
+ * The actor, impersonating admin and request id are taken from res.locals
+ * (see authenticateJWT and assignRequestId); entry is otherwise as for
+ * Audit.record:
+ *   { action, entityType, entityId, before, after }
+ */
+
+async function audit(res, entry) {
+  await Audit.record({
+    ...entry,
+    actor: res.locals.user?.username ?? null,
+    requestId: res.locals.requestId ?? null,
+    impersonator: res.locals.user?.impersonator?.username ?? null,
+  });
+}
+
+module.exports = { audit };
@@ -0,0 +1,151 @@
+"use strict";
+
+const crypto = require("crypto");
+const config = require("../config");
+
+/** Keys for signing and verifying JWTs (see config.JWT_KEYS).
+ *
+ * Each key has a kid, put in the header of the tokens it signs so they can
+ * be checked against the right key. To rotate keys: add the new key, switch
+ * JWT_ACTIVE_KID to it once other services have picked it up from the JWKS
+ * endpoint, then retire the old key once the tokens it signed have expired.
+ * A key that only verifies tokens needs just its publicKey.
+ */
+
+/** algorithms we sign with, and the kind of key each needs */
+const ALGORITHMS = {
+  RS256: { keyType: "rsa" },
+  ES256: { keyType: "ec", namedCurve: "prime256v1" },
+};
+
+let cached = null;
+let devKeySet = null;
+
+
+/** return the key set for the current config:
+ *   { activeKid, keys: { [kid]: { kid, alg, privateKey, publicKey, retired,
+ *                                 jwk } } }
+ *
+ * Parsed keys are kept until config.JWT_KEYS or config.JWT_ACTIVE_KID
+ * changes.
+ */
+
+function getKeySet() {
+  const { JWT_KEYS, JWT_ACTIVE_KID } = config;
+  if (cached?.source !== JWT_KEYS || cached?.activeKid !== JWT_ACTIVE_KID) {
+    const keySet = JWT_KEYS
+        ? loadKeySet(JSON.parse(JWT_KEYS), JWT_ACTIVE_KID)
+        : getDevKeySet();
+    cached = { source: JWT_KEYS, activeKid: JWT_ACTIVE_KID, keySet };
+  }
+  return cached.keySet;
+}
+
+
+/** return a key set from a list of { kid, alg, privateKey, publicKey,
+ * retired }, signing with activeKid or else the first key not retired.
+ *
+ * Throws an Error if a key is malformed, or there's no key to sign with.
+ */
+
+function loadKeySet(specs, activeKid = null) {
+  const keys = {};
+  for (const spec of specs) {
+    if (keys[spec.kid]) throw new Error(`Duplicate JWT key: ${spec.kid}`);
+    keys[spec.kid] = loadKey(spec);
+  }
+
+  activeKid = activeKid
+      || Object.values(keys).find(k => !k.retired && k.privateKey)?.kid;
+  const active = keys[activeKid];
+  if (!active || active.retired || !active.privateKey) {
+    throw new Error(`No JWT key to sign with: ${activeKid}`);
+  }
+
+  return { activeKid, keys };
+}
+
+
+/** return a key from { kid, alg, privateKey, publicKey, retired }, with its
+ * public key in PEM and as a JWK. */
+
+function loadKey({ kid, alg, privateKey, publicKey, retired = false }) {
+  const algorithm = ALGORITHMS[alg];
+  if (!kid || typeof kid !== "string") throw new Error("JWT key without kid");
+  if (!algorithm) throw new Error(`Unsupported JWT key alg for ${kid}: ${alg}`);
+  if (!privateKey && !publicKey) throw new Error(`No key material for ${kid}`);
+
+  const publicKeyObject = crypto.createPublicKey(publicKey || privateKey);
+  const details = publicKeyObject.asymmetricKeyDetails || {};
+  if (publicKeyObject.asymmetricKeyType !== algorithm.keyType
+    || details.namedCurve !== algorithm.namedCurve) {
+    throw new Error(`JWT key ${kid} doesn't fit alg ${alg}`);
+  }
+
+  return {
+    kid,
+    alg,
+    privateKey: privateKey || null,
+    publicKey: publicKeyObject.export({ type: "spki", format: "pem" }),
+    retired: !!retired,
+    jwk: publicKeyObject.export({ format: "jwk" }),
+  };
+}
+
+
+/** return a key set with one throwaway key, made on first use, for when no
+ * keys are configured. Tokens signed with it stop working on restart.
+ *
+ * Throws an Error in production, where keys must be configured.
+ */
+
+function getDevKeySet() {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_KEYS or JWT_KEYS_FILE must be set in production");
+  }
+
+  if (!devKeySet) {
+    const { privateKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "prime256v1",
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+      publicKeyEncoding: { type: "spki", format: "pem" },
+    });
+    devKeySet = loadKeySet([{ kid: "dev", alg: "ES256", privateKey }]);
+  }
+  return devKeySet;
+}
+
+
+/** return { kid, alg, privateKey } for the key to sign tokens with. */
+
+function signingKey() {
+  const { activeKid, keys } = getKeySet();
+  const { kid, alg, privateKey } = keys[activeKid];
+  return { kid, alg, privateKey };
+}
+
+
+/** return { kid, alg, publicKey } for the key with kid, or null if there's no
+ * such key or it's retired. */
+
+function verifyingKey(kid) {
+  const { keys } = getKeySet();
+  const key = Object.hasOwn(keys, kid) ? keys[kid] : null;
+  if (!key || key.retired) return null;
+  return { kid: key.kid, alg: key.alg, publicKey: key.publicKey };
+}
+
+
+/** return the public keys not retired, as a JSON Web Key Set:
+ *   { keys: [{ kid, alg, use, kty, ... }, ...] }
+ */
+
+function jwks() {
+  const keys = Object.values(getKeySet().keys)
+      .filter(k => !k.retired)
+      .map(k => ({ kid: k.kid, alg: k.alg, use: "sig", ...k.jwk }));
+  return { keys };
+}
+
+
+module.exports = { loadKeySet, signingKey, verifyingKey, jwks };
@@ -0,0 +1,105 @@
+"use strict";
+
+const crypto = require("crypto");
+const config = require("../config");
+const { loadKeySet, signingKey, verifyingKey, jwks } = require("./jwtKeys");
+
+function makeKey(kid, alg = "ES256", extra = {}) {
+  const { privateKey, publicKey } = alg === "RS256"
+      ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+      : crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  return {
+    kid,
+    alg,
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    ...extra,
+  };
+}
+
+const k1 = makeKey("k1", "RS256");
+const k2 = makeKey("k2");
+const old = makeKey("old", "ES256", { retired: true });
+
+afterEach(function () {
+  config.JWT_KEYS = null;
+  config.JWT_ACTIVE_KID = null;
+});
+
+describe("loadKeySet", function () {
+  test("works: signs with first key not retired", function () {
+    const keySet = loadKeySet([old, k1, k2]);
+    expect(keySet.activeKid).toEqual("k1");
+    expect(Object.keys(keySet.keys)).toEqual(["old", "k1", "k2"]);
+  });
+
+  test("works: verify-only key needs just its public key", function () {
+    const { privateKey, ...k2Public } = k2;
+    const keySet = loadKeySet([k1, k2Public]);
+    expect(keySet.keys.k2.privateKey).toBeNull();
+  });
+
+  test("fails for an unsigned active key", function () {
+    const { privateKey, ...k2Public } = k2;
+    expect(() => loadKeySet([k1, k2Public], "k2")).toThrow();
+    expect(() => loadKeySet([k1, old], "old")).toThrow();
+    expect(() => loadKeySet([k1], "nope")).toThrow();
+  });
+
+  test("fails for bad keys", function () {
+    expect(() => loadKeySet([{ ...k1, alg: "HS256" }])).toThrow();
+    expect(() => loadKeySet([{ ...k1, alg: "ES256" }])).toThrow();
+    expect(() => loadKeySet([k1, { ...k2, kid: "k1" }])).toThrow();
+    expect(() => loadKeySet([{ kid: "k3", alg: "ES256" }])).toThrow();
+  });
+});
+
+describe("signingKey and verifyingKey", function () {
+  test("works: throwaway key without config", function () {
+    expect(signingKey()).toEqual({
+      kid: "dev",
+      alg: "ES256",
+      privateKey: expect.any(String),
+    });
+  });
+
+  test("works: configured keys", function () {
+    config.JWT_KEYS = JSON.stringify([k1, k2, old]);
+    expect(signingKey().kid).toEqual("k1");
+
+    config.JWT_ACTIVE_KID = "k2";
+    expect(signingKey()).toEqual({
+      kid: "k2",
+      alg: "ES256",
+      privateKey: k2.privateKey,
+    });
+
+    expect(verifyingKey("k1")).toEqual({
+      kid: "k1",
+      alg: "RS256",
+      publicKey: k1.publicKey,
+    });
+    expect(verifyingKey("old")).toBeNull();
+    expect(verifyingKey("nope")).toBeNull();
+    expect(verifyingKey(undefined)).toBeNull();
+  });
+});
+
+describe("jwks", function () {
+  test("works: public keys not retired", function () {
+    config.JWT_KEYS = JSON.stringify([k1, k2, old]);
+    const { keys } = jwks();
+    expect(keys).toEqual([
+      { kid: "k1", alg: "RS256", use: "sig", kty: "RSA", n: expect.any(String), e: "AQAB" },
+      {
+        kid: "k2",
+        alg: "ES256",
+        use: "sig",
+        kty: "EC",
+        crv: "P-256",
+        x: expect.any(String),
+        y: expect.any(String),
+      },
+    ]);
+  });
+});
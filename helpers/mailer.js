@@ -0,0 +1,35 @@
+const db = require("../db");
+
+/** Sending email.
+ *
+ * Mail goes through a transport: any object with an async
+ * send({ to, subject, text }) method. The default transport doesn't send
+ * anything; it stores messages in the mail_outbox table, so they can be read
+ * there in development and tests. Use setTransport to plug in a real one
+ * (like an SMTP client) at startup.
+ */
+
+const outboxTransport = {
+  async send({ to, subject, text }) {
+    await db.query(
+      `INSERT INTO mail_outbox (to_email, subject, body)
+           VALUES ($1, $2, $3)`,
+      [to, subject, text]);
+  },
+};
+
+let transport = outboxTransport;
+
+/** use `newTransport` for all mail sent from now on. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** send message { to, subject, text } through the current transport. */
+
+async function sendMail(message) {
+  await transport.send(message);
+}
+
+module.exports = { sendMail, setTransport, outboxTransport };
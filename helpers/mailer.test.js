@@ -0,0 +1,40 @@
+"use strict";
+
+const db = require("../db.js");
+const { sendMail, setTransport, outboxTransport } = require("./mailer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+describe("sendMail", function () {
+  test("works: default transport writes to outbox", async function () {
+    await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    const found = await db.query(
+      "SELECT to_email, subject, body FROM mail_outbox");
+    expect(found.rows).toEqual([
+      { to_email: "u1@email.com", subject: "Hi", body: "Hello" },
+    ]);
+  });
+
+  test("works: pluggable transport", async function () {
+    const sent = [];
+    setTransport({ send: async msg => sent.push(msg) });
+    try {
+      await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    } finally {
+      setTransport(outboxTransport);
+    }
+    expect(sent).toEqual([{ to: "u1@email.com", subject: "Hi", text: "Hello" }]);
+
+    const found = await db.query("SELECT * FROM mail_outbox");
+    expect(found.rows).toEqual([]);
+  });
+});
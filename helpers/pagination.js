@@ -0,0 +1,190 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+/** default and largest number of rows in a page */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+
+/** return an opaque cursor for a list of key values */
+
+function encodeCursor(keys) {
+  return Buffer.from(JSON.stringify(keys)).toString("base64url");
+}
+
+
+/** return the list of key values in cursor, checking it has length values
+ * (null for keys with no value).
+ *
+ * Throws BadRequestError if the cursor wasn't made by encodeCursor for a
+ * list like this.
+ */
+
+function decodeCursor(cursor, length) {
+  let keys;
+  try {
+    keys = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const isKey = k => k === null
+    || typeof k === "string"
+    || typeof k === "number";
+  if (!Array.isArray(keys) || keys.length !== length || !keys.every(isKey)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return keys;
+}
+
+
+/** return the orderBy list (see findPage) for a sort like "-salary,title":
+ * fields by name, descending if prefixed with "-".
+ *
+ * fields maps each field that can be sorted on to its column. tieBreaker
+ * is a field that identifies a row; it's sorted on last, if sort doesn't
+ * have it already, so rows with the same sort values keep their order.
+ *
+ * Throws BadRequestError if a field can't be sorted on, or is repeated.
+ */
+
+function parseSort(sort, fields, tieBreaker) {
+  const orderBy = sort.split(",").map(field => {
+    const desc = field.startsWith("-");
+    const key = desc ? field.slice(1) : field;
+    if (!Object.hasOwn(fields, key)) {
+      throw new BadRequestError(`Can't sort on ${key}`);
+    }
+    return { column: fields[key], key, desc };
+  });
+
+  const keys = orderBy.map(o => o.key);
+  if (new Set(keys).size !== keys.length) {
+    throw new BadRequestError("Can't sort on a field twice");
+  }
+
+  if (!keys.includes(tieBreaker)) {
+    orderBy.push({ column: fields[tieBreaker], key: tieBreaker, desc: false });
+  }
+  return orderBy;
+}
+
+
+/** return SQL for the rows that come after a row with keys after, when
+ * sorted by orderBy (see findPage); placeholders are added to values.
+ *
+ * Rows come after if they have the same values for the first few columns,
+ * and a later value for the next. Nulls sort last.
+ */
+
+function sqlForKeysetAfter(orderBy, after, values) {
+  const laterClauses = [];
+  const sameClauses = [];
+
+  orderBy.forEach(({ column, desc }, i) => {
+    if (after[i] === null) {
+      // nulls sort last, so rows after this one must be null here too
+      sameClauses.push(`${column} IS NULL`);
+      return;
+    }
+
+    values.push(after[i]);
+    const placeholder = `$${values.length}`;
+    laterClauses.push([
+      ...sameClauses,
+      `(${column} ${desc ? "<" : ">"} ${placeholder} OR ${column} IS NULL)`,
+    ].join(" AND "));
+    sameClauses.push(`${column} = ${placeholder}`);
+  });
+
+  if (!laterClauses.length) return "FALSE";
+  return `(${laterClauses.map(c => `(${c})`).join(" OR ")})`;
+}
+
+
+/** Find one page of rows, with keyset pagination.
+ *
+ * query is { select, from, where, values, orderBy }
+ *   select and from are the SQL after SELECT and FROM
+ *   where is a list of SQL conditions to AND together, whose placeholders
+ *     are for values
+ *   orderBy is [{ column, key, desc }, ...]: columns to sort rows on
+ *     (ascending unless desc; nulls last), and the field of each row holding
+ *     that column's value. Together they must identify a row, so every row
+ *     has its place between pages (see parseSort).
+ *
+ * page is { limit, cursor }: limit defaults to DEFAULT_PAGE_SIZE; cursor is
+ * the next from the page before (none for the first page), found with the
+ * same orderBy.
+ *
+ * Returns { rows, next, total }
+ *   where next is the cursor for the following page, or null if this is
+ *   the last one, and total is the number of rows on all pages.
+ *
+ * Throws BadRequestError if limit is over MAX_PAGE_SIZE, or cursor is bad.
+ */
+
+async function findPage(
+  { select, from, where = [], values = [], orderBy },
+  { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  if (limit > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+
+  const whereClause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const countRes = await db.query(
+    `SELECT COUNT(*) AS total
+         FROM ${from}
+         ${whereClause}`,
+    values);
+
+  const pageWhere = [...where];
+  const pageValues = [...values];
+  if (cursor) {
+    const after = decodeCursor(cursor, orderBy.length);
+    pageWhere.push(sqlForKeysetAfter(orderBy, after, pageValues));
+  }
+
+  const pageWhereClause = pageWhere.length
+      ? `WHERE ${pageWhere.join(" AND ")}`
+      : "";
+  let result;
+  try {
+    result = await db.query(
+      `SELECT ${select}
+           FROM ${from}
+           ${pageWhereClause}
+           ORDER BY ${orderBy.map(o =>
+             `${o.column} ${o.desc ? "DESC" : "ASC"} NULLS LAST`).join(", ")}
+           LIMIT $${pageValues.length + 1}`,
+      [...pageValues, limit + 1]);
+  } catch (err) {
+    // a cursor's keys that don't fit their columns are a data exception
+    // (SQLSTATE class 22), like "x" for an integer id
+    if (cursor && err.code?.startsWith("22")) {
+      throw new BadRequestError("Invalid cursor");
+    }
+    throw err;
+  }
+
+  // one row more than the page tells us whether there's a next page
+  const rows = result.rows.slice(0, limit);
+  const next = result.rows.length > limit
+      ? encodeCursor(orderBy.map(o => rows[rows.length - 1][o.key]))
+      : null;
+
+  return { rows, next, total: +countRes.rows[0].total };
+}
+
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseSort,
+  sqlForKeysetAfter,
+  findPage,
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const {
+  encodeCursor,
+  decodeCursor,
+  parseSort,
+  sqlForKeysetAfter,
+} = require("./pagination");
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("encodeCursor and decodeCursor", function () {
+  test("works", function () {
+    const cursor = encodeCursor(["C1", "c1"]);
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor, 2)).toEqual(["C1", "c1"]);
+  });
+
+  test("bad request for a malformed cursor", function () {
+    expect(() => decodeCursor("nope", 1)).toThrow(BadRequestError);
+    expect(() => decodeCursor(encodeCursor({ id: 1 }), 1))
+      .toThrow(BadRequestError);
+    expect(() => decodeCursor(encodeCursor([{}]), 1)).toThrow(BadRequestError);
+  });
+
+  test("bad request for a cursor of another length", function () {
+    expect(() => decodeCursor(encodeCursor([1]), 2)).toThrow(BadRequestError);
+  });
+});
+
+describe("parseSort", function () {
+  const fields = { id: "id", title: "title", companyHandle: "company_handle" };
+
+  test("works, adding the tie-breaker", function () {
+    expect(parseSort("-companyHandle,title", fields, "id")).toEqual([
+      { column: "company_handle", key: "companyHandle", desc: true },
+      { column: "title", key: "title", desc: false },
+      { column: "id", key: "id", desc: false },
+    ]);
+  });
+
+  test("works: tie-breaker already in sort", function () {
+    expect(parseSort("-id", fields, "id")).toEqual([
+      { column: "id", key: "id", desc: true },
+    ]);
+  });
+
+  test("bad request for unknown or repeated fields", function () {
+    expect(() => parseSort("salary", fields, "id")).toThrow(BadRequestError);
+    expect(() => parseSort("title,-title", fields, "id"))
+      .toThrow(BadRequestError);
+  });
+});
+
+describe("sqlForKeysetAfter", function () {
+  const orderBy = [
+    { column: "salary", key: "salary", desc: true },
+    { column: "id", key: "id", desc: false },
+  ];
+
+  test("works", function () {
+    const values = ["x"];
+    expect(sqlForKeysetAfter(orderBy, [1000, 7], values)).toEqual(
+      "(((salary < $2 OR salary IS NULL)) OR " +
+      "(salary = $2 AND (id > $3 OR id IS NULL)))");
+    expect(values).toEqual(["x", 1000, 7]);
+  });
+
+  test("works: after a null", function () {
+    const values = [];
+    expect(sqlForKeysetAfter(orderBy, [null, 7], values)).toEqual(
+      "((salary IS NULL AND (id > $1 OR id IS NULL)))");
+    expect(values).toEqual([7]);
+  });
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const { BadRequestError } = require("../expressError");
+
+/** return value, from a query string, as the type schema wants, if it can
+ * be: "12" for an integer or number becomes 12, "true" for a boolean
+ * becomes true, and a single value for an array becomes a list of it.
+ *
+ * Anything else is returned as is, for validation to reject.
+ */
+
+function coerce(value, schema) {
+  if (schema.type === "array") {
+    return [].concat(value).map(v => coerce(v, schema.items || {}));
+  }
+  if (typeof value !== "string") return value;
+
+  switch (schema.type) {
+    case "integer":
+    case "number":
+      return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    case "boolean":
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+/** return query (req.query) with its values coerced to the types in schema,
+ * an object schema (see coerce), once valid.
+ *
+ * Throws BadRequestError, with the validation errors, if not valid.
+ */
+
+function parseQuery(query, schema) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(query)) {
+    parsed[key] = Object.hasOwn(schema.properties, key)
+      ? coerce(value, schema.properties[key])
+      : value;
+  }
+
+  const validator = jsonschema.validate(parsed, schema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+  return parsed;
+}
+
+module.exports = { coerce, parseQuery };
@@ -0,0 +1,53 @@
+"use strict";
+
+const { coerce, parseQuery } = require("./query");
+const { BadRequestError } = require("../expressError");
+
+describe("coerce", function () {
+  test("works: numbers", function () {
+    expect(coerce("12", { type: "integer" })).toEqual(12);
+    expect(coerce("0.5", { type: "number" })).toEqual(0.5);
+    expect(coerce("-3", { type: "number" })).toEqual(-3);
+  });
+
+  test("works: booleans", function () {
+    expect(coerce("true", { type: "boolean" })).toEqual(true);
+    expect(coerce("false", { type: "boolean" })).toEqual(false);
+  });
+
+  test("works: arrays", function () {
+    const schema = { type: "array", items: { type: "integer" } };
+    expect(coerce("1", schema)).toEqual([1]);
+    expect(coerce(["1", "2"], schema)).toEqual([1, 2]);
+  });
+
+  test("leaves what it can't coerce", function () {
+    expect(coerce("lots", { type: "integer" })).toEqual("lots");
+    expect(coerce("1e3", { type: "number" })).toEqual("1e3");
+    expect(coerce("yes", { type: "boolean" })).toEqual("yes");
+    expect(coerce("12", { type: "string" })).toEqual("12");
+  });
+});
+
+describe("parseQuery", function () {
+  const schema = {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      min: { type: "integer", minimum: 0 },
+      open: { type: "boolean" },
+    },
+    additionalProperties: false,
+  };
+
+  test("works", function () {
+    expect(parseQuery({ name: "a", min: "0", open: "false" }, schema))
+      .toEqual({ name: "a", min: 0, open: false });
+  });
+
+  test("bad request if invalid", function () {
+    expect(() => parseQuery({ min: "-1" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ open: "maybe" }, schema)).toThrow(BadRequestError);
+    expect(() => parseQuery({ color: "red" }, schema)).toThrow(BadRequestError);
+  });
+});
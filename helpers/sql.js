@@ -1,4 +1,5 @@
 const { BadRequestError } = require("../expressError");
+const { coerce } = require("./query");
 
 /** Function that helps create parts of SQL query strings with placeholders,
  * and an array with values corresponding to each placeholder;
@@ -50,4 +51,152 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+/** SQL for each operator a filter can use, given its column and placeholder */
+const FILTER_OPERATORS = {
+  eq: (column, placeholder) => `${column} = ${placeholder}`,
+  gte: (column, placeholder) => `${column} >= ${placeholder}`,
+  lte: (column, placeholder) => `${column} <= ${placeholder}`,
+  in: (column, placeholder) => `${column} = ANY(${placeholder})`,
+  like: (column, placeholder) => `${column} ILIKE ${placeholder}`,
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "a boolean",
+};
+
+/** return value, for the filter called name, as the type in spec.
+ *
+ * Throws BadRequestError if it isn't one, or is out of spec's range.
+ */
+
+function filterValue(name, value, spec) {
+  const coerced = coerce(value, { type: spec.type });
+  const valid = spec.type === "integer"
+    ? Number.isInteger(coerced)
+    : spec.type === "number"
+      ? Number.isFinite(coerced)
+      : typeof coerced === spec.type;
+  if (!valid) throw new BadRequestError(`${name} must be ${TYPE_NAMES[spec.type]}`);
+
+  if (spec.minimum !== undefined && coerced < spec.minimum) {
+    throw new BadRequestError(`${name} must be at least ${spec.minimum}`);
+  }
+  if (spec.maximum !== undefined && coerced > spec.maximum) {
+    throw new BadRequestError(`${name} must be at most ${spec.maximum}`);
+  }
+  return coerced;
+}
+
+/** return { name, field, op, value } for one filter, checking that op can
+ * be used on field; an "in" value is a list, or a comma-separated string.
+ */
+
+function parseFilter(name, field, op, value, spec) {
+  if (!spec.operators.includes(op)) {
+    throw new BadRequestError(`Can't filter on ${field} with ${op}`);
+  }
+  if (op === "in") {
+    const list = typeof value === "string" ? value.split(",") : [].concat(value);
+    return { name, field, op, value: list.map(v => filterValue(name, v, spec)) };
+  }
+  return { name, field, op, value: filterValue(name, value, spec) };
+}
+
+/** return the list of { name, field, op, value } filters in query, as
+ * parsed from a query string, with fields (see sqlForFilters):
+ *
+ * - field=value, with the field's first operator (or "in", for a field
+ *   given more than once, if it can be)
+ * - field[op]=value, like salary[gte]=50000
+ * - alias=value, like minSalary=50000
+ *
+ * Throws BadRequestError if a filter isn't one of these, or its value isn't
+ * the field's type.
+ */
+
+function parseFilters(query, fields) {
+  const aliases = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    for (const [alias, op] of Object.entries(spec.aliases || {})) {
+      aliases[alias] = { field, op };
+    }
+  }
+
+  const filters = [];
+  for (const [key, given] of Object.entries(query)) {
+    if (given === undefined) continue;
+
+    if (Object.hasOwn(aliases, key)) {
+      const { field, op } = aliases[key];
+      filters.push(parseFilter(key, field, op, given, fields[field]));
+    } else if (!Object.hasOwn(fields, key)) {
+      throw new BadRequestError(`Can't filter on ${key}`);
+    } else if (given !== null && typeof given === "object" && !Array.isArray(given)) {
+      for (const [op, value] of Object.entries(given)) {
+        filters.push(parseFilter(`${key}[${op}]`, key, op, value, fields[key]));
+      }
+    } else {
+      const { operators } = fields[key];
+      const op = Array.isArray(given) && operators.includes("in")
+        ? "in"
+        : operators[0];
+      filters.push(parseFilter(key, key, op, given, fields[key]));
+    }
+  }
+  return filters;
+}
+
+/** Function that makes a WHERE clause, with placeholders, from filters in
+ * query (see parseFilters), and the values for its placeholders.
+ *
+ * fields is the spec of what can be filtered on:
+ *   { [field]: { type, column, operators, aliases, minimum, maximum } }
+ *   type is "string", "integer", "number" or "boolean"
+ *   column is the SQL for the field's value: a column, or an expression
+ *   operators are those of FILTER_OPERATORS the field can use; the first is
+ *     used for field=value
+ *   aliases (optional) are other names for the field with an operator, like
+ *     { minSalary: "gte" }
+ *   minimum and maximum (optional) limit the values it can be filtered on
+ *
+ * "like" values match anywhere, case-insensitively.
+ *
+ * example:
+ * query: { title: "dev", salary: { gte: "50000" } }
+ *
+ * output will be:
+ * {
+ * whereClause: `title ILIKE $1 AND salary >= $2`,
+ * values: ["%dev%", 50000]
+ * }
+ *
+ * whereClause is "" if there are no filters.
+ *
+ * Throws BadRequestError if a filter is bad (see parseFilters), or a
+ * field's gte is more than its lte.
+ */
+
+function sqlForFilters(query, fields) {
+  const filters = parseFilters(query, fields);
+
+  for (const low of filters.filter(f => f.op === "gte")) {
+    const high = filters.find(f =>
+      f.op === "lte" && f.field === low.field && f.value < low.value);
+    if (high) {
+      throw new BadRequestError(`${high.name} must not be less than ${low.name}`);
+    }
+  }
+
+  const values = [];
+  const clauses = filters.map(({ field, op, value }) => {
+    values.push(op === "like" ? `%${value}%` : value);
+    return FILTER_OPERATORS[op](fields[field].column, `$${values.length}`);
+  });
+
+  return { whereClause: clauses.join(" AND "), values };
+}
+
+module.exports = { sqlForPartialUpdate, parseFilters, sqlForFilters };
@@ -0,0 +1,116 @@
+"use strict";
+
+const { parseFilters, sqlForFilters } = require("./sql");
+const { BadRequestError } = require("../expressError");
+
+const fields = {
+  title: { type: "string", column: "title", operators: ["like", "eq"] },
+  salary: {
+    type: "integer",
+    column: "salary",
+    operators: ["eq", "gte", "lte"],
+    aliases: { minSalary: "gte", maxSalary: "lte" },
+    minimum: 0,
+  },
+  equity: { type: "number", column: "equity", operators: ["gte"], maximum: 1 },
+  remote: { type: "boolean", column: "(remote IS TRUE)", operators: ["eq"] },
+  handle: { type: "string", column: "company_handle", operators: ["eq", "in"] },
+};
+
+describe("parseFilters", function () {
+  test("works: plain, with operators and aliases", function () {
+    expect(parseFilters({
+      title: "dev",
+      salary: { gte: "10", lte: "20" },
+      maxSalary: "30",
+      remote: "false",
+    }, fields)).toEqual([
+      { name: "title", field: "title", op: "like", value: "dev" },
+      { name: "salary[gte]", field: "salary", op: "gte", value: 10 },
+      { name: "salary[lte]", field: "salary", op: "lte", value: 20 },
+      { name: "maxSalary", field: "salary", op: "lte", value: 30 },
+      { name: "remote", field: "remote", op: "eq", value: false },
+    ]);
+  });
+
+  test("works: in, as a list or comma-separated", function () {
+    expect(parseFilters({ handle: ["c1", "c2"] }, fields)).toEqual([
+      { name: "handle", field: "handle", op: "in", value: ["c1", "c2"] },
+    ]);
+    expect(parseFilters({ handle: { in: "c1,c2" } }, fields)).toEqual([
+      { name: "handle[in]", field: "handle", op: "in", value: ["c1", "c2"] },
+    ]);
+  });
+
+  test("works: 0 and false are filtered on", function () {
+    expect(parseFilters({ minSalary: 0, remote: false }, fields)).toEqual([
+      { name: "minSalary", field: "salary", op: "gte", value: 0 },
+      { name: "remote", field: "remote", op: "eq", value: false },
+    ]);
+  });
+
+  test("skips undefined", function () {
+    expect(parseFilters({ title: undefined }, fields)).toEqual([]);
+  });
+
+  test("bad request for unknown field or operator", function () {
+    expect(() => parseFilters({ color: "red" }, fields))
+      .toThrow("Can't filter on color");
+    expect(() => parseFilters({ salary: { like: "1" } }, fields))
+      .toThrow("Can't filter on salary with like");
+    expect(() => parseFilters({ title: { in: "a,b" } }, fields))
+      .toThrow(BadRequestError);
+  });
+
+  test("bad request for wrong types and out of range", function () {
+    expect(() => parseFilters({ salary: "lots" }, fields))
+      .toThrow("salary must be an integer");
+    expect(() => parseFilters({ salary: "1.5" }, fields))
+      .toThrow("salary must be an integer");
+    expect(() => parseFilters({ equity: { gte: "x" } }, fields))
+      .toThrow("equity[gte] must be a number");
+    expect(() => parseFilters({ remote: "yes" }, fields))
+      .toThrow("remote must be a boolean");
+    expect(() => parseFilters({ title: { like: { a: "b" } } }, fields))
+      .toThrow("title[like] must be a string");
+    expect(() => parseFilters({ minSalary: "-1" }, fields))
+      .toThrow("minSalary must be at least 0");
+    expect(() => parseFilters({ equity: { gte: "2" } }, fields))
+      .toThrow("equity[gte] must be at most 1");
+  });
+});
+
+describe("sqlForFilters", function () {
+  test("works", function () {
+    expect(sqlForFilters({
+      title: "dev",
+      salary: { gte: "50000" },
+      remote: true,
+      handle: { in: "c1,c2" },
+    }, fields)).toEqual({
+      whereClause: "title ILIKE $1 AND salary >= $2 AND (remote IS TRUE) = $3"
+        + " AND company_handle = ANY($4)",
+      values: ["%dev%", 50000, true, ["c1", "c2"]],
+    });
+  });
+
+  test("works: no filters", function () {
+    expect(sqlForFilters({}, fields)).toEqual({ whereClause: "", values: [] });
+  });
+
+  test("values are never put in the SQL", function () {
+    const { whereClause, values } = sqlForFilters(
+      { title: { eq: "'; DROP TABLE jobs; --" } }, fields);
+    expect(whereClause).toEqual("title = $1");
+    expect(values).toEqual(["'; DROP TABLE jobs; --"]);
+  });
+
+  test("bad request for an empty range", function () {
+    expect(() => sqlForFilters({ minSalary: 2, maxSalary: 1 }, fields))
+      .toThrow("maxSalary must not be less than minSalary");
+    expect(() => sqlForFilters({ salary: { gte: "2", lte: "1" } }, fields))
+      .toThrow("salary[lte] must not be less than salary[gte]");
+    expect(sqlForFilters({ minSalary: 1, maxSalary: 1 }, fields).values)
+      .toEqual([1, 1]);
+  });
+});
@@ -1,7 +1,45 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { ACCESS_TOKEN_TTL, IMPERSONATION_TTL } = require("../config");
+const { signingKey, verifyingKey } = require("./jwtKeys");
 
-/** return signed JWT {username, isAdmin} from user data. */
+/** return payload signed as a JWT with the active key (see jwtKeys), whose
+ * kid goes in the token's header.
+ *
+ * options are as for jwt.sign (expiresIn, jwtid, ...).
+ */
+
+function signToken(payload, options = {}) {
+  const { kid, alg, privateKey } = signingKey();
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm: alg,
+    keyid: kid,
+  });
+}
+
+/** return the payload of a JWT, checked against the key named by its kid.
+ *
+ * Throws jwt.JsonWebTokenError if the token is malformed, its key is unknown
+ * or retired, or its signature is bad; jwt.TokenExpiredError if it has
+ * expired.
+ */
+
+function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && verifyingKey(decoded.header.kid);
+  if (!key) throw new jwt.JsonWebTokenError("unknown signing key");
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+/** return signed JWT {username, isAdmin, ver, jti} from user data.
+ *
+ * ver is the user's token version (see User.revokeSessions); jti is a unique
+ * id so a single token can be revoked (see RevokedToken).
+ *
+ * Token expires after ACCESS_TOKEN_TTL seconds.
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +48,62 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
+  };
+
+  return signToken(payload, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/** return signed JWT for an admin to act as user.
+ *
+ * The payload is as for createToken, for user, plus impersonator:
+ * { username, ver } for the admin (so the token stops working if the admin
+ * is logged out everywhere or loses admin rights; see RevokedToken).
+ *
+ * Token expires after IMPERSONATION_TTL seconds.
+ */
+
+function createImpersonationToken(user, admin) {
+  const payload = {
+    username: user.username,
+    isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
+    impersonator: {
+      username: admin.username,
+      ver: admin.ver || 0,
+    },
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return signToken(payload, {
+    expiresIn: IMPERSONATION_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/** return a random, url-safe opaque token (for refresh tokens and the like). */
+
+function createRandomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return sha256 hex digest of an opaque token, for storing in the db.
+ *
+ * Opaque tokens are long and random, so a fast hash is enough and lets us
+ * look them up by hash.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = {
+  signToken,
+  verifyToken,
+  createToken,
+  createImpersonationToken,
+  createRandomToken,
+  hashToken,
+};
@@ -1,36 +1,142 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const {
+  signToken,
+  verifyToken,
+  createToken,
+  createImpersonationToken,
+  createRandomToken,
+  hashToken,
+} = require("./tokens");
+const { ACCESS_TOKEN_TTL, IMPERSONATION_TTL } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
     const token = createToken({ username: "test", is_admin: false });
-    const payload = jwt.verify(token, SECRET_KEY);
+    const payload = verifyToken(token);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
 
   test("works: admin", function () {
     const token = createToken({ username: "test", isAdmin: true });
-    const payload = jwt.verify(token, SECRET_KEY);
+    const payload = verifyToken(token);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      ver: 0,
     });
   });
 
   test("works: default no admin", function () {
     // given the security risk if this didn't work, checking this specifically
     const token = createToken({ username: "test" });
-    const payload = jwt.verify(token, SECRET_KEY);
+    const payload = verifyToken(token);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
+
+  test("works: carries token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = verifyToken(token);
+    expect(payload.ver).toEqual(3);
+  });
+
+  test("works: unique jti", function () {
+    const payload1 = jwt.decode(createToken({ username: "test", isAdmin: false }));
+    const payload2 = jwt.decode(createToken({ username: "test", isAdmin: false }));
+    expect(payload1.jti).not.toEqual(payload2.jti);
+  });
+
+  test("works: expires after ACCESS_TOKEN_TTL", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = verifyToken(token);
+    expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL);
+  });
+});
+
+describe("createImpersonationToken", function () {
+  test("works", function () {
+    const token = createImpersonationToken(
+      { username: "test", isAdmin: false, tokenVersion: 2 },
+      { username: "admin", isAdmin: true, ver: 1 });
+    const payload = verifyToken(token);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      username: "test",
+      isAdmin: false,
+      ver: 2,
+      impersonator: { username: "admin", ver: 1 },
+    });
+  });
+
+  test("works: expires after IMPERSONATION_TTL", function () {
+    const token = createImpersonationToken(
+      { username: "test" }, { username: "admin" });
+    const payload = verifyToken(token);
+    expect(payload.exp - payload.iat).toEqual(IMPERSONATION_TTL);
+  });
+});
+
+describe("verifyToken", function () {
+  test("works", function () {
+    const token = signToken({ username: "test" }, { expiresIn: 60 });
+    expect(verifyToken(token).username).toEqual("test");
+    expect(jwt.decode(token, { complete: true }).header).toEqual({
+      alg: "ES256",
+      typ: "JWT",
+      kid: "dev",
+    });
+  });
+
+  test("fails for an unknown kid, or none", function () {
+    const token = jwt.sign({ username: "test" }, "secret-dev");
+    expect(() => verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+    expect(() => verifyToken("not-a-token")).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test("fails for another algorithm with the same kid", function () {
+    const token = jwt.sign({ username: "test" }, "secret-dev", { keyid: "dev" });
+    expect(() => verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test("fails for an expired token", function () {
+    const token = signToken({
+      username: "test",
+      exp: Math.floor(Date.now() / 1000) - 60,
+    });
+    expect(() => verifyToken(token)).toThrow(jwt.TokenExpiredError);
+  });
+});
+
+describe("createRandomToken", function () {
+  test("works", function () {
+    const token = createRandomToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createRandomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+  });
 });
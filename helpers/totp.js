@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps.
+ *
+ * Codes are 6 digits from HMAC-SHA1 over 30-second time steps. Secrets are
+ * shared with apps as base32 strings.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** return base32 (RFC 4648, no padding) string for a buffer. */
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+/** return buffer for a base32 string; ignores case, spaces and padding. */
+
+function base32Decode(str) {
+  const cleaned = str.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/** return a new random base32 secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** return the time step number for a time in ms (defaults to now). */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** return the code for a base32 secret at a time step (RFC 4226 HOTP). */
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // dynamic truncation: low 4 bits of last byte pick where to read 31 bits
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** check a code against a base32 secret.
+ *
+ * Accepts codes from one step before or after `time`, to allow for clock
+ * drift. Returns the matching time step (so callers can refuse to accept the
+ * same step twice), or null if the code doesn't match.
+ */
+
+function verifyCode(secret, code, time = Date.now()) {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const current = timeStep(time);
+  for (const step of [current - 1, current, current + 1]) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/** return otpauth:// URL for adding a secret to an authenticator app. */
+
+function otpauthUrl(username, secret, issuer = "Jobly") {
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeAt,
+  verifyCode,
+  otpauthUrl,
+};
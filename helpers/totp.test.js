@@ -0,0 +1,68 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeAt,
+  verifyCode,
+  otpauthUrl,
+} = require("./totp");
+
+// RFC 6238 appendix B test secret (SHA1), "12345678901234567890"
+const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("works: round trip", function () {
+    expect(rfcSecret).toEqual("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Decode(rfcSecret).toString()).toEqual("12345678901234567890");
+  });
+
+  test("decode ignores case, spaces and padding", function () {
+    expect(base32Decode("mzxw 6===").toString()).toEqual("foo");
+  });
+
+  test("decode throws on bad characters", function () {
+    expect(() => base32Decode("MZX1")).toThrow();
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("codeAt", function () {
+  test("matches RFC 6238 test vectors", function () {
+    expect(codeAt(rfcSecret, timeStep(59 * 1000))).toEqual("287082");
+    expect(codeAt(rfcSecret, timeStep(1111111109 * 1000))).toEqual("081804");
+    expect(codeAt(rfcSecret, timeStep(1234567890 * 1000))).toEqual("005924");
+    expect(codeAt(rfcSecret, timeStep(20000000000 * 1000))).toEqual("353130");
+  });
+});
+
+describe("verifyCode", function () {
+  const time = 1111111109 * 1000;
+
+  test("works: returns matching step", function () {
+    expect(verifyCode(rfcSecret, "081804", time)).toEqual(timeStep(time));
+  });
+
+  test("works: allows one step of drift", function () {
+    const previous = codeAt(rfcSecret, timeStep(time) - 1);
+    expect(verifyCode(rfcSecret, previous, time)).toEqual(timeStep(time) - 1);
+  });
+
+  test("null for wrong or malformed code", function () {
+    expect(verifyCode(rfcSecret, "000000", time)).toBeNull();
+    expect(verifyCode(rfcSecret, "abc", time)).toBeNull();
+  });
+});
+
+describe("otpauthUrl", function () {
+  test("works", function () {
+    expect(otpauthUrl("u1", "ABC")).toEqual(
+      "otpauth://totp/Jobly%3Au1?secret=ABC&issuer=Jobly" +
+      "&algorithm=SHA1&digits=6&period=30");
+  });
+});
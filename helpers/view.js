@@ -0,0 +1,90 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+/** Sparse fieldsets and embedded relations for reads.
+ *
+ * A view is { fields, include, includeDeleted }, all optional: fields is the
+ * list of fields to return of each record (all of them if not given),
+ * include the list of related records to embed in each, and includeDeleted
+ * whether to find deleted records too (each then has deletedAt), which
+ * models read themselves.
+ *
+ * Each model has a spec of what its views can have:
+ *   { fields: [field, ...],
+ *     relations: { [name]: async rows => [related, ...] } }
+ * where each relation loads what's related to all of rows at once, so a
+ * page of records takes one more query per relation, not one per record.
+ */
+
+
+/** return the list in a comma-separated query value, like "handle,name";
+ * undefined if there's no value, so the reader's default applies. */
+
+function parseList(value) {
+  if (value === undefined) return undefined;
+  return value.split(",").filter(v => v !== "");
+}
+
+
+/** return the view in query values { fields, include, includeDeleted }
+ * (see parseList) */
+
+function parseView({ fields, include, includeDeleted }) {
+  return {
+    fields: parseList(fields),
+    include: parseList(include),
+    includeDeleted: includeDeleted === true,
+  };
+}
+
+
+/** return spec (see above) with only the fields one read can produce:
+ * none of unread (fields other reads make), deletedAt only with
+ * includeDeleted, and rank and snippet only when searching. */
+
+function specForRead(
+  spec, { unread = [], includeDeleted = false, searching = false } = {}) {
+  const skipped = [...unread];
+  if (!includeDeleted) skipped.push("deletedAt");
+  if (!searching) skipped.push("rank", "snippet");
+  return { ...spec, fields: spec.fields.filter(f => !skipped.includes(f)) };
+}
+
+
+/** return rows with only view.fields of each, and the relations in
+ * view.include embedded, as spec allows (see above).
+ *
+ * Relations are loaded for all of rows at once, before they lose the fields
+ * relations are found by.
+ *
+ * Throws BadRequestError if a field or relation isn't in spec.
+ */
+
+async function applyView(rows, { fields, include = [] }, spec) {
+  for (const field of fields || []) {
+    if (!spec.fields.includes(field)) {
+      throw new BadRequestError(`Unknown field: ${field}`);
+    }
+  }
+  for (const relation of include) {
+    if (!Object.hasOwn(spec.relations, relation)) {
+      throw new BadRequestError(`Can't include ${relation}`);
+    }
+  }
+
+  const shown = rows.map(row => fields
+    ? Object.fromEntries(fields
+      .filter(field => Object.hasOwn(row, field))
+      .map(field => [field, row[field]]))
+    : { ...row });
+
+  for (const relation of new Set(include)) {
+    const related = rows.length ? await spec.relations[relation](rows) : [];
+    shown.forEach((row, i) => { row[relation] = related[i]; });
+  }
+  return shown;
+}
+
+
+module.exports = { parseList, parseView, specForRead, applyView };
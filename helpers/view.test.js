@@ -0,0 +1,86 @@
+"use strict";
+
+const { parseList, parseView, specForRead, applyView } = require("./view");
+const { BadRequestError } = require("../expressError");
+
+describe("parseList", function () {
+  test("works", function () {
+    expect(parseList("handle,name")).toEqual(["handle", "name"]);
+    expect(parseList("")).toEqual([]);
+    expect(parseList(undefined)).toBeUndefined();
+  });
+});
+
+describe("parseView", function () {
+  test("works", function () {
+    expect(parseView({ fields: "id", include: undefined }))
+      .toEqual({ fields: ["id"], include: undefined, includeDeleted: false });
+    expect(parseView({ includeDeleted: true }).includeDeleted).toEqual(true);
+  });
+});
+
+describe("specForRead", function () {
+  const spec = {
+    fields: ["id", "count", "deletedAt", "rank", "snippet"],
+    relations: {},
+  };
+
+  test("works", function () {
+    expect(specForRead(spec).fields).toEqual(["id", "count"]);
+    expect(specForRead(spec, { unread: ["count"], includeDeleted: true }).fields)
+      .toEqual(["id", "deletedAt"]);
+    expect(specForRead(spec, { searching: true }).fields)
+      .toEqual(["id", "count", "rank", "snippet"]);
+    expect(spec.fields).toHaveLength(5);
+  });
+});
+
+describe("applyView", function () {
+  const rows = [{ id: 1, title: "a", owner: "o1" }, { id: 2, title: "b", owner: "o2" }];
+  let loads;
+  const spec = {
+    fields: ["id", "title", "owner"],
+    relations: {
+      ownerName: async rs => {
+        loads.push(rs.map(r => r.owner));
+        return rs.map(r => r.owner.toUpperCase());
+      },
+    },
+  };
+
+  beforeEach(function () {
+    loads = [];
+  });
+
+  test("works: everything by default", async function () {
+    expect(await applyView(rows, {}, spec)).toEqual(rows);
+    expect(loads).toEqual([]);
+  });
+
+  test("works: some fields, with a relation loaded once", async function () {
+    const shown = await applyView(
+      rows, { fields: ["title"], include: ["ownerName", "ownerName"] }, spec);
+    expect(shown).toEqual([
+      { title: "a", ownerName: "O1" },
+      { title: "b", ownerName: "O2" },
+    ]);
+    expect(loads).toEqual([["o1", "o2"]]);
+  });
+
+  test("doesn't change rows", async function () {
+    await applyView(rows, { include: ["ownerName"] }, spec);
+    expect(rows[0]).toEqual({ id: 1, title: "a", owner: "o1" });
+  });
+
+  test("doesn't load for no rows", async function () {
+    expect(await applyView([], { include: ["ownerName"] }, spec)).toEqual([]);
+    expect(loads).toEqual([]);
+  });
+
+  test("bad request for unknown field or relation", async function () {
+    await expect(applyView(rows, { fields: ["nope"] }, spec))
+      .rejects.toThrow(BadRequestError);
+    await expect(applyView(rows, { include: ["nope"] }, spec))
+      .rejects.toThrow("Can't include nope");
+  });
+});
@@ -3,9 +3,15 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  deleted_at TIMESTAMPTZ,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')) STORED
 );
 
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,7 +19,14 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  totp_secret TEXT,
+  totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  totp_last_step INTEGER,
+  locked_until TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ
 );
 
 CREATE TABLE jobs (
@@ -22,13 +35,324 @@ CREATE TABLE jobs (
   salary INTEGER CHECK (salary >= 0),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  search_vector TSVECTOR,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('draft', 'open', 'paused', 'closed')),
+  posted_at TIMESTAMPTZ DEFAULT NOW(),
+  closes_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ
 );
 
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+-- Jobs still taking applicants are closed once closes_at passes (see
+-- Job.closeExpired), which looks them up here.
+
+CREATE INDEX jobs_closes_at_idx ON jobs (closes_at)
+  WHERE status IN ('open', 'paused');
+
+-- Companies, jobs and users are deleted by setting deleted_at, which hides
+-- them from reads until restored; rows deleted longer ago than the
+-- retention window are purged for good (see purge.js).
+
+CREATE INDEX companies_deleted_at_idx ON companies (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX jobs_deleted_at_idx ON jobs (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+CREATE INDEX users_deleted_at_idx ON users (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- A job is searched on its title and its company's name, so its
+-- search_vector is kept up to date as either changes.
+
+CREATE FUNCTION jobs_set_search_vector() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', NEW.title), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT name FROM companies WHERE handle = NEW.company_handle), '')), 'B');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector
+  BEFORE INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION jobs_set_search_vector();
+
+CREATE FUNCTION companies_refresh_job_search() RETURNS trigger AS $$
+BEGIN
+  UPDATE jobs SET title = title WHERE company_handle = NEW.handle;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_job_search
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION companies_refresh_job_search();
+
 CREATE TABLE applications (
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'screening', 'interviewing',
+                     'offered', 'accepted', 'rejected', 'withdrawn')),
+  state_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_state_changes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  family_id TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE deleted_users (
+  username VARCHAR(25) PRIMARY KEY,
+  token_version INTEGER NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  to_email TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE login_challenges (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE login_attempts (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  succeeded BOOLEAN NOT NULL,
+  attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX login_attempts_username_idx
+  ON login_attempts (username, attempted_at);
+CREATE INDEX login_attempts_ip_idx
+  ON login_attempts (ip, attempted_at);
+
+CREATE TABLE security_events (
+  id SERIAL PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  username TEXT,
+  ip TEXT,
+  actor TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Roles and what they may do. Every user has the candidate role; admin is
+-- users.is_admin (so isAdmin tokens keep working); others are in user_roles.
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Full access'),
+       ('recruiter', 'Manages companies, jobs and applications'),
+       ('candidate', 'Applies for jobs; every user has this role'),
+       ('auditor', 'Read-only access to users, applications, security events and the audit log');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'companies:write'),
+       ('admin', 'jobs:write'),
+       ('admin', 'users:read'),
+       ('admin', 'users:write'),
+       ('admin', 'roles:write'),
+       ('admin', 'applications:read'),
+       ('admin', 'applications:write'),
+       ('admin', 'security:read'),
+       ('admin', 'members:write'),
+       ('admin', 'audit:read'),
+       ('recruiter', 'companies:write'),
+       ('recruiter', 'jobs:write'),
+       ('recruiter', 'users:read'),
+       ('recruiter', 'applications:read'),
+       ('recruiter', 'applications:write'),
+       ('auditor', 'users:read'),
+       ('auditor', 'applications:read'),
+       ('auditor', 'security:read'),
+       ('auditor', 'audit:read');
+
+CREATE TABLE company_members (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter')),
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[],
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Append-only record of every change made through the API.
+
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor TEXT,
+  action TEXT NOT NULL
+    CHECK (action IN ('create', 'update', 'delete')),
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  request_id TEXT,
+  impersonator TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx ON audit_log (actor);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_change
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- Every change made to a company or job with PATCH, so it can be looked
+-- back on and reverted (see Revision); before and after are the record's
+-- editable fields. Purging the company or job purges its revisions too.
+
+CREATE TABLE revisions (
+  id BIGSERIAL PRIMARY KEY,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  author TEXT,
+  before JSONB NOT NULL,
+  after JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((company_handle IS NULL) <> (job_id IS NULL))
+);
+
+CREATE INDEX revisions_company_handle_idx ON revisions (company_handle);
+CREATE INDEX revisions_job_id_idx ON revisions (job_id);
+
+-- Admins acting as other users: when each session started, and every
+-- request made with it.
+
+CREATE TABLE impersonation_log (
+  id BIGSERIAL PRIMARY KEY,
+  impersonator TEXT NOT NULL,
+  username TEXT NOT NULL,
+  event TEXT NOT NULL
+    CHECK (event IN ('start', 'request')),
+  method TEXT,
+  path TEXT,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX impersonation_log_username_idx ON impersonation_log (username);
+CREATE INDEX impersonation_log_impersonator_idx
+  ON impersonation_log (impersonator);
@@ -3,28 +3,108 @@
 /** Convenience middleware to handle common auth cases in routes. */
 
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { verifyToken } = require("../helpers/tokens");
 const { UnauthorizedError } = require("../expressError");
+const RevokedToken = require("../models/revokedToken");
+const ApiKey = require("../models/apiKey");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
+const Impersonation = require("../models/impersonation");
 
+/** return true if user may use permission as far as their API key goes:
+ * tokens and keys without scopes may use anything (see ApiKey) */
+
+function scopeAllows(user, permission) {
+  return !user.scopes || user.scopes.includes(permission);
+}
+
+/** return the UnauthorizedError for a request that isn't allowed, saying
+ * so if its token expired (see authenticateJWT) */
+
+function unauthorized(res) {
+  return res.locals.tokenExpired
+    ? new UnauthorizedError("Token expired")
+    : new UnauthorizedError();
+}
+
+/** return true if user is an admin logged in with a token; admin-only
+ * routes can't be used with an API key */
+
+function isAdminUser(user) {
+  return user?.isAdmin === true && !user.apiKey;
+}
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it (see verifyToken), and, if valid, store
+ * the token payload on res.locals (this will include the username and
+ * isAdmin field.)
+ *
+ * It's not an error if no token was provided or if the token is not valid;
+ * revoked tokens (see RevokedToken.isRevoked) are treated as not valid.
+ * An expired token sets res.locals.tokenExpired, so routes needing a login
+ * say "Token expired" and clients know to get a new one from
+ * POST /auth/refresh.
+ *
+ * An API key (see ApiKey) can be sent instead of a token, as an X-API-Key
+ * header or "Authorization: ApiKey <key>"; res.locals.user then also has
+ * apiKey (the key's id) and scopes.
  *
- * It's not an error if no token was provided or if the token is not valid.
+ * An admin's impersonation token (see createImpersonationToken) stores the
+ * impersonated user, with impersonator: { username, ver } for the admin.
  */
 
-function authenticateJWT(req, res, next) {
-  try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  const apiKeyHeader = req.headers && req.headers["x-api-key"];
+
+  if (apiKeyHeader || /^ApiKey /i.test(authHeader)) {
+    const key = (apiKeyHeader || authHeader.replace(/^ApiKey /i, "")).trim();
+    try {
+      const user = await ApiKey.authenticate(key);
+      if (user) res.locals.user = user;
+      return next();
+    } catch (err) {
+      return next(err);
     }
+  }
+
+  if (!authHeader) return next();
+
+  const token = authHeader.replace(/^[Bb]earer /, "").trim();
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) res.locals.tokenExpired = true;
+    return next();
+  }
+
+  try {
+    if (!(await RevokedToken.isRevoked(payload))) res.locals.user = payload;
     return next();
   } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware: log each request made by an admin impersonating a user (see
+ * Impersonation), before handling it.
+ */
+
+async function logImpersonation(req, res, next) {
+  const user = res.locals.user;
+  if (!user?.impersonator) return next();
+
+  try {
+    await Impersonation.logRequest(user.impersonator.username, user.username, {
+      method: req.method,
+      path: req.originalUrl,
+      requestId: res.locals.requestId,
+    });
     return next();
+  } catch (err) {
+    return next(err);
   }
 }
 
@@ -35,7 +115,7 @@ function authenticateJWT(req, res, next) {
 
 function ensureLoggedIn(req, res, next) {
   try {
-    if (!res.locals.user) throw new UnauthorizedError();
+    if (!res.locals.user) throw unauthorized(res);
     return next();
   } catch (err) {
     return next(err);
@@ -43,13 +123,32 @@ function ensureLoggedIn(req, res, next) {
 }
 
 
-/** Middleware to use when they must be admins.
+/** Middleware to use when they must be admins, logged in with a token
+ * rather than an API key.
  *
  * If not, raises Unauthorized.
  */
 function ensureAdmin(req, res, next) {
   try {
-    if (res.locals.user?.isAdmin !== true) throw new UnauthorizedError();
+    if (!isAdminUser(res.locals.user)) throw unauthorized(res);
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware to use when only admins may see deleted records, with
+ * ?includeDeleted=true (see parseView).
+ *
+ * If it's given by anyone else, raises Unauthorized.
+ */
+function ensureAdminToIncludeDeleted(req, res, next) {
+  try {
+    if (req.query.includeDeleted === "true"
+      && !isAdminUser(res.locals.user)) {
+      throw unauthorized(res);
+    }
     return next();
   } catch (err) {
     return next(err);
@@ -60,26 +159,37 @@ function ensureAdmin(req, res, next) {
 /** Middleware to use when they must be admins or the same user as the appears in the parameter.
  * 
  * If not, raises Unauthorized.
- * If req.body contains password, unauthorize for admins.
+ * If req.body contains password, unauthorize for admins, for admins
+ * impersonating the user, and for API keys. API keys can't change email
+ * either, since a password reset goes there. Otherwise, API keys need the
+ * users:write scope, if they have scopes.
  */
 function ensureUserOrAdmin(req, res, next) {  // may allow admins to change password
   try {
-    if (!res.locals.user) throw new UnauthorizedError();
+    if (!res.locals.user) throw unauthorized(res);
 
     if (req.body.password) {
       // console.log("there is password in req.body")
       // console.log("res.locals.user.username", res.locals.user.username)
       // console.log("req.params.username", req.params.username)
 
-      if (res.locals.user.username !== req.params.username) {
+      if (res.locals.user.username !== req.params.username
+        || res.locals.user.impersonator
+        || res.locals.user.apiKey) {
         // console.log('hit unequal situation')
-        throw new UnauthorizedError();
+        throw unauthorized(res);
       }
       return next();
     }
     else {
       if (!(res.locals.user.username === req.params.username || res.locals.user.isAdmin === true)) {
-        throw new UnauthorizedError();
+        throw unauthorized(res);
+      }
+      if (req.body.email !== undefined && res.locals.user.apiKey) {
+        throw unauthorized(res);
+      }
+      if (!scopeAllows(res.locals.user, "users:write")) {
+        throw unauthorized(res);
       }
       return next();
     }
@@ -89,10 +199,92 @@ function ensureUserOrAdmin(req, res, next) {  // may allow admins to change pass
 }
 
 
+/** Middleware to use when they must be the same user as appears in the
+ * parameter; admins get no exception.
+ *
+ * If not, raises Unauthorized.
+ */
+function ensureCorrectUser(req, res, next) {
+  try {
+    if (res.locals.user?.username !== req.params.username) {
+      throw unauthorized(res);
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+
+/** Middleware factory: use when they must have a permission from one of
+ * their roles (see Role), e.g. requirePermission("jobs:write").
+ *
+ * With { allowSelf: true }, the same user as appears in the parameter is let
+ * through without the permission, unless their API key's scopes lack it.
+ *
+ * If not, raises Unauthorized.
+ */
+function requirePermission(permission, { allowSelf = false } = {}) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw unauthorized(res);
+      if (allowSelf
+        && user.username === req.params.username
+        && scopeAllows(user, permission)) {
+        return next();
+      }
+
+      const permissions = await Role.permissionsFor(user);
+      if (!permissions.includes(permission)) throw unauthorized(res);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+
+/** Middleware factory: use when they must have a permission (as for
+ * requirePermission) or be a member of the company the request is about
+ * (see CompanyMember).
+ *
+ * companyHandleFor(req) returns, or resolves to, that company's handle.
+ * roles limits which members count; by default, owners and recruiters.
+ * Members using an API key also need permission in its scopes.
+ *
+ * If not, raises Unauthorized.
+ */
+function requirePermissionOrMember(
+  permission, companyHandleFor, { roles = ["owner", "recruiter"] } = {}) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw unauthorized(res);
+
+      const permissions = await Role.permissionsFor(user);
+      if (permissions.includes(permission)) return next();
+      if (!scopeAllows(user, permission)) throw unauthorized(res);
+
+      const handle = await companyHandleFor(req);
+      const role = handle && await CompanyMember.getRole(handle, user.username);
+      if (!roles.includes(role)) throw unauthorized(res);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 
 module.exports = {
   authenticateJWT,
+  logImpersonation,
   ensureLoggedIn,
   ensureAdmin,
-  ensureUserOrAdmin
+  ensureAdminToIncludeDeleted,
+  ensureUserOrAdmin,
+  ensureCorrectUser,
+  requirePermission,
+  requirePermissionOrMember,
 };
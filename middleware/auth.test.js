@@ -6,70 +6,190 @@ const {
   authenticateJWT,
   ensureLoggedIn,
   ensureAdmin,
-  ensureUserOrAdmin
+  ensureAdminToIncludeDeleted,
+  ensureUserOrAdmin,
+  ensureCorrectUser,
+  requirePermission,
+  requirePermissionOrMember,
 } = require("./auth");
 
 
-const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
-const adminJwt = jwt.sign({ username: "testAdmin", isAdmin: true }, SECRET_KEY);
-const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const crypto = require("crypto");
+const { signToken } = require("../helpers/tokens");
+const { signingKey } = require("../helpers/jwtKeys");
+const db = require("../db.js");
+const ApiKey = require("../models/apiKey");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+const testJwt = signToken(
+  { username: "u1", isAdmin: false, ver: 0 }, { jwtid: "jti-u1" });
+const adminJwt = signToken(
+  { username: "u2", isAdmin: true, ver: 0 }, { jwtid: "jti-u2" });
+// signed by another key, claiming to be the active one
+const badJwt = jwt.sign(
+  { username: "u1", isAdmin: false, ver: 0 },
+  crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" }).privateKey
+    .export({ type: "pkcs8", format: "pem" }),
+  { algorithm: "ES256", keyid: signingKey().kid, jwtid: "jti-bad" });
+const noJtiJwt = signToken({ username: "u1", isAdmin: false });
+const expiredJwt = signToken(
+  { username: "u1", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 });
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
 
 
 describe("authenticateJWT", function () {
-  test("works: non-admin via header", function () {
+  test("works: non-admin via header", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${testJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        jti: "jti-u1",
+        username: "u1",
         isAdmin: false,
+        ver: 0,
       },
     });
   });
 
-  test("works: is-admin via header", function () {
+  test("works: is-admin via header", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${adminJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "testAdmin",
+        jti: "jti-u2",
+        username: "u2",
         isAdmin: true,
+        ver: 0,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without jti", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${noJtiJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    expect.assertions(2);
+    await db.query(`
+        INSERT INTO revoked_tokens (jti, username, expires_at)
+        VALUES ('jti-u1', 'u1', NOW() + INTERVAL '1 hour')`);
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: old token version", async function () {
+    expect.assertions(2);
+    await db.query(
+        "UPDATE users SET token_version = 1 WHERE username = 'u1'");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({ tokenExpired: true });
+  });
+
+  test("works: API key via X-API-Key header", async function () {
+    expect.assertions(2);
+    const { id, key } = await ApiKey.create("u1", { name: "script" });
+    const req = { headers: { "x-api-key": key } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({
+      user: { username: "u1", isAdmin: false, apiKey: id, scopes: null },
+    });
+  });
+
+  test("works: API key via authorization header", async function () {
+    expect.assertions(2);
+    const { key } = await ApiKey.create("u1", { name: "script" });
+    const req = { headers: { authorization: `ApiKey ${key}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.username).toEqual("u1");
+  });
+
+  test("works: unknown API key", async function () {
+    expect.assertions(2);
+    const req = { headers: { "x-api-key": "jobly_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -95,6 +215,17 @@ describe("ensureLoggedIn", function () {
     };
     ensureLoggedIn(req, res, next);
   });
+
+  test("unauth if token expired", function () {
+    expect.assertions(2);
+    const req = {};
+    const res = { locals: { tokenExpired: true } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Token expired");
+    };
+    ensureLoggedIn(req, res, next);
+  });
 });
 
 
@@ -118,6 +249,63 @@ describe("ensureAdmin", function () {
     };
     ensureAdmin(req, res, next);
   });
+
+  test("unauth for admin's API key", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: {
+        user: { username: "admin", isAdmin: true, apiKey: 1, scopes: null },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdmin(req, res, next);
+  });
+});
+
+
+describe("ensureAdminToIncludeDeleted", function () {
+  test("works for admin", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: "true" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminToIncludeDeleted(req, res, next);
+  });
+
+  test("works for anyone without includeDeleted", function () {
+    expect.assertions(1);
+    const req = { query: {} };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminToIncludeDeleted(req, res, next);
+  });
+
+  test("works for anyone with includeDeleted=false", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: "false" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureAdminToIncludeDeleted(req, res, next);
+  });
+
+  test("unauth if not admin", function () {
+    expect.assertions(1);
+    const req = { query: { includeDeleted: "true" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureAdminToIncludeDeleted(req, res, next);
+  });
 });
 
 
@@ -185,6 +373,94 @@ describe("ensureUserOrAdmin", function () {
     ensureUserOrAdmin(req, res, next);
   });
 
+  test("works for impersonating admin when no password in body", function () {
+    expect.assertions(1);
+    const req = { body: { firstName: "New" }, params: { username: "test" } };
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          isAdmin: false,
+          impersonator: { username: "admin", ver: 0 },
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureUserOrAdmin(req, res, next);
+  });
+
+  test("unauth for impersonating admin if password in body", function () {
+    expect.assertions(1);
+    const req = { body: { password: "new-password" }, params: { username: "test" } };
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          isAdmin: false,
+          impersonator: { username: "admin", ver: 0 },
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureUserOrAdmin(req, res, next);
+  });
+
+  test("unauth for API key if password in body", function () {
+    expect.assertions(1);
+    const req = { body: { password: "new-password" }, params: { username: "test" } };
+    const res = {
+      locals: {
+        user: { username: "test", isAdmin: false, apiKey: 1, scopes: null },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureUserOrAdmin(req, res, next);
+  });
+
+  test("unauth for API key if email in body", function () {
+    expect.assertions(1);
+    const req = { body: { email: "new@email.com" }, params: { username: "test" } };
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          isAdmin: false,
+          apiKey: 1,
+          scopes: ["users:write"],
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureUserOrAdmin(req, res, next);
+  });
+
+  test("unauth for API key without users:write scope", function () {
+    expect.assertions(1);
+    const req = { body: { firstName: "New" }, params: { username: "test" } };
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          isAdmin: false,
+          apiKey: 1,
+          scopes: ["users:read"],
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureUserOrAdmin(req, res, next);
+  });
+
   test("unauth if neither admin nor user", function () {
     expect.assertions(1);
     const req = {
@@ -201,4 +477,210 @@ describe("ensureUserOrAdmin", function () {
     };
     ensureAdmin(req, res, next);
   });
-});
\ No newline at end of file
+});
+
+
+describe("ensureCorrectUser", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth for admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+
+  test("unauth if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUser(req, res, next);
+  });
+});
+
+
+describe("requirePermission", function () {
+  test("works for admin tokens", async function () {
+    expect.assertions(1);
+    const req = { params: {} };
+    const res = { locals: { user: { username: "u2", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("works with a role that grants it", async function () {
+    expect.assertions(1);
+    await db.query(
+      `INSERT INTO user_roles (username, role) VALUES ('u1', 'recruiter')`);
+    const req = { params: {} };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth for API key without the scope", async function () {
+    expect.assertions(1);
+    const req = { params: {} };
+    const res = {
+      locals: {
+        user: { username: "u2", isAdmin: true, scopes: ["users:read"] },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth without the permission", async function () {
+    expect.assertions(1);
+    await db.query(
+      `INSERT INTO user_roles (username, role) VALUES ('u1', 'auditor')`);
+    const req = { params: {} };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("works for same user with allowSelf", async function () {
+    expect.assertions(1);
+    const req = { params: { username: "u1" } };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("users:read", { allowSelf: true })(req, res, next);
+  });
+
+  test("unauth for same user's API key without the scope", async function () {
+    expect.assertions(1);
+    const req = { params: { username: "u1" } };
+    const res = {
+      locals: {
+        user: { username: "u1", isAdmin: false, apiKey: 1, scopes: ["jobs:write"] },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("users:read", { allowSelf: true })(req, res, next);
+  });
+
+  test("unauth for other user with allowSelf", async function () {
+    expect.assertions(1);
+    const req = { params: { username: "u2" } };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("users:read", { allowSelf: true })(req, res, next);
+  });
+
+  test("unauth if anon", async function () {
+    expect.assertions(1);
+    const req = { params: {} };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+});
+
+
+describe("requirePermissionOrMember", function () {
+  const middleware = requirePermissionOrMember(
+    "jobs:write", req => req.params.handle);
+
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO company_members (company_handle, username, role)
+           VALUES ('c1', 'u1', 'recruiter')`);
+  });
+
+  test("works with the permission", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c2" } };
+    const res = { locals: { user: { username: "u2", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("works for members", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth for members' API keys without the scope", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = {
+      locals: {
+        user: { username: "u1", isAdmin: false, apiKey: 1, scopes: ["users:read"] },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth for members of other companies", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c2" } };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+
+  test("unauth for members without a listed role", async function () {
+    expect.assertions(1);
+    const ownersOnly = requirePermissionOrMember(
+      "companies:write", req => req.params.handle, { roles: ["owner"] });
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "u1", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ownersOnly(req, res, next);
+  });
+
+  test("unauth if anon", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await middleware(req, res, next);
+  });
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+/** Middleware to tag each request with an id. */
+
+const crypto = require("crypto");
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+
+/** Middleware: Assign a request id.
+ *
+ * Uses the X-Request-Id header the client (or a proxy) sent, if it looks
+ * sane, or else a new UUID. The id is stored as res.locals.requestId and
+ * sent back in the X-Request-Id response header, so log lines and audit
+ * entries can be matched up with a request.
+ */
+
+function assignRequestId(req, res, next) {
+  const given = req.headers && req.headers["x-request-id"];
+  const requestId = typeof given === "string" && VALID_REQUEST_ID.test(given)
+    ? given
+    : crypto.randomUUID();
+
+  res.locals.requestId = requestId;
+  res.set("X-Request-Id", requestId);
+  return next();
+}
+
+
+module.exports = { assignRequestId };
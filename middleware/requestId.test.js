@@ -0,0 +1,53 @@
+"use strict";
+
+const { assignRequestId } = require("./requestId");
+
+/** return a fake res that records headers set on it */
+
+function makeRes() {
+  const headers = {};
+  return {
+    locals: {},
+    headers,
+    set(name, value) {
+      headers[name] = value;
+    },
+  };
+}
+
+
+describe("assignRequestId", function () {
+  test("works: new id", function () {
+    expect.assertions(3);
+    const req = { headers: {} };
+    const res = makeRes();
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    assignRequestId(req, res, next);
+    expect(res.locals.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.headers["X-Request-Id"]).toEqual(res.locals.requestId);
+  });
+
+  test("works: uses X-Request-Id header", function () {
+    expect.assertions(2);
+    const req = { headers: { "x-request-id": "abc-123" } };
+    const res = makeRes();
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    assignRequestId(req, res, next);
+    expect(res.locals.requestId).toEqual("abc-123");
+  });
+
+  test("works: ignores odd X-Request-Id header", function () {
+    expect.assertions(2);
+    const req = { headers: { "x-request-id": "<script>" } };
+    const res = makeRes();
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    assignRequestId(req, res, next);
+    expect(res.locals.requestId).not.toEqual("<script>");
+  });
+});
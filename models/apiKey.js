@@ -0,0 +1,183 @@
+"use strict";
+
+const db = require("../db");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const TwoFactor = require("./twoFactor");
+
+const KEY_PREFIX = "jobly_";
+const SHOWN_PREFIX_LENGTH = KEY_PREFIX.length + 6;
+
+/** Related functions for personal API keys.
+ *
+ * API keys let scripts act as a user without logging in. Only their hash is
+ * stored; the start of each key is kept so users can tell them apart.
+ *
+ * A key may be limited to some permissions (scopes, see Role); keys without
+ * scopes get all of their user's permissions. Keys can expire, and can be
+ * revoked at any time.
+ *
+ * With REQUIRE_ADMIN_2FA, admins without two-factor auth can't create keys,
+ * and their keys don't get admin rights (see TwoFactor.adminNeedsSetup).
+ */
+
+class ApiKey {
+  /** Create an API key for user.
+   *
+   * data is { name, scopes, expiresAt }; scopes and expiresAt are optional.
+   *
+   * Returns { id, name, prefix, scopes, createdAt, expiresAt, key }; the key
+   * itself is only returned now.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws ForbiddenError if user is an admin who must set up two-factor
+   * auth first.
+   * Throws BadRequestError if a scope is unknown or expiresAt has passed.
+   **/
+
+  static async create(username, { name, scopes = null, expiresAt = null }) {
+    const user = await ApiKey._checkUser(username);
+    if (await TwoFactor.adminNeedsSetup(user)) {
+      throw new ForbiddenError("Set up two-factor auth before creating API keys");
+    }
+
+    if (scopes) {
+      const knownRes = await db.query(
+        `SELECT DISTINCT permission
+             FROM role_permissions
+             WHERE permission = ANY($1)`,
+        [scopes]);
+      const known = knownRes.rows.map(r => r.permission);
+      const unknown = scopes.filter(s => !known.includes(s));
+      if (unknown.length) {
+        throw new BadRequestError(`Unknown scopes: ${unknown.join(", ")}`);
+      }
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new BadRequestError("expiresAt must be in the future");
+    }
+
+    const key = KEY_PREFIX + createRandomToken();
+    const result = await db.query(
+      `INSERT INTO api_keys
+           (username, name, prefix, key_hash, scopes, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     name,
+                     prefix,
+                     scopes,
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+      [username, name, key.slice(0, SHOWN_PREFIX_LENGTH), hashToken(key),
+        scopes, expiresAt]);
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Return user's API keys, newest first:
+   *   [{ id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt,
+   *      revokedAt }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username) {
+    await ApiKey._checkUser(username);
+
+    const result = await db.query(
+      `SELECT id,
+              name,
+              prefix,
+              scopes,
+              created_at AS "createdAt",
+              expires_at AS "expiresAt",
+              last_used_at AS "lastUsedAt",
+              revoked_at AS "revokedAt"
+           FROM api_keys
+           WHERE username = $1
+           ORDER BY id DESC`,
+      [username]);
+    return result.rows;
+  }
+
+  /** Revoke user's API key with id; returns undefined.
+   *
+   * Throws NotFoundError if user has no such key.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+      `UPDATE api_keys
+           SET revoked_at = COALESCE(revoked_at, NOW())
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+      [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /** Look up the user for an API key, and note that the key was used.
+   *
+   * Returns { username, isAdmin, apiKey, scopes } (apiKey being the key's
+   * id), or null if the key is unknown or revoked.
+   *
+   * Throws UnauthorizedError if the key has expired.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+      `SELECT k.id,
+              k.username,
+              k.scopes,
+              k.expires_at < NOW() AS "isExpired",
+              u.is_admin AS "isAdmin"
+           FROM api_keys AS k
+                  JOIN users AS u ON u.username = k.username
+           WHERE k.key_hash = $1
+             AND k.revoked_at IS NULL
+             AND u.deleted_at IS NULL`,
+      [hashToken(key)]);
+    const found = result.rows[0];
+
+    if (!found) return null;
+    if (found.isExpired) throw new UnauthorizedError("API key expired");
+
+    await db.query(
+      `UPDATE api_keys
+           SET last_used_at = NOW()
+           WHERE id = $1`,
+      [found.id]);
+
+    return {
+      username: found.username,
+      isAdmin: found.isAdmin && !(await TwoFactor.adminNeedsSetup(found)),
+      apiKey: found.id,
+      scopes: found.scopes,
+    };
+  }
+
+  /** helper that returns { username, isAdmin } of user, or throws
+   * NotFoundError unless user exists */
+
+  static async _checkUser(username) {
+    const result = await db.query(
+      `SELECT username,
+              is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return user;
+  }
+}
+
+
+module.exports = ApiKey;
@@ -0,0 +1,180 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const config = require("../config");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "script" });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "script",
+      prefix: apiKey.key.slice(0, 12),
+      scopes: null,
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      key: expect.stringMatching(/^jobly_[\w-]{43}$/),
+    });
+
+    const found = await db.query(
+      "SELECT key_hash FROM api_keys WHERE id = $1", [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toContain(apiKey.key);
+  });
+
+  test("works with scopes and expiry", async function () {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const apiKey = await ApiKey.create("u1", {
+      name: "script",
+      scopes: ["jobs:write"],
+      expiresAt: expiresAt.toISOString(),
+    });
+    expect(apiKey.scopes).toEqual(["jobs:write"]);
+    expect(apiKey.expiresAt).toEqual(expiresAt);
+  });
+
+  test("bad request with unknown scope", async function () {
+    await expect(ApiKey.create("u1", { name: "s", scopes: ["nope:read"] }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request with past expiry", async function () {
+    await expect(ApiKey.create("u1", {
+      name: "s",
+      expiresAt: "2000-01-01T00:00:00Z",
+    })).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.create("nope", { name: "s" }))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("forbidden for admin without 2FA, with REQUIRE_ADMIN_2FA", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      await expect(ApiKey.create("u1", { name: "s" }))
+        .rejects.toThrow(ForbiddenError);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create("u1", { name: "script" });
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys).toEqual([{
+      id,
+      name: "script",
+      prefix: expect.any(String),
+      scopes: null,
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+      revokedAt: null,
+    }]);
+    expect(await ApiKey.findAll("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if user deleted", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await expect(ApiKey.findAll("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works, and tracks last use", async function () {
+    const { id, key } = await ApiKey.create("u1", {
+      name: "script",
+      scopes: ["jobs:write"],
+    });
+    const user = await ApiKey.authenticate(key);
+    expect(user).toEqual({
+      username: "u1",
+      isAdmin: false,
+      apiKey: id,
+      scopes: ["jobs:write"],
+    });
+
+    const [found] = await ApiKey.findAll("u1");
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("no admin rights for admin without 2FA, with REQUIRE_ADMIN_2FA", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const { key } = await ApiKey.create("u1", { name: "script" });
+    expect((await ApiKey.authenticate(key)).isAdmin).toEqual(true);
+
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      expect((await ApiKey.authenticate(key)).isAdmin).toEqual(false);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("null for unknown key", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeNull();
+  });
+
+  test("null for revoked key", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "script" });
+    await ApiKey.revoke("u1", id);
+    expect(await ApiKey.authenticate(key)).toBeNull();
+  });
+
+  test("unauth for expired key", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "script" });
+    await db.query(
+      `UPDATE api_keys SET expires_at = NOW() - interval '1 minute'
+           WHERE id = $1`,
+      [id]);
+    await expect(ApiKey.authenticate(key)).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { id } = await ApiKey.create("u1", { name: "script" });
+    await ApiKey.revoke("u1", id);
+    const [found] = await ApiKey.findAll("u1");
+    expect(found.revokedAt).toEqual(expect.any(Date));
+  });
+
+  test("not found for another user's key", async function () {
+    const { id } = await ApiKey.create("u1", { name: "script" });
+    await expect(ApiKey.revoke("u2", id)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,202 @@
+"use strict";
+
+const db = require("../db");
+const config = require("../config");
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require("../expressError");
+
+/** Allowed moves between application states.
+ *
+ * Keys are the current state; values are the states it may move to.
+ * States with no moves (accepted, rejected, withdrawn) are final.
+ */
+
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Apply user to a job, starting in `state` ("interested" or "applied").
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if user or job not found.
+   * Throws ForbiddenError if REQUIRE_VERIFIED_EMAIL is on and user's email
+   * isn't verified.
+   * Throws BadRequestError if the job isn't open, or user already applied to
+   * it.
+   **/
+
+  static async apply(username, jobId, state = "applied") {
+    const userCheck = await db.query(
+      `SELECT username, email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = userCheck.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    if (config.REQUIRE_VERIFIED_EMAIL && !user.emailVerified) {
+      throw new ForbiddenError("Verify your email before applying to jobs");
+    }
+
+    const jobCheck = await db.query(
+      `SELECT status = 'open' AND (closes_at IS NULL OR closes_at > NOW())
+                AS "isOpen"
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`,
+      [jobId]);
+    const job = jobCheck.rows[0];
+    if (!job) throw new NotFoundError(`No job id: ${jobId}`);
+    if (!job.isOpen) throw new BadRequestError(`Job id ${jobId} isn't open`);
+
+    const duplicateCheck = await db.query(
+      `SELECT job_id
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+      [username, jobId]);
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Already applied to job id: ${jobId}`);
+    }
+
+    const result = await db.query(
+      `INSERT INTO applications (username, job_id, state)
+           VALUES ($1, $2, $3)
+           RETURNING username, job_id AS "jobId", state`,
+      [username, jobId, state]);
+
+    await Application._recordChange(username, jobId, null, state);
+
+    return result.rows[0];
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, stateChangedAt, history }
+   *   where history is [{ fromState, toState, changedAt }, ...], oldest first
+   *
+   * Throws NotFoundError if no such application, or its user or job is
+   * deleted.
+   **/
+
+  static async get(username, jobId) {
+    const result = await db.query(
+      `SELECT a.username,
+              a.job_id AS "jobId",
+              a.state,
+              a.state_changed_at AS "stateChangedAt"
+           FROM applications AS a
+                  JOIN users AS u ON u.username = a.username
+                  JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = $1
+             AND a.job_id = $2
+             AND u.deleted_at IS NULL
+             AND j.deleted_at IS NULL`,
+      [username, jobId]);
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application by ${username} for job id: ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+      `SELECT from_state AS "fromState",
+              to_state AS "toState",
+              changed_at AS "changedAt"
+           FROM application_state_changes
+           WHERE username = $1 AND job_id = $2
+           ORDER BY id`,
+      [username, jobId]);
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Move an application to `state`.
+   *
+   * Returns { username, jobId, state, stateChangedAt }
+   *
+   * Throws NotFoundError if no such application, or its user or job is
+   * deleted.
+   * Throws BadRequestError if the move is not allowed from the current state.
+   **/
+
+  static async updateState(username, jobId, state) {
+    const currentRes = await db.query(
+      `SELECT a.state
+           FROM applications AS a
+                  JOIN users AS u ON u.username = a.username
+                  JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = $1
+             AND a.job_id = $2
+             AND u.deleted_at IS NULL
+             AND j.deleted_at IS NULL`,
+      [username, jobId]);
+    const current = currentRes.rows[0];
+
+    if (!current) {
+      throw new NotFoundError(`No application by ${username} for job id: ${jobId}`);
+    }
+
+    const allowed = TRANSITIONS[current.state];
+    if (!allowed.includes(state)) {
+      const options = allowed.length
+        ? `allowed: ${allowed.join(", ")}`
+        : "no further changes allowed";
+      throw new BadRequestError(
+        `Cannot change application from ${current.state} to ${state}; ${options}`);
+    }
+
+    const result = await db.query(
+      `UPDATE applications
+           SET state = $1, state_changed_at = NOW()
+           WHERE username = $2 AND job_id = $3
+           RETURNING username,
+                     job_id AS "jobId",
+                     state,
+                     state_changed_at AS "stateChangedAt"`,
+      [state, username, jobId]);
+
+    await Application._recordChange(username, jobId, current.state, state);
+
+    return result.rows[0];
+  }
+
+  /** Withdraw user's application to a job: move it to withdrawn (see
+   * updateState), keeping it and its history.
+   *
+   * Returns { username, jobId, state, stateChangedAt }
+   *
+   * Throws NotFoundError if no such application.
+   * Throws BadRequestError if it's already in a final state.
+   **/
+
+  static async withdraw(username, jobId) {
+    return await Application.updateState(username, jobId, "withdrawn");
+  }
+
+  /** helper that stores one state change in the application's history */
+
+  static async _recordChange(username, jobId, fromState, toState) {
+    await db.query(
+      `INSERT INTO application_state_changes
+           (username, job_id, from_state, to_state)
+           VALUES ($1, $2, $3, $4)`,
+      [username, jobId, fromState, toState]);
+  }
+}
+
+
+module.exports = Application;
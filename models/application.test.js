@@ -0,0 +1,265 @@
+"use strict";
+
+const db = require("../db.js");
+const config = require("../config");
+const {
+  BadRequestError,
+  NotFoundError,
+  ForbiddenError,
+} = require("../expressError");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+let testJobId1;
+let testJobId2;
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async function () {
+  const result = await db.query(`
+        INSERT INTO jobs(title, salary, equity, company_handle)
+        VALUES ('testJob1', 1000, 0.001, 'c1'),
+               ('testJob2', 2000, 0, 'c2')
+        RETURNING id`);
+  [testJobId1, testJobId2] = result.rows.map(r => r.id);
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const application = await Application.apply("u1", testJobId1);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobId1,
+      state: "applied",
+    });
+
+    const found = await db.query(
+      "SELECT username, job_id, state FROM applications WHERE username = 'u1'");
+    expect(found.rows).toEqual([
+      { username: "u1", job_id: testJobId1, state: "applied" },
+    ]);
+  });
+
+  test("works: starting as interested", async function () {
+    const application = await Application.apply("u1", testJobId1, "interested");
+    expect(application.state).toEqual("interested");
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.apply("nope", testJobId1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.apply("u1", 0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  describe("with REQUIRE_VERIFIED_EMAIL", function () {
+    beforeEach(function () {
+      config.REQUIRE_VERIFIED_EMAIL = true;
+    });
+    afterEach(function () {
+      config.REQUIRE_VERIFIED_EMAIL = false;
+    });
+
+    test("forbidden if email not verified", async function () {
+      try {
+        await Application.apply("u1", testJobId1);
+        fail();
+      } catch (err) {
+        expect(err instanceof ForbiddenError).toBeTruthy();
+      }
+    });
+
+    test("works if email verified", async function () {
+      await db.query(
+        "UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+      const application = await Application.apply("u1", testJobId1);
+      expect(application.state).toEqual("applied");
+    });
+  });
+
+  test("not found if job deleted", async function () {
+    await db.query(
+      "UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [testJobId1]);
+    await expect(Application.apply("u1", testJobId1))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("bad request if job isn't open", async function () {
+    await db.query(
+      "UPDATE jobs SET status = 'closed' WHERE id = $1", [testJobId1]);
+    await expect(Application.apply("u1", testJobId1))
+      .rejects.toThrow(`Job id ${testJobId1} isn't open`);
+  });
+
+  test("bad request if already applied", async function () {
+    await Application.apply("u1", testJobId1);
+    try {
+      await Application.apply("u1", testJobId1);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.updateState("u1", testJobId1, "screening");
+
+    const application = await Application.get("u1", testJobId1);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobId1,
+      state: "screening",
+      stateChangedAt: expect.any(Date),
+      history: [
+        { fromState: null, toState: "applied", changedAt: expect.any(Date) },
+        { fromState: "applied", toState: "screening", changedAt: expect.any(Date) },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", testJobId1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user or job deleted", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.apply("u2", testJobId2);
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [testJobId2]);
+
+    await expect(Application.get("u1", testJobId1))
+      .rejects.toThrow(NotFoundError);
+    await expect(Application.get("u2", testJobId2))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** updateState */
+
+describe("updateState", function () {
+  test("works", async function () {
+    await Application.apply("u1", testJobId1);
+    const application = await Application.updateState("u1", testJobId1, "screening");
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobId1,
+      state: "screening",
+      stateChangedAt: expect.any(Date),
+    });
+  });
+
+  test("bad request for illegal transition", async function () {
+    await Application.apply("u1", testJobId1);
+    try {
+      await Application.updateState("u1", testJobId1, "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+        "Cannot change application from applied to offered; " +
+        "allowed: screening, rejected, withdrawn");
+    }
+  });
+
+  test("bad request when leaving a final state", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.updateState("u1", testJobId1, "rejected");
+    try {
+      await Application.updateState("u1", testJobId1, "screening");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+        "Cannot change application from rejected to screening; " +
+        "no further changes allowed");
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.updateState("u1", testJobId1, "screening");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if user or job deleted", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.apply("u2", testJobId2);
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await db.query("UPDATE jobs SET deleted_at = NOW() WHERE id = $1", [testJobId2]);
+
+    await expect(Application.updateState("u1", testJobId1, "screening"))
+      .rejects.toThrow(NotFoundError);
+    await expect(Application.updateState("u2", testJobId2, "screening"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** withdraw */
+
+describe("withdraw", function () {
+  test("works", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.apply("u1", testJobId2);
+    const application = await Application.withdraw("u1", testJobId1);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobId1,
+      state: "withdrawn",
+      stateChangedAt: expect.any(Date),
+    });
+
+    const found = await Application.get("u1", testJobId1);
+    expect(found.history.map(h => h.toState)).toEqual(["applied", "withdrawn"]);
+    const other = await Application.get("u1", testJobId2);
+    expect(other.state).toEqual("applied");
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await Application.apply("u1", testJobId1);
+    await Application.withdraw("u1", testJobId1);
+    await expect(Application.withdraw("u1", testJobId1))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.withdraw("u1", testJobId1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,110 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+const DEFAULT_LIMIT = 100;
+
+/** Related functions for the audit log.
+ *
+ * Every create, update and delete made through the API is recorded with who
+ * made it (actor, null if anonymous), what it was done to (entity type and
+ * id), snapshots of the entity before and after, and the id of the request.
+ * Changes made by an admin impersonating a user (see Impersonation) also
+ * record the admin as impersonator. The table is append-only: the database
+ * refuses to change or delete rows.
+ */
+
+class Audit {
+  /** Record an audit entry; returns undefined.
+   *
+   * entry is { actor, action, entityType, entityId, before, after,
+   *            requestId, impersonator }
+   *   where action is "create", "update" or "delete"
+   **/
+
+  static async record({
+    actor = null,
+    action,
+    entityType,
+    entityId,
+    before = null,
+    after = null,
+    requestId = null,
+    impersonator = null,
+  }) {
+    await db.query(
+      `INSERT INTO audit_log
+           (actor, action, entity_type, entity_id, before, after, request_id,
+            impersonator)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [actor, action, entityType, String(entityId),
+        before && JSON.stringify(before), after && JSON.stringify(after),
+        requestId, impersonator]);
+  }
+
+  /** Find audit entries, newest first.
+   *
+   * Optional filters: { actor, action, entityType, entityId, from, to, limit }
+   *   from and to are dates (inclusive); limit defaults to 100.
+   *
+   * Returns [{ id, actor, action, entityType, entityId, before, after,
+   *            requestId, impersonator, createdAt }, ...]
+   *
+   * Throws BadRequestError if from is after to.
+   **/
+
+  static async findAll(filters = {}) {
+    const { whereClause, values } = Audit._makeWhereClause(filters);
+    const limitIdx = values.length + 1;
+
+    const result = await db.query(
+      `SELECT id,
+              actor,
+              action,
+              entity_type AS "entityType",
+              entity_id AS "entityId",
+              before,
+              after,
+              request_id AS "requestId",
+              impersonator,
+              created_at AS "createdAt"
+           FROM audit_log
+           ${whereClause}
+           ORDER BY id DESC
+           LIMIT $${limitIdx}`,
+      [...values, filters.limit || DEFAULT_LIMIT]);
+
+    // ids are BIGSERIAL, which pg returns as strings
+    return result.rows.map(r => ({ ...r, id: +r.id }));
+  }
+
+  /** helper that returns { whereClause: "WHERE actor = $1 AND ...", values }
+   * for findAll's filters; whereClause is "" if there are none */
+
+  static _makeWhereClause({ actor, action, entityType, entityId, from, to }) {
+    if (from && to && new Date(from) > new Date(to)) {
+      throw new BadRequestError("from must not be after to");
+    }
+
+    const clauses = [];
+    const values = [];
+    const add = (clause, value) => {
+      values.push(value);
+      clauses.push(clause.replace("?", `$${values.length}`));
+    };
+
+    if (actor !== undefined) add("actor = ?", actor);
+    if (action !== undefined) add("action = ?", action);
+    if (entityType !== undefined) add("entity_type = ?", entityType);
+    if (entityId !== undefined) add("entity_id = ?", String(entityId));
+    if (from !== undefined) add("created_at >= ?", from);
+    if (to !== undefined) add("created_at <= ?", to);
+
+    const whereClause = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    return { whereClause, values };
+  }
+}
+
+
+module.exports = Audit;
@@ -0,0 +1,116 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Audit = require("./audit.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async function () {
+  await Audit.record({
+    actor: "u1",
+    action: "create",
+    entityType: "company",
+    entityId: "c1",
+    after: { handle: "c1", name: "C1" },
+    requestId: "req-1",
+  });
+  await Audit.record({
+    actor: "u2",
+    action: "update",
+    entityType: "job",
+    entityId: 7,
+    before: { title: "old" },
+    after: { title: "new" },
+  });
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record / findAll */
+
+describe("findAll", function () {
+  test("works: no filter, newest first", async function () {
+    const entries = await Audit.findAll();
+    expect(entries).toEqual([
+      {
+        id: expect.any(Number),
+        actor: "u2",
+        action: "update",
+        entityType: "job",
+        entityId: "7",
+        before: { title: "old" },
+        after: { title: "new" },
+        requestId: null,
+        impersonator: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        actor: "u1",
+        action: "create",
+        entityType: "company",
+        entityId: "c1",
+        before: null,
+        after: { handle: "c1", name: "C1" },
+        requestId: "req-1",
+        impersonator: null,
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: filter by actor", async function () {
+    const entries = await Audit.findAll({ actor: "u1" });
+    expect(entries.map(e => e.entityId)).toEqual(["c1"]);
+  });
+
+  test("works: filter by entity", async function () {
+    const entries = await Audit.findAll({ entityType: "job", entityId: 7 });
+    expect(entries.map(e => e.actor)).toEqual(["u2"]);
+  });
+
+  test("works: filter by date range", async function () {
+    const now = Date.now();
+    const from = new Date(now - 60 * 60 * 1000).toISOString();
+    const to = new Date(now + 60 * 60 * 1000).toISOString();
+    expect((await Audit.findAll({ from, to })).length).toEqual(2);
+    expect((await Audit.findAll({ from: to })).length).toEqual(0);
+  });
+
+  test("works: limit", async function () {
+    const entries = await Audit.findAll({ limit: 1 });
+    expect(entries.map(e => e.actor)).toEqual(["u2"]);
+  });
+
+  test("bad request if from is after to", async function () {
+    await expect(Audit.findAll({
+      from: "2030-01-01T00:00:00Z",
+      to: "2020-01-01T00:00:00Z",
+    })).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** append-only */
+
+describe("append-only", function () {
+  test("entries can't be changed", async function () {
+    await db.query("SAVEPOINT before_update");
+    await expect(db.query("UPDATE audit_log SET actor = 'someone'"))
+      .rejects.toThrow("audit_log is append-only");
+    await db.query("ROLLBACK TO SAVEPOINT before_update");
+  });
+
+  test("entries can't be deleted", async function () {
+    await db.query("SAVEPOINT before_delete");
+    await expect(db.query("DELETE FROM audit_log"))
+      .rejects.toThrow("audit_log is append-only");
+    await db.query("ROLLBACK TO SAVEPOINT before_delete");
+  });
+});
@@ -2,7 +2,90 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilters } = require("../helpers/sql");
+const { findPage, parseSort } = require("../helpers/pagination");
+const { applyView, specForRead } = require("../helpers/view");
+const { DELETED_RETENTION } = require("../config");
+
+/** fields companies can be sorted on, and their columns */
+const SORT_FIELDS = {
+  handle: "handle",
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+/** fields companies can be filtered on (see sqlForFilters); those on a
+ * company's open jobs are columns of job_stats (see filterSearch) */
+const FILTER_FIELDS = {
+  handle: { type: "string", column: "handle", operators: ["eq", "in"] },
+  name: { type: "string", column: "name", operators: ["like", "eq"] },
+  numEmployees: {
+    type: "integer",
+    column: "num_employees",
+    operators: ["eq", "gte", "lte"],
+    aliases: { minEmployees: "gte", maxEmployees: "lte" },
+    minimum: 0,
+  },
+  jobCount: {
+    type: "integer",
+    column: "job_count",
+    operators: ["eq", "gte", "lte"],
+    aliases: { minJobs: "gte" },
+    minimum: 0,
+  },
+  hasOpenJobs: { type: "boolean", column: "(job_count > 0)", operators: ["eq"] },
+  salaryOffered: {
+    type: "integer",
+    column: "max_salary",
+    operators: ["gte", "lte"],
+    aliases: { minSalaryOffered: "gte" },
+    minimum: 0,
+  },
+  hasEquityJobs: {
+    type: "boolean",
+    column: "(equity_job_count > 0)",
+    operators: ["eq"],
+  },
+};
+
+/** return the open jobs at each of companies, in one query:
+ *   [[{ id, title, salary, equity }, ...], ...] */
+
+async function jobsOf(companies) {
+  const result = await db.query(
+    `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+         FROM jobs
+         WHERE company_handle = ANY($1)
+           AND status = 'open'
+           AND (closes_at IS NULL OR closes_at > NOW())
+           AND deleted_at IS NULL
+         ORDER BY id`,
+    [companies.map(c => c.handle)]);
+
+  const jobsByHandle = {};
+  for (const { companyHandle, ...job } of result.rows) {
+    (jobsByHandle[companyHandle] ||= []).push(job);
+  }
+  return companies.map(c => jobsByHandle[c.handle] || []);
+}
+
+/** what reads of companies can return (see applyView); each read can
+ * return only some of the fields (see specForRead) */
+const VIEW = {
+  fields: [
+    "handle",
+    "name",
+    "description",
+    "numEmployees",
+    "logoUrl",
+    "jobCount",
+    "salaryRange",
+    "deletedAt",
+    "rank",
+    "snippet",
+  ],
+  relations: { jobs: jobsOf },
+};
 
 /** Related functions for companies. */
 
@@ -13,7 +96,7 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if company already in database, even if deleted.
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
@@ -49,121 +132,142 @@ class Company {
     return company;
   }
 
-  /** Find all companies.
+  /** Find all companies, a page at a time (see findPage).
+   *
+   * page is { limit, cursor, sort }, all optional; sort is as for
+   * filterSearch. view is as for filterSearch.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { companies, next, total }
+   *   where companies is [{ handle, name, description, numEmployees,
+   *                         logoUrl, jobCount, salaryRange }, ...]
    * */
 
-  static async findAll() {
-    const companiesRes = await db.query(
-      `SELECT handle,
-                name,
-                description,
-                num_employees AS "numEmployees",
-                logo_url AS "logoUrl"
-           FROM companies
-           ORDER BY name`);
-    return companiesRes.rows;
+  static async findAll(page = {}, view = {}) {
+    return Company.filterSearch({}, page, view);
   }
 
-  /** given an object of search terms, only allow name, minEmployees and maxEmployees,
+  /** given an object of search terms (see _makeWhereClause and FILTER_FIELDS),
    * perform a case insensitive search in companies database matching all of the search term conditions;
+   * searchTerms can also have q, words to full-text search name and description for
+   * (as in a web search: "quoted phrases", or, -not);
+   * companies are ordered by page.sort, a page at a time (see findPage);
+   * sort is like "-numEmployees,name" (see parseSort), on handle, name and numEmployees,
+   * and rank (how well a company matches q) when searching;
+   * by default by name, or best match first when searching; ties are broken by handle;
    * 
-   *Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *Returns { companies: [{ handle, name, description, numEmployees, logoUrl,
+   *                         jobCount, salaryRange }, ...], next, total }
+   * where jobCount is how many open jobs the company has, and salaryRange is
+   * { min, max } of their salaries (null if none of them have one);
+   * when searching, each company also has rank and snippet, the part of its description
+   * that matched, with matched words in <b></b>
+   * view is { fields, include, includeDeleted } (see applyView), to return only some fields
+   * of each company, or include its jobs, as for get; deleted companies are only found
+   * with includeDeleted, when each company also has deletedAt
+   *
+   * Throws BadRequestError if sort, a search term or view is invalid.
    */
 
-  static async filterSearch(searchTerms) {
-
-    const { whereClause, values } = Company._makeWhereClause(searchTerms);
+  static async filterSearch(searchTerms, page = {}, view = {}) {
+
+    const { q, ...filters } = searchTerms;
+    const { whereClause, values } = Company._makeWhereClause(filters);
+    const where = whereClause ? [whereClause] : [];
+    const sortFields = { ...SORT_FIELDS };
+    let select = `handle,
+                  name,
+                  description,
+                  num_employees AS "numEmployees",
+                  logo_url AS "logoUrl",
+                  job_count AS "jobCount",
+                  json_build_object('min', min_salary,
+                                    'max', max_salary) AS "salaryRange"`;
+
+    if (view.includeDeleted) {
+      select += `, deleted_at AS "deletedAt"`;
+    } else {
+      where.push("deleted_at IS NULL");
+    }
 
-    const companies = await db.query(
-      `SELECT handle,
-        name,
-        description,
-        num_employees AS "numEmployees",
-        logo_url AS "logoUrl"
-              FROM companies
-              WHERE ${whereClause}   
-              ORDER BY name`,
-      values);
+    if (q) {
+      values.push(q);
+      const query = `websearch_to_tsquery('english', $${values.length})`;
+      where.push(`search_vector @@ ${query}`);
+      sortFields.rank = `ts_rank(search_vector, ${query})`;
+      select += `, ${sortFields.rank} AS rank,
+                  ts_headline('english', description, ${query}) AS snippet`;
+    }
 
-    return companies.rows;
+    const { rows, next, total } = await findPage({
+      select,
+      from: `companies
+               LEFT JOIN LATERAL (SELECT COUNT(*)::integer AS job_count,
+                                         COUNT(*) FILTER (WHERE equity > 0.0)::integer
+                                           AS equity_job_count,
+                                         MIN(salary) AS min_salary,
+                                         MAX(salary) AS max_salary
+                                    FROM jobs
+                                    WHERE company_handle = handle
+                                      AND status = 'open'
+                                      AND (closes_at IS NULL OR closes_at > NOW())
+                                      AND deleted_at IS NULL) AS job_stats ON TRUE`,
+      where,
+      values,
+      orderBy: parseSort(
+        page.sort || (q ? "-rank" : "name"), sortFields, "handle"),
+    }, page);
+
+    const spec = specForRead(
+      VIEW, { includeDeleted: view.includeDeleted, searching: !!q });
+    return { companies: await applyView(rows, view, spec), next, total };
   }
 
-  /** helper function that takes an object of searchTerms, 
-   * creates where clasues to be used in db queries, and an array of values with corresponding clause
-   * searchTerms should at most contain three keys: name, minEmployees and maxEmployees;
-   * 
-   * if minEmployees > maxEmployees, throw BadRequestError;
-   * return {whereClause:`name=$1 AND num_employees <= $2 AND ...`, values: [...]}
+  /** helper function that takes an object of searchTerms (see sqlForFilters
+   * and FILTER_FIELDS), and returns
+   * {whereClause:`name ILIKE $1 AND num_employees <= $2 AND ...`, values: [...]}
+   *   whereClause is "" if there are no searchTerms
+   * filters on a company's jobs are on the job_stats made in filterSearch.
+   *
+   * Throws BadRequestError if a search term is bad, or a range is empty.
    */
   static _makeWhereClause(searchTerms) {
-    let clauses = [];
-    let values = [];
-    let indexPointer = 0;
-
-    const { name, minEmployees, maxEmployees } = searchTerms;
-
-    //check for each item in searchTerms, add corresponding clauses and values to array
-    if (name) {
-      clauses.push(`name ILIKE $${indexPointer + 1}`);
-      values[indexPointer] = `%${name}%`;
-      indexPointer += 1;
-    }
-
-    if (minEmployees) {
-      clauses.push(`num_employees >= $${indexPointer + 1}`);
-      values[indexPointer] = minEmployees;
-      indexPointer += 1;
-    }
-
-    if (maxEmployees) {
-      if (minEmployees && minEmployees > maxEmployees) {
-        throw new BadRequestError("maxEmployees must be higher than minEmployees");
-      } else {
-        clauses.push(`num_employees <= $${indexPointer + 1}`);
-        values[indexPointer] = maxEmployees;
-        indexPointer += 1;
-      }
-    }
-
-    //join all clauses to be one string connected by "AND"
-    const whereClause = clauses.join(" AND ")
-
-    return { whereClause, values };
+    return sqlForFilters(searchTerms, FILTER_FIELDS);
   }
+
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salary, equity }, ...] of its open jobs
    *
-   * Throws NotFoundError if not found.
+   * view is { fields, include, includeDeleted } (see applyView); include is
+   * ["jobs"] unless given. A deleted company is only found with
+   * includeDeleted, which also adds deletedAt.
+   *
+   * Throws NotFoundError if not found, BadRequestError if view is invalid.
    **/
 
-  static async get(handle) {
+  static async get(
+      handle, { fields, include = ["jobs"], includeDeleted = false } = {}) {
+    const deletedCol = includeDeleted ? `, deleted_at AS "deletedAt"` : "";
+    const notDeleted = includeDeleted ? "" : "AND deleted_at IS NULL";
     const companyRes = await db.query(
       `SELECT handle,
         name,
         description,
         num_employees AS "numEmployees",
-        logo_url AS "logoUrl"
+        logo_url AS "logoUrl"${deletedCol}
            FROM companies
-           WHERE handle = $1`,
+           WHERE handle = $1 ${notDeleted}`,
       [handle]);
 
     const company = companyRes.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
-    const jobsRes = await db.query(
-      `SELECT id, title, salary, equity
-        FROM jobs
-        WHERE company_handle=$1`,
-      [handle]);
-    const jobs = jobsRes.rows;
-    company.jobs = jobs;
-
-    return company;
+    const spec = specForRead(
+      VIEW, { unread: ["jobCount", "salaryRange"], includeDeleted });
+    const [shown] = await applyView([company], { fields, include }, spec);
+    return shown;
   }
 
   /** Update company data with `data`.
@@ -190,7 +294,7 @@ class Company {
     const querySql = `
       UPDATE companies
       SET ${setCols}
-        WHERE handle = ${handleVarIdx}
+        WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
         RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`;
     const result = await db.query(querySql, [...values, handle]);
     const company = result.rows[0];
@@ -200,23 +304,86 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Delete given company, and its jobs, until restored (see restore) or
+   * purged (see purgeDeleted); returns undefined.
    *
    * Throws NotFoundError if company not found.
    **/
 
   static async remove(handle) {
+    // one statement, so the company and its jobs have the same deleted_at,
+    // which restore goes by
     const result = await db.query(
-      `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+      `WITH company AS (
+         UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING handle),
+       company_jobs AS (
+         UPDATE jobs
+             SET deleted_at = NOW()
+             WHERE company_handle IN (SELECT handle FROM company)
+               AND deleted_at IS NULL)
+       SELECT handle
+           FROM company`,
       [handle]);
     const company = result.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
 
+  /** Restore given deleted company, with the jobs deleted along with it
+   * (but not those deleted before it).
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there's no such deleted company.
+   **/
+
+  static async restore(handle) {
+    const result = await db.query(
+      `WITH deleted AS (
+         SELECT handle, deleted_at
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NOT NULL),
+       company_jobs AS (
+         UPDATE jobs
+             SET deleted_at = NULL
+             FROM deleted
+             WHERE jobs.company_handle = deleted.handle
+               AND jobs.deleted_at = deleted.deleted_at)
+       UPDATE companies
+           SET deleted_at = NULL
+           FROM deleted
+           WHERE companies.handle = deleted.handle
+           RETURNING companies.handle,
+                     name,
+                     description,
+                     num_employees AS "numEmployees",
+                     logo_url AS "logoUrl"`,
+      [handle]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+    return company;
+  }
+
+  /** Delete for good companies deleted more than retention seconds ago
+   * (DELETED_RETENTION by default), with their jobs and applications.
+   *
+   * Returns the number of companies purged.
+   **/
+
+  static async purgeDeleted(retention = DELETED_RETENTION) {
+    const result = await db.query(
+      `DELETE
+           FROM companies
+           WHERE deleted_at < NOW() - make_interval(secs => $1)`,
+      [retention]);
+    return result.rowCount;
+  }
+
 }
 
 
@@ -70,7 +70,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -78,6 +78,8 @@ describe("findAll", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        jobCount: 1,
+        salaryRange: { min: 1000, max: 1000 },
       },
       {
         handle: "c2",
@@ -85,6 +87,8 @@ describe("findAll", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       },
       {
         handle: "c3",
@@ -92,14 +96,61 @@ describe("findAll", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       },
     ]);
   });
 });
 
+describe("findAll, with a view", function () {
+  test("works: some fields, with jobs", async function () {
+    const { companies } = await Company.findAll(
+      {}, { fields: ["handle"], include: ["jobs"] });
+    expect(companies).toEqual([
+      {
+        handle: "c1",
+        jobs: [{
+          id: expect.any(Number),
+          title: "testJob1",
+          salary: 1000,
+          equity: "0.001"
+        }],
+      },
+      { handle: "c2", jobs: [] },
+      { handle: "c3", jobs: [] },
+    ]);
+  });
+
+  test("works: paginated with a field the cursor doesn't use", async function () {
+    const page1 = await Company.findAll({ limit: 2 }, { fields: ["description"] });
+    const page2 = await Company.findAll(
+      { limit: 2, cursor: page1.next }, { fields: ["description"] });
+    expect([...page1.companies, ...page2.companies])
+      .toEqual([{ description: "Desc1" }, { description: "Desc2" }, { description: "Desc3" }]);
+  });
+});
+
+describe("findAll, paginated", function () {
+  test("works", async function () {
+    const page1 = await Company.findAll({ limit: 2 });
+    expect(page1.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(page1.total).toEqual(3);
+
+    const page2 = await Company.findAll({ limit: 2, cursor: page1.next });
+    expect(page2.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(page2.next).toBeNull();
+  });
+
+  test("bad request if limit too high", async function () {
+    await expect(Company.findAll({ limit: 101 }))
+      .rejects.toThrow(BadRequestError);
+  });
+});
+
 describe("filterSearch", function () {
   test("works with one filter", async function () {
-    let companies = await Company.filterSearch({ name: "c" });
+    let { companies } = await Company.filterSearch({ name: "c" });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -107,6 +158,8 @@ describe("filterSearch", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        jobCount: 1,
+        salaryRange: { min: 1000, max: 1000 },
       },
       {
         handle: "c2",
@@ -114,6 +167,8 @@ describe("filterSearch", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       },
       {
         handle: "c3",
@@ -121,12 +176,14 @@ describe("filterSearch", function () {
         description: "Desc3",
         numEmployees: 3,
         logoUrl: "http://c3.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       },
     ]);
   });
 
   test("works with two filters", async function () {
-    let companies = await Company.filterSearch({ minEmployees: 1, maxEmployees: 2 });
+    let { companies } = await Company.filterSearch({ minEmployees: 1, maxEmployees: 2 });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -134,6 +191,8 @@ describe("filterSearch", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        jobCount: 1,
+        salaryRange: { min: 1000, max: 1000 },
       },
       {
         handle: "c2",
@@ -141,12 +200,14 @@ describe("filterSearch", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       }
     ]);
   });
 
   test("works with three filters", async function () {
-    let companies = await Company.filterSearch({ name: "c2", minEmployees: 1, maxEmployees: 2 });
+    let { companies } = await Company.filterSearch({ name: "c2", minEmployees: 1, maxEmployees: 2 });
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -154,6 +215,8 @@ describe("filterSearch", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
       }
     ]);
   });
@@ -161,6 +224,113 @@ describe("filterSearch", function () {
 });
 
 
+describe("filterSearch, on jobs", function () {
+  beforeEach(async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary, equity, company_handle)
+      VALUES ('testJob2', 5000, 0, 'c2'),
+             ('testJob3', NULL, NULL, 'c2')`);
+  });
+
+  test("works: hasOpenJobs", async function () {
+    const hiring = await Company.filterSearch({ hasOpenJobs: true });
+    expect(hiring.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    const notHiring = await Company.filterSearch({ hasOpenJobs: false });
+    expect(notHiring.companies.map(c => c.handle)).toEqual(["c3"]);
+  });
+
+  test("works: minJobs", async function () {
+    const { companies } = await Company.filterSearch({ minJobs: 2 });
+    expect(companies).toEqual([{
+      handle: "c2",
+      name: "C2",
+      description: "Desc2",
+      numEmployees: 2,
+      logoUrl: "http://c2.img",
+      jobCount: 2,
+      salaryRange: { min: 5000, max: 5000 },
+    }]);
+  });
+
+  test("works: minJobs of 0", async function () {
+    const { total } = await Company.filterSearch({ minJobs: 0 });
+    expect(total).toEqual(3);
+  });
+
+  test("works: minSalaryOffered", async function () {
+    const { companies } = await Company.filterSearch({ minSalaryOffered: 1000 });
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    const highPay = await Company.filterSearch({ minSalaryOffered: 1001 });
+    expect(highPay.companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: hasEquityJobs", async function () {
+    const withEquity = await Company.filterSearch({ hasEquityJobs: true });
+    expect(withEquity.companies.map(c => c.handle)).toEqual(["c1"]);
+    const withoutEquity = await Company.filterSearch({ hasEquityJobs: false });
+    expect(withoutEquity.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+  });
+
+  test("works: with full-text search", async function () {
+    const { companies } = await Company.filterSearch(
+      { q: "desc2", hasOpenJobs: true });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: only open jobs count", async function () {
+    await db.query(
+      "UPDATE jobs SET status = 'paused' WHERE title = 'testJob2'");
+    const { companies } = await Company.filterSearch({ handle: "c2" });
+    expect(companies[0].jobCount).toEqual(1);
+    expect(companies[0].salaryRange).toEqual({ min: null, max: null });
+  });
+
+  test("works: jobs past closesAt don't count", async function () {
+    await db.query(
+      `UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day'
+           WHERE title = 'testJob2'`);
+    const { companies } = await Company.filterSearch({ handle: "c2" });
+    expect(companies[0].jobCount).toEqual(1);
+  });
+});
+
+describe("filterSearch, full-text", function () {
+  test("works: ranked, with snippets", async function () {
+    await db.query(
+      `UPDATE companies SET description = 'Builds rockets' WHERE handle = 'c1'`);
+    await db.query(
+      `UPDATE companies SET name = 'Rocket Co', description = 'Makes parts for rockets'
+           WHERE handle = 'c2'`);
+
+    const { companies, total } = await Company.filterSearch({ q: "rocket" });
+    expect(total).toEqual(2);
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c1"]);
+    expect(companies[1]).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Builds rockets",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+      jobCount: 1,
+      salaryRange: { min: 1000, max: 1000 },
+      rank: expect.any(Number),
+      snippet: "Builds <b>rockets</b>",
+    });
+  });
+
+  test("works: with other filters and sort", async function () {
+    await db.query(`UPDATE companies SET description = 'Builds rockets'`);
+    const { companies } = await Company.filterSearch(
+      { q: "rockets", minEmployees: 2 }, { sort: "-numEmployees" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+  });
+
+  test("bad request sorting on rank without q", async function () {
+    await expect(Company.findAll({ sort: "-rank" }))
+      .rejects.toThrow(BadRequestError);
+  });
+});
+
 describe("test helper function _makeWhereClause", function () {
 
   test("pass in three valid filters", function () {
@@ -185,6 +355,39 @@ describe("test helper function _makeWhereClause", function () {
     });
   });
 
+  test("pass in filters on jobs", function () {
+    const result = Company._makeWhereClause({
+      hasOpenJobs: true,
+      minJobs: 2,
+      minSalaryOffered: 5000,
+      hasEquityJobs: false,
+    });
+    expect(result).toEqual({
+      whereClause: "(job_count > 0) = $1 AND job_count >= $2 AND max_salary >= $3"
+        + " AND (equity_job_count > 0) = $4",
+      values: [true, 2, 5000, false]
+    });
+  });
+
+  test("pass in minEmployees of 0", function () {
+    const result = Company._makeWhereClause({ minEmployees: 0 });
+    expect(result).toEqual({
+      whereClause: "num_employees >= $1",
+      values: [0]
+    });
+  });
+
+  test("pass in filters with operators", function () {
+    const result = Company._makeWhereClause({
+      handle: { in: "c1,c2" },
+      numEmployees: { lte: "100" },
+    });
+    expect(result).toEqual({
+      whereClause: "handle = ANY($1) AND num_employees <= $2",
+      values: [["c1", "c2"], 100]
+    });
+  });
+
   test("pass in minEmployees is higher than maxEmployees", function () {
     try {
       Company._makeWhereClause({
@@ -221,6 +424,45 @@ describe("get", function () {
     });
   });
 
+  test("works: with a view", async function () {
+    const company = await Company.get("c1", { fields: ["handle", "name"] });
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      jobs: [{
+        id: expect.any(Number),
+        title: "testJob1",
+        salary: 1000,
+        equity: "0.001"
+      }],
+    });
+    expect(await Company.get("c1", { include: [] })).not.toHaveProperty("jobs");
+  });
+
+  test("works: only open jobs", async function () {
+    await db.query("UPDATE jobs SET status = 'draft'");
+    const company = await Company.get("c1");
+    expect(company.jobs).toEqual([]);
+  });
+
+  test("works: not jobs past closesAt", async function () {
+    await db.query("UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day'");
+    const company = await Company.get("c1");
+    expect(company.jobs).toEqual([]);
+  });
+
+  test("bad request for unknown field", async function () {
+    await expect(Company.get("c1", { fields: ["secret"] }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for fields only searches return", async function () {
+    for (const field of ["jobCount", "salaryRange", "rank", "snippet", "deletedAt"]) {
+      await expect(Company.get("c1", { fields: [field] }))
+        .rejects.toThrow(BadRequestError);
+    }
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -313,10 +555,26 @@ describe("remove", function () {
   test("works", async function () {
     await Company.remove("c1");
     const res = await db.query(
-      "SELECT handle FROM companies WHERE handle='c1'");
+      "SELECT handle FROM companies WHERE handle='c1' AND deleted_at IS NULL");
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: deletes its jobs too, and hides them", async function () {
+    await Company.remove("c1");
+    const res = await db.query(
+      "SELECT deleted_at FROM jobs WHERE company_handle = 'c1'");
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+
+    const { companies } = await Company.findAll();
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    await expect(Company.get("c1")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if already deleted", async function () {
+    await Company.remove("c1");
+    await expect(Company.remove("c1")).rejects.toThrow(NotFoundError);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.remove("nope");
@@ -326,3 +584,68 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works, with the jobs deleted along with it", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, company_handle, deleted_at)
+      VALUES ('deletedBefore', 'c1', NOW() - INTERVAL '1 day')`);
+    await Company.remove("c1");
+
+    const company = await Company.restore("c1");
+    expect(company).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+    const { jobs } = await Company.get("c1");
+    expect(jobs.map(j => j.title)).toEqual(["testJob1"]);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(Company.restore("c1"))
+      .rejects.toThrow("No deleted company: c1");
+  });
+});
+
+/************************************** includeDeleted */
+
+describe("includeDeleted", function () {
+  test("works", async function () {
+    await Company.remove("c1");
+
+    const { companies } = await Company.findAll(
+      {}, { fields: ["handle", "deletedAt"], includeDeleted: true });
+    expect(companies).toEqual([
+      { handle: "c1", deletedAt: expect.any(Date) },
+      { handle: "c2", deletedAt: null },
+      { handle: "c3", deletedAt: null },
+    ]);
+    const company = await Company.get(
+      "c1", { include: [], includeDeleted: true });
+    expect(company.deletedAt).toEqual(expect.any(Date));
+  });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+  test("works: only those deleted before the retention window", async function () {
+    await Company.remove("c1");
+    await Company.remove("c2");
+    await db.query(`
+      UPDATE companies
+      SET deleted_at = NOW() - INTERVAL '31 days'
+      WHERE handle = 'c1'`);
+
+    expect(await Company.purgeDeleted()).toEqual(1);
+    const res = await db.query("SELECT handle FROM companies ORDER BY handle");
+    expect(res.rows.map(r => r.handle)).toEqual(["c2", "c3"]);
+    const jobRes = await db.query("SELECT id FROM jobs");
+    expect(jobRes.rows).toEqual([]);
+  });
+});
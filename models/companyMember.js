@@ -0,0 +1,123 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sendMail } = require("../helpers/mailer");
+
+/** Related functions for company members.
+ *
+ * Members are users who work for a company: an owner or a recruiter. Both
+ * can manage the company's jobs; only owners can edit its profile.
+ */
+
+class CompanyMember {
+  /** Return members of company, by username:
+   *   [{ username, role, addedAt }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findAll(handle) {
+    await CompanyMember._checkCompany(handle);
+
+    const result = await db.query(
+      `SELECT username, role, added_at AS "addedAt"
+           FROM company_members
+           WHERE company_handle = $1
+           ORDER BY username`,
+      [handle]);
+    return result.rows;
+  }
+
+  /** Return user's role ("owner" or "recruiter") at company, or null if
+   * they aren't a member. */
+
+  static async getRole(handle, username) {
+    const result = await db.query(
+      `SELECT role
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+      [handle, username]);
+    return result.rows[0]?.role ?? null;
+  }
+
+  /** Add user to company with role, and email them about it.
+   *
+   * Returns { companyHandle, username, role, addedAt }
+   *
+   * Throws NotFoundError if company or user not found.
+   * Throws BadRequestError if user is already a member.
+   **/
+
+  static async add(handle, { username, role }) {
+    const company = await CompanyMember._checkCompany(handle);
+
+    const userRes = await db.query(
+      `SELECT email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const existing = await CompanyMember.getRole(handle, username);
+    if (existing) {
+      throw new BadRequestError(`${username} is already a member of ${handle}`);
+    }
+
+    const result = await db.query(
+      `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           RETURNING company_handle AS "companyHandle",
+                     username,
+                     role,
+                     added_at AS "addedAt"`,
+      [handle, username, role]);
+
+    await sendMail({
+      to: user.email,
+      subject: `You've been added to ${company.name} on Jobly`,
+      text: `Hi ${username},\n\n` +
+        `You're now a ${role} for ${company.name}. ` +
+        "You can post and manage its jobs from your Jobly account.",
+    });
+
+    return result.rows[0];
+  }
+
+  /** Remove user from company; returns undefined.
+   *
+   * Throws NotFoundError if user isn't a member of company.
+   **/
+
+  static async remove(handle, username) {
+    const result = await db.query(
+      `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+      [handle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`${username} is not a member of ${handle}`);
+    }
+  }
+
+  /** helper that returns { name } for company, or throws NotFoundError */
+
+  static async _checkCompany(handle) {
+    const result = await db.query(
+      `SELECT name
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`,
+      [handle]);
+    const company = result.rows[0];
+
+    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    return company;
+  }
+}
+
+
+module.exports = CompanyMember;
@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c1", {
+      username: "u1",
+      role: "owner",
+    });
+    expect(member).toEqual({
+      companyHandle: "c1",
+      username: "u1",
+      role: "owner",
+      addedAt: expect.any(Date),
+    });
+    expect(await CompanyMember.getRole("c1", "u1")).toEqual("owner");
+    expect(await CompanyMember.getRole("c2", "u1")).toBeNull();
+
+    const mailRes = await db.query("SELECT to_email, subject FROM mail_outbox");
+    expect(mailRes.rows).toEqual([{
+      to_email: "u1@email.com",
+      subject: "You've been added to C1 on Jobly",
+    }]);
+  });
+
+  test("bad request if already a member", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    await expect(CompanyMember.add("c1", { username: "u1", role: "recruiter" }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(CompanyMember.add("nope", { username: "u1", role: "owner" }))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(CompanyMember.add("c1", { username: "nope", role: "owner" }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", { username: "u2", role: "recruiter" });
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    const members = await CompanyMember.findAll("c1");
+    expect(members).toEqual([
+      { username: "u1", role: "owner", addedAt: expect.any(Date) },
+      { username: "u2", role: "recruiter", addedAt: expect.any(Date) },
+    ]);
+    expect(await CompanyMember.findAll("c2")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(CompanyMember.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.getRole("c1", "u1")).toBeNull();
+  });
+
+  test("not found if not a member", async function () {
+    await expect(CompanyMember.remove("c1", "u1"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { EMAIL_VERIFICATION_TTL } = require("../config");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification token is emailed to the user's current address; only its
+ * hash is stored, along with the address it was sent to. Tokens expire after
+ * EMAIL_VERIFICATION_TTL seconds and can only be used once.
+ */
+
+class EmailVerification {
+  /** Email a verification token to user's current address; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if email is already verified.
+   **/
+
+  static async send(username) {
+    const userRes = await db.query(
+      `SELECT username, email, email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) throw new BadRequestError("Email already verified");
+
+    const token = createRandomToken();
+
+    await db.query(
+      `INSERT INTO email_verification_tokens
+           (username, email, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+      [username, user.email, hashToken(token), EMAIL_VERIFICATION_TTL]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email",
+      text: `Welcome to Jobly, ${username}!\n\n` +
+        `Your email verification token is: ${token}\n\n` +
+        "Confirm it with GET /auth/verify-email?token=<token>.",
+    });
+  }
+
+  /** Mark user's email verified using a verification token.
+   *
+   * Returns username.
+   *
+   * Throws BadRequestError if token is unknown, expired, already used, or
+   * was sent to an address the user has since changed.
+   **/
+
+  static async confirm(token) {
+    const result = await db.query(
+      `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username, email`,
+      [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired verification token");
+
+    const userRes = await db.query(
+      `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1 AND email = $2
+           RETURNING username`,
+      [found.username, found.email]);
+
+    if (!userRes.rows[0]) {
+      throw new BadRequestError("Invalid or expired verification token");
+    }
+
+    return found.username;
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const EmailVerification = require("./emailVerification.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** send a verification for u1 and return the token from the outbox */
+
+async function sendToken() {
+  await EmailVerification.send("u1");
+  const mailRes = await db.query(
+    "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return mailRes.rows[0].body.match(/token is: (\S+)/)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+
+    const mailRes = await db.query("SELECT to_email, subject FROM mail_outbox");
+    expect(mailRes.rows).toEqual([
+      { to_email: "u1@email.com", subject: "Verify your Jobly email" },
+    ]);
+    const tokenRes = await db.query(
+      "SELECT username, email FROM email_verification_tokens");
+    expect(tokenRes.rows).toEqual([{ username: "u1", email: "u1@email.com" }]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already verified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE");
+    try {
+      await EmailVerification.send("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await sendToken();
+    const username = await EmailVerification.confirm(token);
+    expect(username).toEqual("u1");
+
+    const found = await db.query(
+      "SELECT email_verified FROM users WHERE username = 'u1'");
+    expect(found.rows[0].email_verified).toEqual(true);
+  });
+
+  test("bad request if token used twice", async function () {
+    const token = await sendToken();
+    await EmailVerification.confirm(token);
+    await expect(EmailVerification.confirm(token))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if email changed since", async function () {
+    const token = await sendToken();
+    await db.query(
+      "UPDATE users SET email = 'other@email.com' WHERE username = 'u1'");
+    await expect(EmailVerification.confirm(token))
+      .rejects.toThrow(BadRequestError);
+
+    const found = await db.query(
+      "SELECT email_verified FROM users WHERE username = 'u1'");
+    expect(found.rows[0].email_verified).toEqual(false);
+  });
+
+  test("bad request if expired", async function () {
+    const token = await sendToken();
+    await db.query(
+      "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    await expect(EmailVerification.confirm(token))
+      .rejects.toThrow(BadRequestError);
+  });
+});
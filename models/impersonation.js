@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Related functions for admins impersonating users.
+ *
+ * An admin can act as another user, with a short-lived token (see
+ * createImpersonationToken) to see the site as they do. Each session
+ * started, and every request made with it, is logged here.
+ */
+
+class Impersonation {
+  /** Start admin impersonating user, and log it.
+   *
+   * Returns { username, isAdmin, tokenVersion } for user, to sign a token
+   * with.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if user is an admin, or is admin themselves.
+   **/
+
+  static async start(admin, username) {
+    if (admin === username) {
+      throw new BadRequestError("Cannot impersonate yourself");
+    }
+
+    const result = await db.query(
+      `SELECT username,
+              is_admin AS "isAdmin",
+              token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.isAdmin) {
+      throw new BadRequestError(`Cannot impersonate an admin: ${username}`);
+    }
+
+    await db.query(
+      `INSERT INTO impersonation_log (impersonator, username, event)
+           VALUES ($1, $2, 'start')`,
+      [admin, username]);
+
+    return user;
+  }
+
+  /** Log a request admin made while impersonating user; returns undefined.
+   *
+   * request is { method, path, requestId }
+   **/
+
+  static async logRequest(admin, username, { method, path, requestId = null }) {
+    await db.query(
+      `INSERT INTO impersonation_log
+           (impersonator, username, event, method, path, request_id)
+           VALUES ($1, $2, 'request', $3, $4, $5)`,
+      [admin, username, method, path, requestId]);
+  }
+
+  /** Return the impersonation log for user, newest first:
+   *   [{ id, impersonator, event, method, path, requestId, createdAt }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findAll(username) {
+    const userRes = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1`,
+      [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT id,
+              impersonator,
+              event,
+              method,
+              path,
+              request_id AS "requestId",
+              created_at AS "createdAt"
+           FROM impersonation_log
+           WHERE username = $1
+           ORDER BY id DESC`,
+      [username]);
+
+    // ids are BIGSERIAL, which pg returns as strings
+    return result.rows.map(r => ({ ...r, id: +r.id }));
+  }
+}
+
+
+module.exports = Impersonation;
@@ -0,0 +1,88 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Impersonation = require("./impersonation.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** start */
+
+describe("start", function () {
+  test("works", async function () {
+    const user = await Impersonation.start("u2", "u1");
+    expect(user).toEqual({ username: "u1", isAdmin: false, tokenVersion: 0 });
+
+    const events = await Impersonation.findAll("u1");
+    expect(events).toEqual([{
+      id: expect.any(Number),
+      impersonator: "u2",
+      event: "start",
+      method: null,
+      path: null,
+      requestId: null,
+      createdAt: expect.any(Date),
+    }]);
+  });
+
+  test("bad request for an admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    await expect(Impersonation.start("u2", "u1"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for yourself", async function () {
+    await expect(Impersonation.start("u1", "u1"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Impersonation.start("u2", "nope"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** logRequest */
+
+describe("logRequest", function () {
+  test("works", async function () {
+    await Impersonation.start("u2", "u1");
+    await Impersonation.logRequest("u2", "u1", {
+      method: "PATCH",
+      path: "/users/u1",
+      requestId: "req-1",
+    });
+
+    const [latest] = await Impersonation.findAll("u1");
+    expect(latest).toEqual({
+      id: expect.any(Number),
+      impersonator: "u2",
+      event: "request",
+      method: "PATCH",
+      path: "/users/u1",
+      requestId: "req-1",
+      createdAt: expect.any(Date),
+    });
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: empty", async function () {
+    expect(await Impersonation.findAll("u1")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Impersonation.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -2,7 +2,114 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilters } = require("../helpers/sql");
+const { findPage, parseSort } = require("../helpers/pagination");
+const { applyView, specForRead } = require("../helpers/view");
+const { DELETED_RETENTION } = require("../config");
+
+/** Allowed moves between job statuses.
+ *
+ * Keys are the current status; values are the statuses it may move to.
+ * Jobs are posted when first opened; closed jobs are final.
+ */
+
+const TRANSITIONS = {
+    draft: ["open", "closed"],
+    open: ["paused", "closed"],
+    paused: ["open", "closed"],
+    closed: [],
+};
+
+/** a job's status, as SQL: open and paused jobs read as closed once their
+ * closes_at has passed, even before closeExpired closes them for good */
+const STATUS_SQL = `(CASE WHEN status IN ('open', 'paused') AND closes_at <= NOW()
+                         THEN 'closed'
+                         ELSE status END)`;
+
+/** fields jobs can be sorted on, and their columns */
+const SORT_FIELDS = {
+    id: "id",
+    title: "title",
+    salary: "salary",
+    equity: "equity",
+    companyHandle: "company_handle",
+};
+
+/** fields jobs can be filtered on (see sqlForFilters) */
+const FILTER_FIELDS = {
+    title: { type: "string", column: "title", operators: ["like", "eq"] },
+    salary: {
+        type: "integer",
+        column: "salary",
+        operators: ["eq", "gte", "lte"],
+        aliases: { minSalary: "gte", maxSalary: "lte" },
+        minimum: 0,
+    },
+    hasSalary: { type: "boolean", column: "(salary IS NOT NULL)", operators: ["eq"] },
+    equity: {
+        type: "number",
+        column: "equity",
+        operators: ["eq", "gte", "lte"],
+        aliases: { minEquity: "gte", maxEquity: "lte" },
+        minimum: 0,
+        maximum: 1,
+    },
+    hasEquity: {
+        type: "boolean",
+        column: "(COALESCE(equity, 0.0) > 0.0)",
+        operators: ["eq"],
+    },
+    companyHandle: { type: "string", column: "company_handle", operators: ["eq", "in"] },
+    status: { type: "string", column: STATUS_SQL, operators: ["eq", "in"] },
+    companyNumEmployees: {
+        type: "integer",
+        column: `(SELECT num_employees
+                    FROM companies
+                    WHERE handle = company_handle)`,
+        operators: ["eq", "gte", "lte"],
+        aliases: { companyMinEmployees: "gte", companyMaxEmployees: "lte" },
+        minimum: 0,
+    },
+};
+
+/** return the company of each of jobs, in one query:
+ *   [{ handle, name, description, numEmployees, logoUrl }, ...] */
+
+async function companyOf(jobs) {
+    const result = await db.query(
+        `SELECT handle,
+                name,
+                description,
+                num_employees AS "numEmployees",
+                logo_url AS "logoUrl"
+         FROM companies
+         WHERE handle = ANY($1)`,
+        [jobs.map(j => j.companyHandle)]);
+
+    const companiesByHandle = {};
+    for (const company of result.rows) companiesByHandle[company.handle] = company;
+    return jobs.map(j => companiesByHandle[j.companyHandle]);
+}
+
+/** what reads of jobs can return (see applyView); each read can return
+ * only some of the fields (see specForRead) */
+const VIEW = {
+    fields: [
+        "id",
+        "title",
+        "salary",
+        "equity",
+        "companyHandle",
+        "status",
+        "postedAt",
+        "closesAt",
+        "updatedAt",
+        "deletedAt",
+        "rank",
+        "snippet",
+    ],
+    relations: { company: companyOf },
+};
 
 /** Related functions for jobs. */
 
@@ -11,131 +118,188 @@ class Job {
 
     /** Create a job (from data), update db, return new job data.
      *
-     * data should be {title, salary, equity, company_handle }
+     * data should be {title, salary, equity, company_handle, status, closesAt }
+     *   status is "open" (the default; the job is posted now) or "draft";
+     *   closesAt (optional) is when the job closes
      *
-     * Returns { id, title, salary, equity, company_handle }
+     * Returns { id, title, salary, equity, company_handle, status, postedAt,
+     *           closesAt, updatedAt }
      *
-     * if company_handle doesn't exixt in database, throw BadRequestError
+     * if company_handle doesn't exixt in database (or was deleted), or closesAt
+     * has passed, throw BadRequestError
      * */
 
-    static async create({ title, salary, equity, companyHandle }) {
+    static async create({
+        title,
+        salary,
+        equity,
+        companyHandle,
+        status = "open",
+        closesAt = null,
+    }) {
+        Job._checkClosesAt(closesAt);
+
         const validCompanyCheck = await db.query(
             `SELECT handle
              FROM companies
-             WHERE handle = $1`,
+             WHERE handle = $1 AND deleted_at IS NULL`,
             [companyHandle]);
 
         if (validCompanyCheck.rows.length === 0)
             throw new BadRequestError(`Invalid company handle: ${companyHandle}`);
 
         const result = await db.query(
-            `INSERT INTO jobs(title, salary, equity, company_handle)
-            VALUES ($1, $2, $3, $4)
-            RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
-            [title, salary, equity, companyHandle],
+            `INSERT INTO jobs(title, salary, equity, company_handle, status,
+                              posted_at, closes_at)
+            VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = 'open' THEN NOW() END, $6)
+            RETURNING id,
+                      title,
+                      salary,
+                      equity,
+                      company_handle AS "companyHandle",
+                      status,
+                      posted_at AS "postedAt",
+                      closes_at AS "closesAt",
+                      updated_at AS "updatedAt"`,
+            [title, salary, equity, companyHandle, status, closesAt],
         );
         const job = result.rows[0];
 
         return job;
     }
 
-    /** Find all jobs.
+    /** Find all open jobs, a page at a time (see findPage).
      *
-     * Returns [{ id, title, salary, equity, company_handle }, ...]
+     * page is { limit, cursor, sort }, all optional; sort is as for
+     * filterSearch. view is as for filterSearch.
+     *
+     * Returns { jobs, next, total }
+     *   where jobs is [{ id, title, salary, equity, companyHandle, status,
+     *                    postedAt, closesAt, updatedAt }, ...]
      * */
 
-    static async findAll() {
-        const jobsRes = await db.query(
-            `SELECT id, title, salary, equity, company_handle AS "companyHandle"
-            FROM jobs
-            ORDER BY id`);
-
-        // console.log("jobs in model", jobsRes.rows)
-        return jobsRes.rows;
+    static async findAll(page = {}, view = {}) {
+        return Job.filterSearch({}, page, view);
     }
 
-    /** given an object of search terms, only allow title, minSalary, hasEquity
-     * perform a case insensitive search in jobs database matching all of the search term conditions;
+    /** given an object of search terms (see _makeWhereClause and FILTER_FIELDS),
+     * perform a search in jobs database matching all of the search term conditions;
+     * only open jobs are found, unless searchTerms has a status;
+     * searchTerms can also have q, words to full-text search title and company name for
+     * (as in a web search: "quoted phrases", or, -not);
+     * jobs are ordered by page.sort, a page at a time (see findPage);
+     * sort is like "-salary,title" (see parseSort), on id, title, salary, equity and companyHandle,
+     * and rank (how well a job matches q) when searching;
+     * by default by id, or best match first when searching; ties are broken by id;
      * 
-     *Returns [{ id, title, salary, equity, company_handle}, ...]
+     *Returns { jobs: [{ id, title, salary, equity, companyHandle, status, postedAt,
+     *                  closesAt, updatedAt }, ...], next, total }
+     * when searching, each job also has rank and snippet, its title and company name
+     * with matched words in <b></b>
+     * view is { fields, include, includeDeleted } (see applyView), to return only some fields
+     * of each job, or include its company, as for get; deleted jobs are only found with
+     * includeDeleted, when each job also has deletedAt
+     *
+     * Throws BadRequestError if sort, a search term or view is invalid.
      */
 
-    static async filterSearch(searchTerms) {
-        // console.log(searchTerms, "search terms");
-
-        const { whereClause, values } = Job._makeWhereClause(searchTerms);
+    static async filterSearch(searchTerms, page = {}, view = {}) {
+        const { q, status = "open", ...filters } = searchTerms;
+        const { whereClause, values } = Job._makeWhereClause({ status, ...filters });
+        const where = whereClause ? [whereClause] : [];
+        const sortFields = { ...SORT_FIELDS };
+        let select = `id,
+                      title,
+                      salary,
+                      equity,
+                      company_handle AS "companyHandle",
+                      ${STATUS_SQL} AS status,
+                      posted_at AS "postedAt",
+                      closes_at AS "closesAt",
+                      updated_at AS "updatedAt"`;
+
+        if (view.includeDeleted) {
+            select += `, deleted_at AS "deletedAt"`;
+        } else {
+            where.push("deleted_at IS NULL");
+        }
 
-        // console.log(whereClause, "where clause");
-        const jobs = await db.query(
-            `SELECT id, title, salary, equity, company_handle AS "companyHandle"
-              FROM jobs
-              WHERE ${whereClause}   
-              ORDER BY id`,
-            values);
+        if (q) {
+            values.push(q);
+            const query = `websearch_to_tsquery('english', $${values.length})`;
+            where.push(`search_vector @@ ${query}`);
+            sortFields.rank = `ts_rank(search_vector, ${query})`;
+            select += `, ${sortFields.rank} AS rank,
+                      ts_headline('english',
+                                  title || ' at ' || (SELECT name
+                                                        FROM companies
+                                                        WHERE handle = company_handle),
+                                  ${query}) AS snippet`;
+        }
 
-        return jobs.rows;
+        const { rows, next, total } = await findPage({
+            select,
+            from: "jobs",
+            where,
+            values,
+            orderBy: parseSort(
+                page.sort || (q ? "-rank" : "id"), sortFields, "id"),
+        }, page);
+
+        const spec = specForRead(
+            VIEW, { includeDeleted: view.includeDeleted, searching: !!q });
+        return { jobs: await applyView(rows, view, spec), next, total };
     }
 
-    /** helper function that takes an object of searchTerms, 
-     * creates where clasues to be used in db queries, and an array of values with corresponding clause
-     * searchTerms should at most contain three keys: title, minSalary, hasEquity
-     * if hasEquity is true, search for non-zero equity values, if false, search all 
-     * 
-     * return {whereClause:`title=$1 AND salary>=$2`, values: [...]}
+    /** helper function that takes an object of searchTerms (see sqlForFilters
+     * and FILTER_FIELDS), and returns
+     * {whereClause:`title ILIKE $1 AND salary >= $2`, values: [...]}
+     *   whereClause is "" if there are no searchTerms
+     *
+     * Throws BadRequestError if a search term is bad, or a range is empty.
      */
     static _makeWhereClause(searchTerms) {
-        let clauses = [];
-        let values = [];
-
-        const { title, minSalary, hasEquity } = searchTerms;
-
-        //check for each item in searchTerms, add corresponding clauses and values to array
-        if (title) {
-            clauses.push(`title ILIKE $${values.length + 1}`);
-            values.push(`%${title}%`)
-        }
-
-        if (minSalary) {
-            clauses.push(`salary >= $${values.length + 1}`);
-            values.push(minSalary);
-        }
-
-        if (hasEquity === "true") {
-            clauses.push(`equity > 0.0`);
-        } else {
-            clauses.push(`1=1`);
-        }
-
-
-        // if hasEquity is "false", pass in a generic statament so it will include all
-        // this will prevent from having an empty where clause for search query
-
-        //join all clauses to be one string connected by "AND"
-        const whereClause = clauses.join(" AND ")
-        return { whereClause, values };
+        return sqlForFilters(searchTerms, FILTER_FIELDS);
     }
 
 
-    /** Given a job id, return data about a job.
+    /** Given a job id, return data about a job, whatever its status.
      *
-     * Returns { id, title, salary, equity, companyHandle }
-     *   
-     * Throws NotFoundError if not found.
+     * Returns { id, title, salary, equity, companyHandle, status, postedAt,
+     *           closesAt, updatedAt }
+     *   with company { handle, name, description, numEmployees, logoUrl }
+     *   if view (see applyView) includes it
+     *
+     * A deleted job is only found if view has includeDeleted, which also adds
+     * deletedAt.
+     *
+     * Throws NotFoundError if not found, BadRequestError if view is invalid.
      **/
 
-    static async get(id) {
-
+    static async get(id, view = {}) {
+        const deletedCol = view.includeDeleted ? `, deleted_at AS "deletedAt"` : "";
+        const notDeleted = view.includeDeleted ? "" : "AND deleted_at IS NULL";
         const jobRes = await db.query(
-            `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+            `SELECT id,
+                    title,
+                    salary,
+                    equity,
+                    company_handle AS "companyHandle",
+                    ${STATUS_SQL} AS status,
+                    posted_at AS "postedAt",
+                    closes_at AS "closesAt",
+                    updated_at AS "updatedAt"${deletedCol}
             FROM jobs
-            WHERE id = $1`,
+            WHERE id = $1 ${notDeleted}`,
             [id]);
 
         const job = jobRes.rows[0];
 
         if (!job) throw new NotFoundError(`No job id: ${id}`);
 
-        return job;
+        const spec = specForRead(VIEW, { includeDeleted: view.includeDeleted });
+        const [shown] = await applyView([job], view, spec);
+        return shown;
     }
 
     /** Update job data with `data`.
@@ -143,27 +307,41 @@ class Job {
      * This is a "partial update" --- it's fine if data doesn't contain all the
      * fields; this only changes provided ones.
      *
-     * Data can include: {title, salary, equity}
+     * Data can include: {title, salary, equity, closesAt}
+     *   (status is changed with updateStatus)
      *
-     * Returns {id, title, salary, equity, companyHandle}
+     * Returns {id, title, salary, equity, companyHandle, status, postedAt,
+     *          closesAt, updatedAt}
      *
-     * Throws NotFoundError if not found.
+     * Throws NotFoundError if not found, BadRequestError if closesAt has
+     * passed.
      */
 
     static async update(id, data) {
+        if (data.closesAt) Job._checkClosesAt(data.closesAt);
+
         const { setCols, values } = sqlForPartialUpdate(
             data,
             {
                 title: "title",
                 salary: "salary",
-                equity: "equity"
+                equity: "equity",
+                closesAt: "closes_at",
             });
         const idVarIdx = "$" + (values.length + 1);
 
         const querySql = `UPDATE jobs
-                        SET ${setCols}
-                        WHERE id=${idVarIdx}
-                        RETURNING id, title, salary, equity, company_handle as "companyHandle"`;
+                        SET ${setCols}, updated_at = NOW()
+                        WHERE id=${idVarIdx} AND deleted_at IS NULL
+                        RETURNING id,
+                                  title,
+                                  salary,
+                                  equity,
+                                  company_handle as "companyHandle",
+                                  ${STATUS_SQL} AS status,
+                                  posted_at AS "postedAt",
+                                  closes_at AS "closesAt",
+                                  updated_at AS "updatedAt"`;
 
         const result = await db.query(querySql, [...values, id]);
         const job = result.rows[0];
@@ -173,23 +351,166 @@ class Job {
         return job;
     }
 
-    /** Delete given job from database; returns undefined.
+    /** Move a job to `status` (see TRANSITIONS); opening a job for the first
+     * time posts it.
+     *
+     * Returns {id, title, salary, equity, companyHandle, status, postedAt,
+     *          closesAt, updatedAt}
+     *
+     * Throws NotFoundError if not found.
+     * Throws BadRequestError if the move is not allowed from the current
+     * status, or opening a job whose closesAt has passed.
+     */
+
+    static async updateStatus(id, status) {
+        const currentRes = await db.query(
+            `SELECT ${STATUS_SQL} AS status, closes_at AS "closesAt"
+             FROM jobs
+             WHERE id = $1 AND deleted_at IS NULL`,
+            [id]);
+        const current = currentRes.rows[0];
+
+        if (!current) throw new NotFoundError(`No job id: ${id}`);
+
+        const allowed = TRANSITIONS[current.status];
+        if (!allowed.includes(status)) {
+            const options = allowed.length
+                ? `allowed: ${allowed.join(", ")}`
+                : "no further changes allowed";
+            throw new BadRequestError(
+                `Cannot change job from ${current.status} to ${status}; ${options}`);
+        }
+        if (status === "open") Job._checkClosesAt(current.closesAt);
+
+        const result = await db.query(
+            `UPDATE jobs
+             SET status = $1,
+                 posted_at = CASE WHEN $1 = 'open'
+                                  THEN COALESCE(posted_at, NOW())
+                                  ELSE posted_at END,
+                 updated_at = NOW()
+             WHERE id = $2
+             RETURNING id,
+                       title,
+                       salary,
+                       equity,
+                       company_handle AS "companyHandle",
+                       status,
+                       posted_at AS "postedAt",
+                       closes_at AS "closesAt",
+                       updated_at AS "updatedAt"`,
+            [status, id]);
+
+        return result.rows[0];
+    }
+
+    /** Close the open and paused jobs whose closesAt has passed, as of when
+     * it passed.
+     *
+     * Reads already count these jobs as closed (see STATUS_SQL); this makes
+     * it so in the database. Run it from a scheduler (see closeJobs.js).
+     *
+     * Returns [{ id, fromStatus }, ...] of the jobs closed.
+     */
+
+    static async closeExpired() {
+        const result = await db.query(
+            `UPDATE jobs AS j
+             SET status = 'closed', updated_at = j.closes_at
+             FROM jobs AS old
+             WHERE old.id = j.id
+               AND j.status IN ('open', 'paused')
+               AND j.closes_at <= NOW()
+             RETURNING j.id, old.status AS "fromStatus"`);
+        return result.rows;
+    }
+
+    /** helper that throws BadRequestError if closesAt (a date, or a string
+     * for one) has passed */
+
+    static _checkClosesAt(closesAt) {
+        if (closesAt && new Date(closesAt) <= new Date()) {
+            throw new BadRequestError("closesAt must be in the future");
+        }
+    }
+
+    /** Delete given job until restored (see restore) or purged (see
+     * purgeDeleted); returns undefined.
      *
      * Throws NotFoundError if job not found.
      **/
 
     static async remove(id) {
         const result = await db.query(
-            `DELETE
-           FROM jobs
-           WHERE id = $1
-           RETURNING id`,
+            `UPDATE jobs
+             SET deleted_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL
+             RETURNING id`,
             [id]);
         const job = result.rows[0];
 
         if (!job) throw new NotFoundError(`No job id: ${id}`);
     }
 
+    /** Restore given deleted job.
+     *
+     * Returns {id, title, salary, equity, companyHandle, status, postedAt,
+     *          closesAt, updatedAt}
+     *
+     * Throws NotFoundError if there's no such deleted job.
+     * Throws BadRequestError if its company is deleted; restoring the company
+     * restores the jobs deleted with it.
+     */
+
+    static async restore(id) {
+        const deletedRes = await db.query(
+            `SELECT j.company_handle AS "companyHandle",
+                    c.deleted_at IS NOT NULL AS "companyDeleted"
+             FROM jobs AS j
+                    JOIN companies AS c ON c.handle = j.company_handle
+             WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+            [id]);
+        const deleted = deletedRes.rows[0];
+
+        if (!deleted) throw new NotFoundError(`No deleted job id: ${id}`);
+        if (deleted.companyDeleted) {
+            throw new BadRequestError(
+                `Restore company ${deleted.companyHandle} first`);
+        }
+
+        const result = await db.query(
+            `UPDATE jobs
+             SET deleted_at = NULL
+             WHERE id = $1
+             RETURNING id,
+                       title,
+                       salary,
+                       equity,
+                       company_handle AS "companyHandle",
+                       ${STATUS_SQL} AS status,
+                       posted_at AS "postedAt",
+                       closes_at AS "closesAt",
+                       updated_at AS "updatedAt"`,
+            [id]);
+
+        return result.rows[0];
+    }
+
+    /** Delete for good jobs deleted more than retention seconds ago
+     * (DELETED_RETENTION by default), with their applications.
+     *
+     * Returns the number of jobs purged.
+     */
+
+    static async purgeDeleted(retention = DELETED_RETENTION) {
+        const result = await db.query(
+            `DELETE
+             FROM jobs
+             WHERE deleted_at < NOW() - make_interval(secs => $1)`,
+            [retention]);
+        return result.rowCount;
+    }
+
 }
 
 
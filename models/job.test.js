@@ -14,6 +14,14 @@ let testJobId1;
 let testJobId2;
 let testJobId3;
 
+// the status and dates of a job just made open
+const lifecycle = {
+    status: "open",
+    postedAt: expect.any(Date),
+    closesAt: null,
+    updatedAt: expect.any(Date),
+};
+
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 beforeEach(async function () {
@@ -67,7 +75,8 @@ describe("create", function () {
             title: "new job",
             salary: 3000,
             equity: "0.003",
-            companyHandle: "c3"
+            companyHandle: "c3",
+            ...lifecycle,
         });
 
         const result = await db.query(
@@ -111,7 +120,7 @@ describe("create", function () {
 describe("findAll", function () {
     test("works: no filter", async function () {
 
-        const jobs = await Job.findAll();
+        const { jobs } = await Job.findAll();
 
         // console.log(jobs, "jobs in test")
         expect(jobs).toEqual([
@@ -120,26 +129,114 @@ describe("findAll", function () {
                 title: "testJob1",
                 salary: 1000,
                 equity: "0.001",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                ...lifecycle,
             },
             {
                 id: testJobId2,
                 title: "testJob2",
                 salary: 2000,
                 equity: "0",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                ...lifecycle,
             },
             {
                 id: testJobId3,
                 title: "testJob3",
                 salary: 3000,
                 equity: null,
-                companyHandle: "c3"
+                companyHandle: "c3",
+                ...lifecycle,
             }
         ]);
     });
 });
 
+/************************************** findAll, with a view */
+
+describe("findAll, with a view", function () {
+    test("works: each job with its company", async function () {
+        const { jobs } = await Job.findAll(
+            { sort: "-salary" }, { fields: ["title"], include: ["company"] });
+        expect(jobs.map(j => [j.title, j.company.handle])).toEqual([
+            ["testJob3", "c3"],
+            ["testJob2", "c2"],
+            ["testJob1", "c1"],
+        ]);
+        expect(Object.keys(jobs[0])).toEqual(["title", "company"]);
+    });
+});
+
+/************************************** findAll, sorted */
+
+describe("findAll, sorted", function () {
+    test("works: descending, nulls last", async function () {
+        const { jobs } = await Job.findAll({ sort: "-equity" });
+        expect(jobs.map(j => j.title))
+            .toEqual(["testJob1", "testJob2", "testJob3"]);
+    });
+
+    test("works: pages through ties and nulls", async function () {
+        await db.query(
+            `UPDATE jobs SET salary = NULL WHERE title = 'testJob1'`);
+        await db.query(
+            `UPDATE jobs SET salary = 2000 WHERE title = 'testJob3'`);
+
+        const titles = [];
+        let cursor;
+        do {
+            const page = await Job.findAll({ limit: 1, sort: "-salary", cursor });
+            titles.push(...page.jobs.map(j => j.title));
+            cursor = page.next;
+        } while (cursor);
+        expect(titles).toEqual(["testJob2", "testJob3", "testJob1"]);
+    });
+
+    test("bad request for unknown field", async function () {
+        await expect(Job.findAll({ sort: "nope" }))
+            .rejects.toThrow(BadRequestError);
+    });
+});
+
+/************************************** filterSearch, full-text */
+
+describe("filterSearch, full-text", function () {
+    test("works: on title, stemmed", async function () {
+        await db.query(
+            `UPDATE jobs SET title = 'Senior Engineer' WHERE id = $1`, [testJobId1]);
+        const { jobs, total } = await Job.filterSearch({ q: "engineering" });
+        expect(total).toEqual(1);
+        expect(jobs).toEqual([{
+            id: testJobId1,
+            title: "Senior Engineer",
+            salary: 1000,
+            equity: "0.001",
+            companyHandle: "c1",
+            ...lifecycle,
+            rank: expect.any(Number),
+            snippet: "Senior <b>Engineer</b> at C1",
+        }]);
+    });
+
+    test("works: on company name, kept up to date", async function () {
+        await db.query(`UPDATE companies SET name = 'Acme Robotics' WHERE handle = 'c2'`);
+        const { jobs } = await Job.filterSearch({ q: "robotics" });
+        expect(jobs.map(j => j.id)).toEqual([testJobId2]);
+    });
+
+    test("works: pages by rank", async function () {
+        await db.query(`UPDATE jobs SET title = 'Engineer'`);
+        await db.query(
+            `UPDATE jobs SET title = 'Engineer, Engineering' WHERE id = $1`, [testJobId3]);
+        const page1 = await Job.filterSearch({ q: "engineer" }, { limit: 2 });
+        const page2 = await Job.filterSearch(
+            { q: "engineer" }, { limit: 2, cursor: page1.next });
+        expect([...page1.jobs, ...page2.jobs].map(j => j.id))
+            .toEqual([testJobId3, testJobId1, testJobId2]);
+        expect(page2.next).toBeNull();
+    });
+});
+
 /************************************** findAll with filter search*/
 describe("test helper function _makeWhereClause", function () {
 
@@ -147,12 +244,13 @@ describe("test helper function _makeWhereClause", function () {
         const result = Job._makeWhereClause({
             title: "test",
             minSalary: 1000,
-            hasEquity: "true"
+            hasEquity: true
 
         });
         expect(result).toEqual({
-            whereClause: "title ILIKE $1 AND salary >= $2 AND equity > 0.0",
-            values: ["%test%", 1000]
+            whereClause: "title ILIKE $1 AND salary >= $2"
+                + " AND (COALESCE(equity, 0.0) > 0.0) = $3",
+            values: ["%test%", 1000, true]
         });
     });
 
@@ -160,19 +258,51 @@ describe("test helper function _makeWhereClause", function () {
         const result = Job._makeWhereClause({
             title: "test",
             minSalary: 1000,
-            hasEquity: "false"
+            hasEquity: false
 
         });
         expect(result).toEqual({
-            whereClause: "title ILIKE $1 AND salary >= $2 AND 1=1",
-            values: ["%test%", 1000]
+            whereClause: "title ILIKE $1 AND salary >= $2"
+                + " AND (COALESCE(equity, 0.0) > 0.0) = $3",
+            values: ["%test%", 1000, false]
         });
     });
+
+    test("pass in ranges, handles and company size", function () {
+        const result = Job._makeWhereClause({
+            maxSalary: 2000,
+            hasSalary: true,
+            minEquity: 0.1,
+            maxEquity: 0.5,
+            companyHandle: ["c1", "c2"],
+            companyMinEmployees: 0,
+        });
+        expect(result.whereClause.replace(/\s+/g, " ")).toEqual(
+            "salary <= $1 AND (salary IS NOT NULL) = $2 AND equity >= $3 AND equity <= $4" +
+            " AND company_handle = ANY($5)" +
+            " AND (SELECT num_employees FROM companies WHERE handle = company_handle) >= $6");
+        expect(result.values).toEqual([2000, true, 0.1, 0.5, ["c1", "c2"], 0]);
+    });
+
+    test("pass in no filters", function () {
+        expect(Job._makeWhereClause({})).toEqual({ whereClause: "", values: [] });
+    });
+
+    test("bad request if a min is more than its max", function () {
+        expect(() => Job._makeWhereClause({ minSalary: 2, maxSalary: 1 }))
+            .toThrow(BadRequestError);
+        expect(() => Job._makeWhereClause({ minEquity: 0.2, maxEquity: 0.1 }))
+            .toThrow(BadRequestError);
+        expect(() => Job._makeWhereClause({
+            companyMinEmployees: 5,
+            companyMaxEmployees: 1,
+        })).toThrow(BadRequestError);
+    });
 });
 
 describe("filterSearch", function () {
     test("works with one filter", async function () {
-        const jobs = await Job.filterSearch({
+        const { jobs } = await Job.filterSearch({
             title: "test"
         });
         expect(jobs).toEqual([
@@ -181,28 +311,31 @@ describe("filterSearch", function () {
                 title: "testJob1",
                 salary: 1000,
                 equity: "0.001",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                ...lifecycle,
             },
             {
                 id: testJobId2,
                 title: "testJob2",
                 salary: 2000,
                 equity: "0",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                ...lifecycle,
             },
             {
                 id: testJobId3,
                 title: "testJob3",
                 salary: 3000,
                 equity: null,
-                companyHandle: "c3"
+                companyHandle: "c3",
+                ...lifecycle,
             }
         ]);
     });
     test("works with two filters", async function () {
-        const jobs = await Job.filterSearch({
+        const { jobs } = await Job.filterSearch({
             minSalary: 1500,
-            hasEquity: "false"
+            hasEquity: false
         });
         expect(jobs).toEqual([
             {
@@ -210,23 +343,25 @@ describe("filterSearch", function () {
                 title: "testJob2",
                 salary: 2000,
                 equity: "0",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                ...lifecycle,
             },
             {
                 id: testJobId3,
                 title: "testJob3",
                 salary: 3000,
                 equity: null,
-                companyHandle: "c3"
+                companyHandle: "c3",
+                ...lifecycle,
             }
         ]);
     });
 
     test("works with three filters", async function () {
-        const jobs = await Job.filterSearch({
+        const { jobs } = await Job.filterSearch({
             title: "test",
             minSalary: 800,
-            hasEquity: "true"
+            hasEquity: true
         });
         expect(jobs).toEqual([
             {
@@ -234,7 +369,8 @@ describe("filterSearch", function () {
                 title: "testJob1",
                 salary: 1000,
                 equity: "0.001",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                ...lifecycle,
             }
         ]);
     });
@@ -251,10 +387,34 @@ describe("get", function () {
             title: "testJob1",
             salary: 1000,
             equity: "0.001",
-            companyHandle: "c1"
+            companyHandle: "c1",
+            ...lifecycle,
+        });
+    });
+
+    test("works: with a view", async function () {
+        const job = await Job.get(testJobId1, {
+            fields: ["id", "title"],
+            include: ["company"],
+        });
+        expect(job).toEqual({
+            id: testJobId1,
+            title: "testJob1",
+            company: {
+                handle: "c1",
+                name: "C1",
+                description: "Desc1",
+                numEmployees: 1,
+                logoUrl: "http://c1.img",
+            },
         });
     });
 
+    test("bad request for unknown relation", async function () {
+        await expect(Job.get(testJobId1, { include: ["applicants"] }))
+            .rejects.toThrow(BadRequestError);
+    });
+
     test("not found if no such company", async function () {
         try {
             await Job.get(999999);
@@ -281,7 +441,8 @@ describe("update", function () {
             title: "new-testJob1",
             salary: 10000,
             equity: "0.0001",
-            companyHandle: 'c1'
+            companyHandle: 'c1',
+            ...lifecycle,
         });
 
         const result = await db.query(
@@ -308,7 +469,8 @@ describe("update", function () {
             title: "new-testJob1",
             salary: null,
             equity: null,
-            companyHandle: 'c1'
+            companyHandle: 'c1',
+            ...lifecycle,
         });
 
         const result = await db.query(
@@ -342,16 +504,144 @@ describe("update", function () {
     });
 });
 
+/************************************** statuses */
+
+describe("create, as a draft", function () {
+    test("works: not posted, and not listed", async function () {
+        const job = await Job.create({
+            title: "draft",
+            salary: 100,
+            equity: 0,
+            companyHandle: "c1",
+            status: "draft",
+        });
+        expect(job).toEqual(expect.objectContaining({
+            status: "draft",
+            postedAt: null,
+        }));
+
+        const { jobs } = await Job.filterSearch({ title: "draft" });
+        expect(jobs).toEqual([]);
+    });
+
+    test("bad request if closesAt has passed", async function () {
+        await expect(Job.create({
+            title: "late",
+            companyHandle: "c1",
+            closesAt: "2000-01-01T00:00:00Z",
+        })).rejects.toThrow("closesAt must be in the future");
+    });
+});
+
+describe("updateStatus", function () {
+    test("works: opening a draft posts it", async function () {
+        const draft = await Job.create(
+            { title: "draft", companyHandle: "c1", status: "draft" });
+        const job = await Job.updateStatus(draft.id, "open");
+        expect(job).toEqual(expect.objectContaining(
+            { id: draft.id, status: "open", postedAt: expect.any(Date) }));
+    });
+
+    test("works: pausing and reopening keeps postedAt", async function () {
+        const { postedAt } = await Job.get(testJobId1);
+        await Job.updateStatus(testJobId1, "paused");
+
+        const { jobs } = await Job.filterSearch({ title: "testJob1" });
+        expect(jobs).toEqual([]);
+
+        const job = await Job.updateStatus(testJobId1, "open");
+        expect(job.postedAt).toEqual(postedAt);
+    });
+
+    test("bad request for a move not allowed", async function () {
+        await expect(Job.updateStatus(testJobId1, "open"))
+            .rejects.toThrow("Cannot change job from open to open; allowed: paused, closed");
+    });
+
+    test("bad request for any move once closed", async function () {
+        await Job.updateStatus(testJobId1, "closed");
+        await expect(Job.updateStatus(testJobId1, "open"))
+            .rejects.toThrow("Cannot change job from closed to open; no further changes allowed");
+    });
+
+    test("not found if no such job", async function () {
+        await expect(Job.updateStatus(0, "open")).rejects.toThrow(NotFoundError);
+    });
+});
+
+describe("jobs past closesAt", function () {
+    beforeEach(async function () {
+        await db.query(
+            `UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day'
+             WHERE id = $1`,
+            [testJobId1]);
+    });
+
+    test("read as closed", async function () {
+        const { jobs } = await Job.filterSearch({});
+        expect(jobs.map(j => j.id)).toEqual([testJobId2, testJobId3]);
+        const { jobs: closed } = await Job.filterSearch({ status: "closed" });
+        expect(closed.map(j => [j.id, j.status])).toEqual([[testJobId1, "closed"]]);
+
+        const job = await Job.get(testJobId1);
+        expect(job.status).toEqual("closed");
+        await expect(Job.updateStatus(testJobId1, "paused"))
+            .rejects.toThrow("Cannot change job from closed to paused");
+
+        // reads leave the database alone
+        const found = await db.query(
+            "SELECT status FROM jobs WHERE id = $1", [testJobId1]);
+        expect(found.rows[0].status).toEqual("open");
+    });
+
+    test("closeExpired closes them as of closesAt", async function () {
+        await db.query(
+            "UPDATE jobs SET status = 'paused' WHERE id = $1", [testJobId1]);
+        expect(await Job.closeExpired()).toEqual(
+            [{ id: testJobId1, fromStatus: "paused" }]);
+
+        const found = await db.query(
+            `SELECT status, updated_at = closes_at AS "closedAtClosesAt"
+             FROM jobs WHERE id = $1`,
+            [testJobId1]);
+        expect(found.rows[0]).toEqual({ status: "closed", closedAtClosesAt: true });
+        expect(await Job.closeExpired()).toEqual([]);
+    });
+});
+
+describe("filterSearch, by status", function () {
+    test("works", async function () {
+        await Job.updateStatus(testJobId2, "paused");
+        await Job.updateStatus(testJobId3, "closed");
+
+        const { jobs } = await Job.filterSearch(
+            { status: { in: ["paused", "closed"] } });
+        expect(jobs.map(j => [j.id, j.status])).toEqual([
+            [testJobId2, "paused"],
+            [testJobId3, "closed"],
+        ]);
+    });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
     test("works", async function () {
         await Job.remove(`${testJobId1}`);
         const res = await db.query(
-            "SELECT title FROM jobs WHERE id=$1", [testJobId1]);
+            "SELECT title FROM jobs WHERE id=$1 AND deleted_at IS NULL", [testJobId1]);
         expect(res.rows.length).toEqual(0);
     });
 
+    test("works: hides the job", async function () {
+        await Job.remove(testJobId1);
+        const { jobs } = await Job.findAll();
+        expect(jobs.map(j => j.id)).toEqual([testJobId2, testJobId3]);
+        await expect(Job.get(testJobId1)).rejects.toThrow(NotFoundError);
+        await expect(Job.update(testJobId1, { title: "new" }))
+            .rejects.toThrow(NotFoundError);
+    });
+
     test("not found if no such job", async function () {
         try {
             await Job.remove(999999);
@@ -361,3 +651,66 @@ describe("remove", function () {
         }
     });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+    test("works", async function () {
+        await Job.remove(testJobId1);
+        const job = await Job.restore(testJobId1);
+        expect(job).toEqual({
+            id: testJobId1,
+            title: "testJob1",
+            salary: 1000,
+            equity: "0.001",
+            companyHandle: "c1",
+            ...lifecycle,
+        });
+        expect((await Job.get(testJobId1)).id).toEqual(testJobId1);
+    });
+
+    test("bad request if its company is deleted", async function () {
+        await db.query("UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'");
+        await Job.remove(testJobId1);
+        await expect(Job.restore(testJobId1))
+            .rejects.toThrow("Restore company c1 first");
+    });
+
+    test("not found if not deleted", async function () {
+        await expect(Job.restore(testJobId1)).rejects.toThrow(NotFoundError);
+    });
+});
+
+/************************************** includeDeleted */
+
+describe("includeDeleted", function () {
+    test("works", async function () {
+        await Job.remove(testJobId1);
+
+        const { jobs } = await Job.findAll(
+            {}, { fields: ["id", "deletedAt"], includeDeleted: true });
+        expect(jobs).toEqual([
+            { id: testJobId1, deletedAt: expect.any(Date) },
+            { id: testJobId2, deletedAt: null },
+            { id: testJobId3, deletedAt: null },
+        ]);
+        const job = await Job.get(testJobId1, { includeDeleted: true });
+        expect(job.deletedAt).toEqual(expect.any(Date));
+    });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+    test("works: only those deleted before the retention window", async function () {
+        await Job.remove(testJobId1);
+        await Job.remove(testJobId2);
+        await db.query(
+            "UPDATE jobs SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1",
+            [testJobId1]);
+
+        expect(await Job.purgeDeleted()).toEqual(1);
+        const res = await db.query("SELECT id FROM jobs ORDER BY id");
+        expect(res.rows.map(r => r.id)).toEqual([testJobId2, testJobId3]);
+    });
+});
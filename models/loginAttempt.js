@@ -0,0 +1,194 @@
+"use strict";
+
+const db = require("../db");
+const {
+  LockedError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../expressError");
+const config = require("../config");
+
+/** Related functions for throttling password logins.
+ *
+ * Every password login is recorded by username and IP. Failures count until
+ * the user next logs in successfully, or until they're older than
+ * LOGIN_WINDOW seconds:
+ *
+ * - after LOGIN_DELAY_AFTER failures for a username, each retry must wait
+ *   twice as long as the one before (1s, 2s, 4s... up to LOGIN_MAX_DELAY)
+ * - after LOCKOUT_AFTER failures the account is locked for LOCKOUT_DURATION
+ *   seconds, or until an admin unlocks it
+ * - an IP with LOGIN_IP_MAX_FAILURES failures, across any usernames, is
+ *   refused until they age out
+ *
+ * Lockouts and unlocks are recorded in security_events.
+ */
+
+class LoginAttempt {
+  /** Check that username may try to log in from ip; returns undefined.
+   *
+   * Throws LockedError if the account is locked.
+   * Throws TooManyRequestsError if ip has too many failures, or username
+   * must wait before trying again.
+   **/
+
+  static async check(username, ip) {
+    const lockRes = await db.query(
+      `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int AS "lockedFor"
+           FROM users
+           WHERE username = $1 AND locked_until > NOW()`,
+      [username]);
+    const lock = lockRes.rows[0];
+
+    if (lock) {
+      throw new LockedError(
+        `Account locked after too many failed logins; ` +
+        `try again in ${lock.lockedFor} seconds`,
+        lock.lockedFor);
+    }
+
+    const ipRes = await db.query(
+      `SELECT COUNT(*)::int AS failures
+           FROM login_attempts
+           WHERE ip = $1
+             AND NOT succeeded
+             AND attempted_at > NOW() - make_interval(secs => $2)`,
+      [ip, config.LOGIN_WINDOW]);
+
+    if (ipRes.rows[0].failures >= config.LOGIN_IP_MAX_FAILURES) {
+      throw new TooManyRequestsError(
+        "Too many failed logins from this address; try again later",
+        config.LOGIN_WINDOW);
+    }
+
+    const { failures, secondsSinceLast } =
+      await LoginAttempt._recentFailures(username);
+    if (failures < config.LOGIN_DELAY_AFTER) return;
+
+    const delay = Math.min(
+      2 ** (failures - config.LOGIN_DELAY_AFTER),
+      config.LOGIN_MAX_DELAY);
+    const wait = Math.ceil(delay - secondsSinceLast);
+
+    if (wait > 0) {
+      throw new TooManyRequestsError(
+        `Too many failed logins; try again in ${wait} seconds`, wait);
+    }
+  }
+
+  /** Record a failed login for username from ip; returns undefined.
+   *
+   * Locks the account if this failure reaches LOCKOUT_AFTER.
+   **/
+
+  static async recordFailure(username, ip) {
+    await db.query(
+      `INSERT INTO login_attempts (username, ip, succeeded)
+           VALUES ($1, $2, FALSE)`,
+      [username, ip]);
+
+    const { failures } = await LoginAttempt._recentFailures(username);
+    if (failures < config.LOCKOUT_AFTER) return;
+
+    const lockRes = await db.query(
+      `UPDATE users
+           SET locked_until = NOW() + make_interval(secs => $1)
+           WHERE username = $2
+           RETURNING username`,
+      [config.LOCKOUT_DURATION, username]);
+
+    if (lockRes.rows[0]) {
+      await LoginAttempt._recordEvent("lockout", { username, ip });
+    }
+  }
+
+  /** Record a successful login for username from ip, which resets their
+   * failure count; returns undefined. */
+
+  static async recordSuccess(username, ip) {
+    await db.query(
+      `INSERT INTO login_attempts (username, ip, succeeded)
+           VALUES ($1, $2, TRUE)`,
+      [username, ip]);
+  }
+
+  /** Unlock user's account and clear their failed logins, on behalf of
+   * admin `actor`; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async unlock(username, actor) {
+    const result = await db.query(
+      `UPDATE users
+           SET locked_until = NULL
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING username`,
+      [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+      `DELETE
+           FROM login_attempts
+           WHERE username = $1 AND NOT succeeded`,
+      [username]);
+
+    await LoginAttempt._recordEvent("unlock", { username, actor });
+  }
+
+  /** Find lockout and unlock events, newest first.
+   *
+   * Optional filter: { username }
+   *
+   * Returns [{ id, eventType, username, ip, actor, createdAt }, ...]
+   **/
+
+  static async events({ username } = {}) {
+    const result = await db.query(
+      `SELECT id,
+              event_type AS "eventType",
+              username,
+              ip,
+              actor,
+              created_at AS "createdAt"
+           FROM security_events
+           WHERE $1::text IS NULL OR username = $1
+           ORDER BY id DESC`,
+      [username ?? null]);
+    return result.rows;
+  }
+
+  /** helper that returns { failures, secondsSinceLast } for username's
+   * failures since their last successful login, within LOGIN_WINDOW */
+
+  static async _recentFailures(username) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS failures,
+              EXTRACT(EPOCH FROM NOW() - MAX(attempted_at))::float
+                AS "secondsSinceLast"
+           FROM login_attempts
+           WHERE username = $1
+             AND NOT succeeded
+             AND attempted_at > NOW() - make_interval(secs => $2)
+             AND id > COALESCE(
+                   (SELECT MAX(id)
+                        FROM login_attempts
+                        WHERE username = $1 AND succeeded),
+                   0)`,
+      [username, config.LOGIN_WINDOW]);
+    return result.rows[0];
+  }
+
+  /** helper that records a security event of type `eventType` */
+
+  static async _recordEvent(eventType, { username, ip = null, actor = null }) {
+    await db.query(
+      `INSERT INTO security_events (event_type, username, ip, actor)
+           VALUES ($1, $2, $3, $4)`,
+      [eventType, username, ip, actor]);
+  }
+}
+
+
+module.exports = LoginAttempt;
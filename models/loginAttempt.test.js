@@ -0,0 +1,165 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  LockedError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../expressError");
+const LoginAttempt = require("./loginAttempt.js");
+const config = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** record `count` failures for username from ip */
+
+async function failLogins(username, count, ip = "1.1.1.1") {
+  for (let i = 0; i < count; i++) {
+    await LoginAttempt.recordFailure(username, ip);
+  }
+}
+
+/** move every recorded attempt `seconds` into the past */
+
+async function age(seconds) {
+  await db.query(
+    `UPDATE login_attempts
+         SET attempted_at = attempted_at - make_interval(secs => $1)`,
+    [seconds]);
+}
+
+/************************************** check */
+
+describe("check", function () {
+  test("works with no failures", async function () {
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("allows first few failures without delay", async function () {
+    await failLogins("u1", config.LOGIN_DELAY_AFTER - 1);
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("delays retries after LOGIN_DELAY_AFTER failures", async function () {
+    await failLogins("u1", config.LOGIN_DELAY_AFTER);
+    await expect(LoginAttempt.check("u1", "1.1.1.1"))
+      .rejects.toThrow(TooManyRequestsError);
+
+    await age(1);
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("delay doubles with each failure", async function () {
+    await failLogins("u1", config.LOGIN_DELAY_AFTER + 2);
+    try {
+      await LoginAttempt.check("u1", "1.1.1.1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(4);
+    }
+  });
+
+  test("failures older than the window don't count", async function () {
+    await failLogins("u1", config.LOGIN_DELAY_AFTER);
+    await age(config.LOGIN_WINDOW + 1);
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("success resets failure count", async function () {
+    await failLogins("u1", config.LOGIN_DELAY_AFTER);
+    await LoginAttempt.recordSuccess("u1", "1.1.1.1");
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("refuses ip with too many failures", async function () {
+    await db.query(
+      `INSERT INTO login_attempts (username, ip, succeeded)
+           SELECT 'user' || n, '2.2.2.2', FALSE
+               FROM generate_series(1, $1) AS n`,
+      [config.LOGIN_IP_MAX_FAILURES]);
+    await expect(LoginAttempt.check("u1", "2.2.2.2"))
+      .rejects.toThrow(TooManyRequestsError);
+    await LoginAttempt.check("u1", "1.1.1.1");
+  });
+
+  test("locked account", async function () {
+    await failLogins("u1", config.LOCKOUT_AFTER);
+    try {
+      await LoginAttempt.check("u1", "1.1.1.1");
+      fail();
+    } catch (err) {
+      expect(err instanceof LockedError).toBeTruthy();
+      expect(err.retryAfter).toEqual(config.LOCKOUT_DURATION);
+    }
+  });
+});
+
+/************************************** recordFailure */
+
+describe("recordFailure", function () {
+  test("locks account after LOCKOUT_AFTER failures", async function () {
+    await failLogins("u1", config.LOCKOUT_AFTER - 1);
+    let res = await db.query(
+      "SELECT locked_until FROM users WHERE username = 'u1'");
+    expect(res.rows[0].locked_until).toBeNull();
+
+    await failLogins("u1", 1, "3.3.3.3");
+    res = await db.query(
+      "SELECT locked_until FROM users WHERE username = 'u1'");
+    expect(res.rows[0].locked_until).toEqual(expect.any(Date));
+
+    const events = await LoginAttempt.events({ username: "u1" });
+    expect(events).toEqual([{
+      id: expect.any(Number),
+      eventType: "lockout",
+      username: "u1",
+      ip: "3.3.3.3",
+      actor: null,
+      createdAt: expect.any(Date),
+    }]);
+  });
+
+  test("tracks unknown usernames without locking", async function () {
+    await failLogins("nope", config.LOCKOUT_AFTER);
+    await expect(LoginAttempt.check("nope", "1.1.1.1"))
+      .rejects.toThrow(TooManyRequestsError);
+    expect(await LoginAttempt.events()).toEqual([]);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failLogins("u1", config.LOCKOUT_AFTER);
+    await LoginAttempt.unlock("u1", "u2");
+
+    await LoginAttempt.check("u1", "1.1.1.1");
+    const events = await LoginAttempt.events({ username: "u1" });
+    expect(events.map(e => [e.eventType, e.actor])).toEqual([
+      ["unlock", "u2"],
+      ["lockout", null],
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(LoginAttempt.unlock("nope", "u2"))
+      .rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if user deleted", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await expect(LoginAttempt.unlock("u1", "u2"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
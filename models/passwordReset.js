@@ -0,0 +1,86 @@
+"use strict";
+
+const db = require("../db");
+const User = require("./user");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+const { PASSWORD_RESET_TTL } = require("../config");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is emailed to the user; only its hash is stored. Tokens
+ * expire after PASSWORD_RESET_TTL seconds and can only be used once.
+ */
+
+class PasswordReset {
+  /** Email a reset token to user; returns undefined.
+   *
+   * Does nothing if user not found, so callers can't tell which usernames
+   * exist.
+   **/
+
+  static async request(username) {
+    const userRes = await db.query(
+      `SELECT username, email
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = userRes.rows[0];
+
+    if (!user) return;
+
+    const token = createRandomToken();
+
+    await db.query(
+      `INSERT INTO password_reset_tokens (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+      [username, hashToken(token), PASSWORD_RESET_TTL]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Jobly password",
+      text: `Someone asked to reset the password for ${username}.\n\n` +
+        `Your reset token is: ${token}\n\n` +
+        `It expires in ${Math.round(PASSWORD_RESET_TTL / 60)} minutes. ` +
+        "If this wasn't you, you can ignore this email.",
+    });
+  }
+
+  /** Set a new password using a reset token.
+   *
+   * Returns username.
+   *
+   * Any other reset tokens for the user are used up too. Changing the
+   * password logs the user out everywhere (see User.update).
+   *
+   * Throws BadRequestError if token is unknown, expired or already used.
+   **/
+
+  static async confirm(token, password) {
+    const result = await db.query(
+      `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username`,
+      [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new BadRequestError("Invalid or expired reset token");
+
+    await db.query(
+      `UPDATE password_reset_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+      [found.username]);
+
+    await User.update(found.username, { password });
+
+    return found.username;
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** request a reset for u1 and return the token from the outbox */
+
+async function requestToken() {
+  await PasswordReset.request("u1");
+  const mailRes = await db.query(
+    "SELECT body FROM mail_outbox ORDER BY id DESC LIMIT 1");
+  return mailRes.rows[0].body.match(/token is: (\S+)/)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1");
+
+    const mailRes = await db.query("SELECT to_email, subject FROM mail_outbox");
+    expect(mailRes.rows).toEqual([
+      { to_email: "u1@email.com", subject: "Reset your Jobly password" },
+    ]);
+    const tokenRes = await db.query(
+      "SELECT username FROM password_reset_tokens");
+    expect(tokenRes.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("does nothing if no such user", async function () {
+    await PasswordReset.request("nope");
+    const mailRes = await db.query("SELECT * FROM mail_outbox");
+    expect(mailRes.rows).toEqual([]);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await requestToken();
+    const username = await PasswordReset.confirm(token, "new-password");
+    expect(username).toEqual("u1");
+
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("bad request if token used twice", async function () {
+    const token = await requestToken();
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("uses up user's other tokens", async function () {
+    const token1 = await requestToken();
+    const token2 = await requestToken();
+    await PasswordReset.confirm(token2, "new-password");
+    await expect(PasswordReset.confirm(token1, "other-password"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if expired", async function () {
+    const token = await requestToken();
+    await db.query(
+      "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(token, "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "new-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
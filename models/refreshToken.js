@@ -0,0 +1,125 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are opaque random strings; only their hash is stored.
+ * Every refresh token belongs to a family started at login. Using a refresh
+ * token marks it used and issues the next one in the same family, so a
+ * token that is presented twice means it leaked: the whole family is revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for user, in `familyId` or a new family.
+   *
+   * Returns the plaintext token; it cannot be recovered later.
+   **/
+
+  static async issue(username, familyId = crypto.randomUUID()) {
+    const token = createRandomToken();
+
+    await db.query(
+      `INSERT INTO refresh_tokens (username, family_id, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+      [username, familyId, hashToken(token), REFRESH_TOKEN_TTL]);
+
+    return token;
+  }
+
+  /** Exchange a refresh token for the next one in its family.
+   *
+   * Returns { username, isAdmin, tokenVersion, refreshToken }
+   *
+   * Throws UnauthorizedError if token is unknown, expired or revoked.
+   * If token was already used, revokes its whole family, then throws
+   * UnauthorizedError.
+   **/
+
+  static async rotate(token) {
+    // claim the token in one statement, so it can't be used twice at once
+    const claimed = await db.query(
+      `UPDATE refresh_tokens AS r
+           SET used_at = NOW()
+           FROM users AS u
+           WHERE u.username = r.username
+             AND r.token_hash = $1
+             AND r.used_at IS NULL
+             AND r.revoked_at IS NULL
+             AND r.expires_at >= NOW()
+           RETURNING r.username,
+                     r.family_id AS "familyId",
+                     u.is_admin AS "isAdmin",
+                     u.token_version AS "tokenVersion"`,
+      [hashToken(token)]);
+    const found = claimed.rows[0];
+
+    if (!found) await RefreshToken._throwUnusable(token);
+
+    const refreshToken = await RefreshToken.issue(found.username, found.familyId);
+
+    return {
+      username: found.username,
+      isAdmin: found.isAdmin,
+      tokenVersion: found.tokenVersion,
+      refreshToken,
+    };
+  }
+
+  /** helper for rotate: throws UnauthorizedError saying why token can't be
+   * used, revoking its family first if it was already used */
+
+  static async _throwUnusable(token) {
+    const result = await db.query(
+      `SELECT family_id AS "familyId",
+              used_at AS "usedAt",
+              revoked_at AS "revokedAt"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+      [hashToken(token)]);
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid refresh token");
+
+    if (found.usedAt) {
+      await RefreshToken.revokeFamily(found.familyId);
+      throw new UnauthorizedError("Refresh token reuse detected");
+    }
+    if (found.revokedAt) throw new UnauthorizedError("Refresh token revoked");
+    throw new UnauthorizedError("Refresh token expired");
+  }
+
+  /** Revoke a refresh token, and the rest of its family, if it belongs to
+   * username; returns undefined.
+   *
+   * Unknown tokens are ignored.
+   **/
+
+  static async revoke(token, username) {
+    const result = await db.query(
+      `SELECT family_id AS "familyId"
+           FROM refresh_tokens
+           WHERE token_hash = $1 AND username = $2`,
+      [hashToken(token), username]);
+    const found = result.rows[0];
+
+    if (found) await RefreshToken.revokeFamily(found.familyId);
+  }
+
+  /** Revoke every token in a family; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]);
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    expect(token).toEqual(expect.any(String));
+
+    const found = await db.query(
+      "SELECT username, token_hash, expires_at > NOW() AS live FROM refresh_tokens");
+    expect(found.rows).toEqual([
+      { username: "u1", token_hash: hashToken(token), live: true },
+    ]);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      username: "u1",
+      isAdmin: false,
+      tokenVersion: 0,
+      refreshToken: expect.any(String),
+    });
+    expect(result.refreshToken).not.toEqual(token);
+
+    const found = await db.query(
+      "SELECT DISTINCT family_id FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("unauth if unknown token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+      "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'");
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Refresh token expired");
+    }
+  });
+
+  test("reuse revokes whole family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken: next } = await RefreshToken.rotate(token);
+
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Refresh token reuse detected");
+    }
+
+    try {
+      await RefreshToken.rotate(next);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Refresh token revoked");
+    }
+  });
+
+  test("only one of two concurrent uses works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const results = await Promise.allSettled(
+      [RefreshToken.rotate(token), RefreshToken.rotate(token)]);
+    expect(results.map(r => r.status).sort())
+      .toEqual(["fulfilled", "rejected"]);
+
+    const rejected = results.find(r => r.status === "rejected");
+    expect(rejected.reason.message).toEqual("Refresh token reuse detected");
+  });
+
+  test("reuse leaves other families alone", async function () {
+    const token = await RefreshToken.issue("u1");
+    const other = await RefreshToken.issue("u1");
+    await RefreshToken.rotate(token);
+    await expect(RefreshToken.rotate(token)).rejects.toThrow(UnauthorizedError);
+
+    const result = await RefreshToken.rotate(other);
+    expect(result.username).toEqual("u1");
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken: next } = await RefreshToken.rotate(token);
+    await RefreshToken.revoke(next, "u1");
+    await expect(RefreshToken.rotate(next)).rejects.toThrow("Refresh token revoked");
+  });
+
+  test("ignores another user's token", async function () {
+    const token = await RefreshToken.issue("u1");
+    await RefreshToken.revoke(token, "u2");
+    const result = await RefreshToken.rotate(token);
+    expect(result.username).toEqual("u1");
+  });
+});
@@ -0,0 +1,132 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** what revisions can be kept of: for each entity type, the column its
+ * revisions are found by, and the fields a revision snapshots (those that
+ * can be changed with PATCH) */
+const ENTITIES = {
+  company: {
+    column: "company_handle",
+    fields: ["name", "description", "numEmployees", "logoUrl"],
+  },
+  job: {
+    column: "job_id",
+    fields: ["title", "salary", "equity", "closesAt"],
+  },
+};
+
+/** return { field: value, ... } of record's fields in fields, as they'd be
+ * stored (dates as ISO strings) */
+
+function snapshot(record, fields) {
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(fields.map(f => [f, record[f] ?? null]))));
+}
+
+/** return { field: { from, to }, ... } of the fields that differ between
+ * snapshots before and after */
+
+function diff(before, after) {
+  const changes = {};
+  for (const field of Object.keys(after)) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return changes;
+}
+
+/** Related functions for the revision history of companies and jobs.
+ *
+ * Each change to a company or job records a revision: who made it
+ * (author, null if anonymous), when, and snapshots of the record's fields
+ * before and after (see ENTITIES). Revisions can be listed as field-level
+ * changes, and a record reverted to how it was after any of them.
+ */
+
+class Revision {
+  /** Record a revision of entityType ("company" or "job") entityId, given
+   * the record before and after the change.
+   *
+   * Returns { id, author, createdAt, changes } (see findAll), or null if
+   * nothing changed, when no revision is recorded.
+   **/
+
+  static async record({ entityType, entityId, author = null, before, after }) {
+    const { column, fields } = ENTITIES[entityType];
+    const beforeSnap = snapshot(before, fields);
+    const afterSnap = snapshot(after, fields);
+    const changes = diff(beforeSnap, afterSnap);
+    if (Object.keys(changes).length === 0) return null;
+
+    const result = await db.query(
+      `INSERT INTO revisions (${column}, author, before, after)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id, author, created_at AS "createdAt"`,
+      [entityId, author, JSON.stringify(beforeSnap), JSON.stringify(afterSnap)]);
+    const revision = result.rows[0];
+
+    // ids are BIGSERIAL, which pg returns as strings
+    return { ...revision, id: +revision.id, changes };
+  }
+
+  /** Find the revisions of entityType entityId, newest first.
+   *
+   * Returns [{ id, author, createdAt, changes }, ...]
+   *   where changes is { field: { from, to }, ... } of the fields changed
+   **/
+
+  static async findAll(entityType, entityId) {
+    const { column } = ENTITIES[entityType];
+    const result = await db.query(
+      `SELECT id,
+              author,
+              before,
+              after,
+              created_at AS "createdAt"
+           FROM revisions
+           WHERE ${column} = $1
+           ORDER BY id DESC`,
+      [entityId]);
+
+    return result.rows.map(({ id, author, before, after, createdAt }) => ({
+      id: +id,
+      author,
+      createdAt,
+      changes: diff(before, after),
+    }));
+  }
+
+  /** Given a revision id of entityType entityId, return it.
+   *
+   * Returns { id, author, createdAt, before, after }
+   *   where before and after are the record's fields (see ENTITIES)
+   *
+   * Throws NotFoundError if entityId has no such revision.
+   **/
+
+  static async get(entityType, entityId, id) {
+    const { column } = ENTITIES[entityType];
+    const result = await db.query(
+      `SELECT id,
+              author,
+              before,
+              after,
+              created_at AS "createdAt"
+           FROM revisions
+           WHERE id = $1 AND ${column} = $2`,
+      [id, entityId]);
+    const revision = result.rows[0];
+
+    if (!revision) {
+      throw new NotFoundError(`No revision ${id} of ${entityType} ${entityId}`);
+    }
+
+    return { ...revision, id: +revision.id };
+  }
+}
+
+
+module.exports = Revision;
@@ -0,0 +1,172 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const Revision = require("./revision.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+// c1's fields that a revision snapshots, and c1
+const c1Fields = {
+  name: "C1",
+  description: "Desc1",
+  numEmployees: 1,
+  logoUrl: "http://c1.img",
+};
+const c1 = { handle: "c1", ...c1Fields };
+
+let testJobId;
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(async function () {
+  const result = await db.query(`
+        INSERT INTO jobs(title, salary, equity, company_handle)
+        VALUES ('testJob1', 1000, 0.001, 'c1')
+        RETURNING id`);
+  testJobId = result.rows[0].id;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe("record", function () {
+  test("works", async function () {
+    const revision = await Revision.record({
+      entityType: "company",
+      entityId: "c1",
+      author: "u1",
+      before: c1,
+      after: { ...c1, description: "New", jobs: [] },
+    });
+    expect(revision).toEqual({
+      id: expect.any(Number),
+      author: "u1",
+      createdAt: expect.any(Date),
+      changes: { description: { from: "Desc1", to: "New" } },
+    });
+
+    const found = await db.query(
+      "SELECT company_handle, job_id, before, after FROM revisions");
+    expect(found.rows).toEqual([{
+      company_handle: "c1",
+      job_id: null,
+      before: c1Fields,
+      after: { ...c1Fields, description: "New" },
+    }]);
+  });
+
+  test("works: dates are kept as strings", async function () {
+    const closesAt = new Date("2100-01-01T00:00:00Z");
+    const job = { title: "testJob1", salary: 1000, equity: "0.001", closesAt: null };
+    const revision = await Revision.record({
+      entityType: "job",
+      entityId: testJobId,
+      before: job,
+      after: { ...job, closesAt },
+    });
+    expect(revision.author).toEqual(null);
+    expect(revision.changes).toEqual(
+      { closesAt: { from: null, to: "2100-01-01T00:00:00.000Z" } });
+  });
+
+  test("records nothing if nothing changed", async function () {
+    const revision = await Revision.record(
+      { entityType: "company", entityId: "c1", before: c1, after: c1 });
+    expect(revision).toEqual(null);
+    const found = await db.query("SELECT id FROM revisions");
+    expect(found.rows).toEqual([]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: newest first", async function () {
+    await Revision.record({
+      entityType: "company",
+      entityId: "c1",
+      author: "u1",
+      before: c1,
+      after: { ...c1, name: "New" },
+    });
+    await Revision.record({
+      entityType: "company",
+      entityId: "c1",
+      author: "u2",
+      before: { ...c1, name: "New" },
+      after: { ...c1, name: "New", numEmployees: 5, logoUrl: null },
+    });
+    await Revision.record({
+      entityType: "company",
+      entityId: "c2",
+      before: c1,
+      after: { ...c1, name: "Other" },
+    });
+
+    const revisions = await Revision.findAll("company", "c1");
+    expect(revisions).toEqual([
+      {
+        id: expect.any(Number),
+        author: "u2",
+        createdAt: expect.any(Date),
+        changes: {
+          numEmployees: { from: 1, to: 5 },
+          logoUrl: { from: "http://c1.img", to: null },
+        },
+      },
+      {
+        id: expect.any(Number),
+        author: "u1",
+        createdAt: expect.any(Date),
+        changes: { name: { from: "C1", to: "New" } },
+      },
+    ]);
+  });
+
+  test("works: none", async function () {
+    expect(await Revision.findAll("job", testJobId)).toEqual([]);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const { id } = await Revision.record({
+      entityType: "company",
+      entityId: "c1",
+      author: "u1",
+      before: c1,
+      after: { ...c1, name: "New" },
+    });
+
+    const revision = await Revision.get("company", "c1", id);
+    expect(revision).toEqual({
+      id,
+      author: "u1",
+      createdAt: expect.any(Date),
+      before: c1Fields,
+      after: { ...c1Fields, name: "New" },
+    });
+  });
+
+  test("not found if a revision of something else", async function () {
+    const { id } = await Revision.record({
+      entityType: "company",
+      entityId: "c1",
+      before: c1,
+      after: { ...c1, name: "New" },
+    });
+
+    await expect(Revision.get("company", "c2", id))
+      .rejects.toThrow(NotFoundError);
+    await expect(Revision.get("job", testJobId, id))
+      .rejects.toThrow(`No revision ${id} of job ${testJobId}`);
+  });
+});
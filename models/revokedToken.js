@@ -0,0 +1,71 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for revoking JWT access tokens before they expire.
+ *
+ * A single token is revoked by its jti (on logout). All of a user's tokens
+ * are revoked by bumping users.token_version (see User.revokeSessions); a
+ * token carrying an older version is no longer accepted.
+ */
+
+class RevokedToken {
+  /** Revoke token with payload { jti, username, exp }; returns undefined.
+   *
+   * Rows are only needed until the token would have expired anyway, so
+   * expired rows are cleared out here too.
+   **/
+
+  static async revoke({ jti, username, exp }) {
+    await db.query(
+      `DELETE
+           FROM revoked_tokens
+           WHERE expires_at < NOW()`);
+
+    await db.query(
+      `INSERT INTO revoked_tokens (jti, username, expires_at)
+           VALUES ($1, $2, to_timestamp($3))
+           ON CONFLICT (jti) DO NOTHING`,
+      [jti, username, exp]);
+  }
+
+  /** Given a verified token payload { jti, username, ver, impersonator },
+   * return true if the token should no longer be accepted:
+   *
+   * - it has no jti (issued before tokens could be revoked)
+   * - its jti was revoked
+   * - its user no longer exists, or has a newer token version
+   * - for impersonation tokens, the impersonating admin no longer exists, is
+   *   no longer admin, or has a newer token version
+   **/
+
+  static async isRevoked({ jti, username, ver = 0, impersonator }) {
+    if (!jti) return true;
+
+    if (impersonator) {
+      const adminRes = await db.query(
+        `SELECT token_version AS "tokenVersion"
+             FROM users
+             WHERE username = $1 AND is_admin`,
+        [impersonator.username]);
+      const admin = adminRes.rows[0];
+      if (!admin || admin.tokenVersion !== impersonator.ver) return true;
+    }
+
+    const result = await db.query(
+      `SELECT u.token_version AS "tokenVersion",
+              EXISTS (SELECT 1
+                        FROM revoked_tokens
+                        WHERE jti = $2) AS "jtiRevoked"
+           FROM users AS u
+           WHERE u.username = $1`,
+      [username, jti]);
+    const found = result.rows[0];
+
+    if (!found) return true;
+    return found.jtiRevoked || found.tokenVersion !== ver;
+  }
+}
+
+
+module.exports = RevokedToken;
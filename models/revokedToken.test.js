@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db.js");
+const RevokedToken = require("./revokedToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const inAnHour = Math.floor(Date.now() / 1000) + 60 * 60;
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    await RevokedToken.revoke({ jti: "j1", username: "u1", exp: inAnHour });
+    const found = await db.query("SELECT jti, username FROM revoked_tokens");
+    expect(found.rows).toEqual([{ jti: "j1", username: "u1" }]);
+  });
+
+  test("works: revoking twice is fine", async function () {
+    await RevokedToken.revoke({ jti: "j1", username: "u1", exp: inAnHour });
+    await RevokedToken.revoke({ jti: "j1", username: "u1", exp: inAnHour });
+    const found = await db.query("SELECT jti FROM revoked_tokens");
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("clears out expired rows", async function () {
+    await db.query(`
+        INSERT INTO revoked_tokens (jti, username, expires_at)
+        VALUES ('old', 'u1', NOW() - INTERVAL '1 hour')`);
+    await RevokedToken.revoke({ jti: "j1", username: "u1", exp: inAnHour });
+    const found = await db.query("SELECT jti FROM revoked_tokens");
+    expect(found.rows).toEqual([{ jti: "j1" }]);
+  });
+});
+
+/************************************** isRevoked */
+
+describe("isRevoked", function () {
+  test("false for a live token", async function () {
+    expect(await RevokedToken.isRevoked(
+      { jti: "j1", username: "u1", ver: 0 })).toEqual(false);
+  });
+
+  test("true for a revoked jti", async function () {
+    await RevokedToken.revoke({ jti: "j1", username: "u1", exp: inAnHour });
+    expect(await RevokedToken.isRevoked(
+      { jti: "j1", username: "u1", ver: 0 })).toEqual(true);
+  });
+
+  test("true for an old token version", async function () {
+    await db.query("UPDATE users SET token_version = 1 WHERE username = 'u1'");
+    expect(await RevokedToken.isRevoked(
+      { jti: "j1", username: "u1", ver: 0 })).toEqual(true);
+  });
+
+  test("true for a missing jti or user", async function () {
+    expect(await RevokedToken.isRevoked({ username: "u1", ver: 0 })).toEqual(true);
+    expect(await RevokedToken.isRevoked(
+      { jti: "j1", username: "nope", ver: 0 })).toEqual(true);
+  });
+
+  test("impersonation: false while impersonator is a current admin",
+    async function () {
+      await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u2'");
+      expect(await RevokedToken.isRevoked({
+        jti: "j1",
+        username: "u1",
+        ver: 0,
+        impersonator: { username: "u2", ver: 0 },
+      })).toEqual(false);
+    });
+
+  test("impersonation: true if impersonator isn't admin, or logged out",
+    async function () {
+      const payload = {
+        jti: "j1",
+        username: "u1",
+        ver: 0,
+        impersonator: { username: "u2", ver: 0 },
+      };
+      expect(await RevokedToken.isRevoked(payload)).toEqual(true);
+
+      await db.query(
+        `UPDATE users SET is_admin = TRUE, token_version = 1
+             WHERE username = 'u2'`);
+      expect(await RevokedToken.isRevoked(payload)).toEqual(true);
+    });
+});
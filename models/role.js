@@ -0,0 +1,132 @@
+"use strict";
+
+const db = require("../db");
+const User = require("./user");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Related functions for roles and permissions.
+ *
+ * Each role grants permissions like "jobs:write" (see role_permissions).
+ * Every user has the candidate role. The admin role is stored as
+ * users.is_admin, so tokens carrying isAdmin keep working; other roles are
+ * assigned in user_roles.
+ */
+
+class Role {
+  /** Return [permission, ...] granted to a token's user.
+   *
+   * user is { username, isAdmin, scopes } as stored on res.locals.user;
+   * for an API key with scopes, only permissions in scopes are returned.
+   **/
+
+  static async permissionsFor({ username, isAdmin, scopes }) {
+    const result = await db.query(
+      `SELECT DISTINCT permission
+           FROM role_permissions
+           WHERE role = 'candidate'
+              OR (role = 'admin' AND $2)
+              OR role IN (SELECT role
+                              FROM user_roles
+                              WHERE username = $1)
+           ORDER BY permission`,
+      [username, isAdmin === true]);
+    const permissions = result.rows.map(r => r.permission);
+    return scopes ? permissions.filter(p => scopes.includes(p)) : permissions;
+  }
+
+  /** Return [role, ...] assigned to user, including admin but not the
+   * candidate role everyone has.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getForUser(username) {
+    const userRes = await db.query(
+      `SELECT is_admin AS "isAdmin"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = userRes.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const rolesRes = await db.query(
+      `SELECT role
+           FROM user_roles
+           WHERE username = $1`,
+      [username]);
+    const roles = rolesRes.rows.map(r => r.role);
+    if (user.isAdmin) roles.push("admin");
+
+    return roles.sort();
+  }
+
+  /** Give user a role; returns undefined.
+   *
+   * Making a user admin logs them out (see User.update).
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if role is unknown or candidate.
+   **/
+
+  static async assign(username, role) {
+    await Role._checkAssignable(role);
+
+    if (role === "admin") {
+      await User.update(username, { isAdmin: true });
+      return;
+    }
+
+    await Role.getForUser(username);
+    await db.query(
+      `INSERT INTO user_roles (username, role)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING`,
+      [username, role]);
+  }
+
+  /** Take a role away from user; returns undefined.
+   *
+   * Throws NotFoundError if user not found or doesn't have role.
+   * Throws BadRequestError if role is unknown or candidate.
+   **/
+
+  static async remove(username, role) {
+    await Role._checkAssignable(role);
+
+    const roles = await Role.getForUser(username);
+    if (!roles.includes(role)) {
+      throw new NotFoundError(`User ${username} doesn't have role: ${role}`);
+    }
+
+    if (role === "admin") {
+      await User.update(username, { isAdmin: false });
+      return;
+    }
+
+    await db.query(
+      `DELETE
+           FROM user_roles
+           WHERE username = $1 AND role = $2`,
+      [username, role]);
+  }
+
+  /** helper that throws BadRequestError unless role exists and can be
+   * assigned */
+
+  static async _checkAssignable(role) {
+    const result = await db.query(
+      `SELECT name
+           FROM roles
+           WHERE name = $1`,
+      [role]);
+
+    if (!result.rows[0]) throw new BadRequestError(`No role: ${role}`);
+    if (role === "candidate") {
+      throw new BadRequestError("Every user has the candidate role");
+    }
+  }
+}
+
+
+module.exports = Role;
@@ -0,0 +1,122 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** permissionsFor */
+
+describe("permissionsFor", function () {
+  test("candidate only", async function () {
+    const permissions = await Role.permissionsFor({ username: "u1" });
+    expect(permissions).toEqual([]);
+  });
+
+  test("admin from isAdmin", async function () {
+    const permissions = await Role.permissionsFor({
+      username: "u1",
+      isAdmin: true,
+    });
+    expect(permissions).toContain("roles:write");
+    expect(permissions).toContain("jobs:write");
+  });
+
+  test("assigned roles add up", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.assign("u1", "auditor");
+    const permissions = await Role.permissionsFor({ username: "u1" });
+    expect(permissions).toEqual([
+      "applications:read",
+      "applications:write",
+      "audit:read",
+      "companies:write",
+      "jobs:write",
+      "security:read",
+      "users:read",
+    ]);
+  });
+});
+
+/************************************** getForUser */
+
+describe("getForUser", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    expect(await Role.getForUser("u1")).toEqual(["admin", "recruiter"]);
+    expect(await Role.getForUser("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Role.getForUser("nope")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if user deleted", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await expect(Role.getForUser("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "auditor");
+    await Role.assign("u1", "auditor");
+    expect(await Role.getForUser("u1")).toEqual(["auditor"]);
+  });
+
+  test("admin sets isAdmin and bumps token version", async function () {
+    await Role.assign("u1", "admin");
+    const res = await db.query(
+      `SELECT is_admin, token_version FROM users WHERE username = 'u1'`);
+    expect(res.rows[0]).toEqual({ is_admin: true, token_version: 1 });
+  });
+
+  test("bad request for unknown role", async function () {
+    await expect(Role.assign("u1", "nope")).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for candidate", async function () {
+    await expect(Role.assign("u1", "candidate"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Role.assign("nope", "auditor")).rejects.toThrow(NotFoundError);
+    await expect(Role.assign("nope", "admin")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Role.assign("u1", "auditor");
+    await Role.remove("u1", "auditor");
+    expect(await Role.getForUser("u1")).toEqual([]);
+  });
+
+  test("admin clears isAdmin", async function () {
+    await Role.assign("u1", "admin");
+    await Role.remove("u1", "admin");
+    const res = await db.query(
+      `SELECT is_admin FROM users WHERE username = 'u1'`);
+    expect(res.rows[0].is_admin).toEqual(false);
+  });
+
+  test("not found if user doesn't have role", async function () {
+    await expect(Role.remove("u1", "auditor")).rejects.toThrow(NotFoundError);
+  });
+});
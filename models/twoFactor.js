@@ -0,0 +1,282 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { generateSecret, verifyCode, otpauthUrl } = require("../helpers/totp");
+const config = require("../config");
+const { LOGIN_CHALLENGE_TTL } = config;
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/** Related functions for two-factor (TOTP) authentication.
+ *
+ * Setting up stores a pending secret; it's only enabled once the user proves
+ * their authenticator app works by sending a code for it. Enabling also
+ * issues single-use recovery codes (stored hashed) for when the app is lost.
+ *
+ * Logging in with two-factor auth on takes two steps: the password gets a
+ * short-lived challenge, and the challenge plus a code gets a JWT.
+ */
+
+class TwoFactor {
+  /** Start setting up two-factor auth for user.
+   *
+   * Returns { secret, otpauthUrl } to add to an authenticator app.
+   *
+   * Throws NotFoundError if user not found.
+   * Throws BadRequestError if two-factor auth is already enabled.
+   **/
+
+  static async setup(username) {
+    const user = await TwoFactor._getUser(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor auth already enabled");
+    }
+
+    const secret = generateSecret();
+    await db.query(
+      `UPDATE users
+           SET totp_secret = $1, totp_last_step = NULL
+           WHERE username = $2`,
+      [secret, username]);
+
+    return { secret, otpauthUrl: otpauthUrl(username, secret) };
+  }
+
+  /** Enable two-factor auth, given a code for the secret from setup.
+   *
+   * Returns { recoveryCodes }: [code, ...], shown to the user only now.
+   *
+   * Throws BadRequestError if setup wasn't started, auth is already enabled
+   * or code is wrong.
+   **/
+
+  static async enable(username, code) {
+    const user = await TwoFactor._getUser(username);
+    if (user.totpEnabled) {
+      throw new BadRequestError("Two-factor auth already enabled");
+    }
+    if (!user.totpSecret) {
+      throw new BadRequestError("Set up two-factor auth first");
+    }
+
+    const step = verifyCode(user.totpSecret, code);
+    if (step === null) throw new BadRequestError("Invalid two-factor code");
+
+    await db.query(
+      `UPDATE users
+           SET totp_enabled = TRUE, totp_last_step = $1
+           WHERE username = $2`,
+      [step, username]);
+
+    const recoveryCodes = await TwoFactor._replaceRecoveryCodes(username);
+    return { recoveryCodes };
+  }
+
+  /** Turn off two-factor auth for user and drop their recovery codes;
+   * returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async disable(username) {
+    await TwoFactor._getUser(username);
+
+    await db.query(
+      `UPDATE users
+           SET totp_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL
+           WHERE username = $1`,
+      [username]);
+    await db.query(
+      `DELETE
+           FROM recovery_codes
+           WHERE username = $1`,
+      [username]);
+  }
+
+  /** Return true if user has two-factor auth enabled. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+      `SELECT totp_enabled AS "totpEnabled"
+           FROM users
+           WHERE username = $1`,
+      [username]);
+    return result.rows[0]?.totpEnabled === true;
+  }
+
+  /** Return true if user ({ username, isAdmin }) is an admin who must set
+   * up two-factor auth before getting admin rights (see REQUIRE_ADMIN_2FA).
+   **/
+
+  static async adminNeedsSetup({ username, isAdmin }) {
+    return config.REQUIRE_ADMIN_2FA === true
+      && isAdmin === true
+      && !(await TwoFactor.isEnabled(username));
+  }
+
+  /** Check a two-factor code for user; returns undefined.
+   *
+   * code can be from the authenticator app (each one is accepted only once)
+   * or an unused recovery code (which is then used up).
+   *
+   * Throws UnauthorizedError if code is wrong or two-factor auth is off.
+   **/
+
+  static async verify(username, code) {
+    const user = await TwoFactor._getUser(username);
+    if (!user.totpEnabled) throw new UnauthorizedError("Invalid two-factor code");
+
+    const step = verifyCode(user.totpSecret, code);
+    if (step !== null && (user.totpLastStep === null || step > user.totpLastStep)) {
+      await db.query(
+        `UPDATE users
+             SET totp_last_step = $1
+             WHERE username = $2`,
+        [step, username]);
+      return;
+    }
+
+    const recoveryRes = await db.query(
+      `UPDATE recovery_codes
+           SET used_at = NOW()
+           WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+      [username, hashToken(code.trim().toLowerCase())]);
+
+    if (!recoveryRes.rows[0]) throw new UnauthorizedError("Invalid two-factor code");
+  }
+
+  /** Start a two-step login for user, after their password was checked.
+   *
+   * Returns challenge token to send back with a code; it expires after
+   * LOGIN_CHALLENGE_TTL seconds.
+   **/
+
+  static async createChallenge(username) {
+    const challenge = createRandomToken();
+
+    await db.query(
+      `INSERT INTO login_challenges (username, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+      [username, hashToken(challenge), LOGIN_CHALLENGE_TTL]);
+
+    return challenge;
+  }
+
+  /** Return the username a two-step login challenge is for, so its
+   * attempts can be throttled (see LoginAttempt).
+   *
+   * Throws UnauthorizedError if challenge is unknown, expired, used or has
+   * had too many wrong codes.
+   **/
+
+  static async challengeUser(challenge) {
+    const found = await TwoFactor._findChallenge(challenge);
+    return found.username;
+  }
+
+  /** Finish a two-step login with challenge and code.
+   *
+   * Returns { username, isAdmin, tokenVersion } to create a token from.
+   *
+   * Throws UnauthorizedError if challenge is unknown, expired, used or has
+   * had too many wrong codes, or if code is wrong.
+   **/
+
+  static async answerChallenge(challenge, code) {
+    const found = await TwoFactor._findChallenge(challenge);
+
+    try {
+      await TwoFactor.verify(found.username, code);
+    } catch (err) {
+      await db.query(
+        `UPDATE login_challenges
+             SET attempts = attempts + 1
+             WHERE id = $1`,
+        [found.id]);
+      throw err;
+    }
+
+    await db.query(
+      `UPDATE login_challenges
+           SET used_at = NOW()
+           WHERE id = $1`,
+      [found.id]);
+
+    const { id, ...user } = found;
+    return user;
+  }
+
+  /** helper that returns { id, username, isAdmin, tokenVersion } for a
+   * challenge that can still be answered, or throws UnauthorizedError */
+
+  static async _findChallenge(challenge) {
+    const result = await db.query(
+      `SELECT c.id,
+              u.username,
+              u.is_admin AS "isAdmin",
+              u.token_version AS "tokenVersion"
+           FROM login_challenges AS c
+                  JOIN users AS u ON u.username = c.username
+           WHERE c.token_hash = $1
+             AND c.used_at IS NULL
+             AND c.expires_at > NOW()
+             AND c.attempts < $2`,
+      [hashToken(challenge), MAX_CHALLENGE_ATTEMPTS]);
+    const found = result.rows[0];
+
+    if (!found) throw new UnauthorizedError("Invalid or expired challenge");
+    return found;
+  }
+
+  /** helper that returns { totpSecret, totpEnabled, totpLastStep } for user,
+   * or throws NotFoundError */
+
+  static async _getUser(username) {
+    const result = await db.query(
+      `SELECT totp_secret AS "totpSecret",
+              totp_enabled AS "totpEnabled",
+              totp_last_step AS "totpLastStep"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+      [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return user;
+  }
+
+  /** helper that replaces user's recovery codes with new ones; returns them */
+
+  static async _replaceRecoveryCodes(username) {
+    await db.query(
+      `DELETE
+           FROM recovery_codes
+           WHERE username = $1`,
+      [username]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const hex = crypto.randomBytes(10).toString("hex");
+      const code = hex.match(/.{5}/g).join("-");
+      codes.push(code);
+      await db.query(
+        `INSERT INTO recovery_codes (username, code_hash)
+             VALUES ($1, $2)`,
+        [username, hashToken(code)]);
+    }
+
+    return codes;
+  }
+}
+
+
+module.exports = TwoFactor;
@@ -0,0 +1,171 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { codeAt, timeStep } = require("../helpers/totp");
+const TwoFactor = require("./twoFactor.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** set up and enable two-factor auth for u1; returns { secret, recoveryCodes } */
+
+async function enableForU1() {
+  const { secret } = await TwoFactor.setup("u1");
+  // use the previous step, so the current one is still unused for tests
+  const { recoveryCodes } = await TwoFactor.enable(
+    "u1", codeAt(secret, timeStep() - 1));
+  return { secret, recoveryCodes };
+}
+
+/************************************** setup */
+
+describe("setup", function () {
+  test("works", async function () {
+    const result = await TwoFactor.setup("u1");
+    expect(result).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      otpauthUrl: expect.stringContaining("otpauth://totp/Jobly%3Au1?"),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enableForU1();
+    await expect(TwoFactor.setup("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.setup("nope")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if user deleted", async function () {
+    await db.query("UPDATE users SET deleted_at = NOW() WHERE username = 'u1'");
+    await expect(TwoFactor.setup("u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** enable */
+
+describe("enable", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enableForU1();
+    expect(recoveryCodes.length).toEqual(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}(-[0-9a-f]{5}){3}$/);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.setup("u1");
+    await expect(TwoFactor.enable("u1", "000000"))
+      .rejects.toThrow(BadRequestError);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request without setup", async function () {
+    await expect(TwoFactor.enable("u1", "000000"))
+      .rejects.toThrow("Set up two-factor auth first");
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works with app code, only once", async function () {
+    const { secret } = await enableForU1();
+    const code = codeAt(secret, timeStep());
+    await TwoFactor.verify("u1", code);
+    await expect(TwoFactor.verify("u1", code)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("works with recovery code, only once", async function () {
+    const { recoveryCodes } = await enableForU1();
+    await TwoFactor.verify("u1", recoveryCodes[0]);
+    await expect(TwoFactor.verify("u1", recoveryCodes[0]))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth with wrong code", async function () {
+    await enableForU1();
+    await expect(TwoFactor.verify("u1", "nope")).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth when not enabled", async function () {
+    await expect(TwoFactor.verify("u1", "000000"))
+      .rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    await enableForU1();
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+
+    const codes = await db.query(
+      "SELECT * FROM recovery_codes WHERE username = 'u1'");
+    expect(codes.rows).toEqual([]);
+  });
+});
+
+/************************************** challenges */
+
+describe("challenges", function () {
+  test("works", async function () {
+    const { secret } = await enableForU1();
+    const challenge = await TwoFactor.createChallenge("u1");
+    const user = await TwoFactor.answerChallenge(
+      challenge, codeAt(secret, timeStep()));
+    expect(user).toEqual({ username: "u1", isAdmin: false, tokenVersion: 0 });
+  });
+
+  test("challengeUser works", async function () {
+    await enableForU1();
+    const challenge = await TwoFactor.createChallenge("u1");
+    expect(await TwoFactor.challengeUser(challenge)).toEqual("u1");
+    await expect(TwoFactor.challengeUser("nope"))
+      .rejects.toThrow("Invalid or expired challenge");
+  });
+
+  test("can only be answered once", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const challenge = await TwoFactor.createChallenge("u1");
+    await TwoFactor.answerChallenge(challenge, recoveryCodes[0]);
+    await expect(TwoFactor.answerChallenge(challenge, recoveryCodes[1]))
+      .rejects.toThrow("Invalid or expired challenge");
+  });
+
+  test("unusable after too many wrong codes", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const challenge = await TwoFactor.createChallenge("u1");
+    for (let i = 0; i < 5; i++) {
+      await expect(TwoFactor.answerChallenge(challenge, "000000"))
+        .rejects.toThrow("Invalid two-factor code");
+    }
+    await expect(TwoFactor.answerChallenge(challenge, recoveryCodes[0]))
+      .rejects.toThrow("Invalid or expired challenge");
+  });
+
+  test("unauth when expired", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const challenge = await TwoFactor.createChallenge("u1");
+    await db.query(
+      "UPDATE login_challenges SET expires_at = NOW() - INTERVAL '1 minute'");
+    await expect(TwoFactor.answerChallenge(challenge, recoveryCodes[0]))
+      .rejects.toThrow(UnauthorizedError);
+  });
+});
@@ -2,23 +2,80 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForFilters } = require("../helpers/sql");
+const { findPage } = require("../helpers/pagination");
+const { applyView, specForRead } = require("../helpers/view");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
 } = require("../expressError");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const { BCRYPT_WORK_FACTOR, DELETED_RETENTION } = require("../config.js");
+
+/** fields users can be filtered on (see sqlForFilters) */
+const FILTER_FIELDS = {
+  username: { type: "string", column: "username", operators: ["eq", "in", "like"] },
+  firstName: { type: "string", column: "first_name", operators: ["like", "eq"] },
+  lastName: { type: "string", column: "last_name", operators: ["like", "eq"] },
+  email: { type: "string", column: "email", operators: ["like", "eq"] },
+  isAdmin: { type: "boolean", column: "is_admin", operators: ["eq"] },
+};
+
+/** return the jobs (not deleted) each of users applied to, in one query:
+ *   [[{ id, title, companyHandle, companyName, state }, ...], ...] */
+
+async function jobsOf(users) {
+  const result = await db.query(
+        `SELECT a.username,
+                j.id,
+                j.title,
+                j.company_handle AS "companyHandle",
+                c.name AS "companyName",
+                a.state
+         FROM applications AS a
+                JOIN jobs AS j ON j.id = a.job_id
+                JOIN companies AS c ON c.handle = j.company_handle
+         WHERE a.username = ANY($1) AND j.deleted_at IS NULL
+         ORDER BY j.id`,
+      [users.map(u => u.username)],
+  );
+
+  const jobsByUsername = {};
+  for (const { username, ...job } of result.rows) {
+    (jobsByUsername[username] ||= []).push(job);
+  }
+  return users.map(u => jobsByUsername[u.username] || []);
+}
+
+/** what reads of users can return (see applyView); applications is the
+ * ids of the jobs a user applied to */
+const VIEW = {
+  fields: [
+    "username",
+    "firstName",
+    "lastName",
+    "email",
+    "emailVerified",
+    "isAdmin",
+    "deletedAt",
+  ],
+  relations: {
+    applications: async users =>
+      (await jobsOf(users)).map(jobs => jobs.map(j => j.id)),
+    jobs: jobsOf,
+  },
+};
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, isAdmin, tokenVersion }
    *
-   * Throws UnauthorizedError is user not found or wrong password.
+   * Throws UnauthorizedError is user not found (or deleted) or wrong
+   * password.
    **/
 
   static async authenticate(username, password) {
@@ -29,9 +86,10 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
         [username],
     );
 
@@ -51,9 +109,13 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, isAdmin, tokenVersion }
+   *
+   * tokenVersion is 0, unless a purged user had the same username (see
+   * User.purgeDeleted), so tokens issued to them stay invalid.
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, including deleted users not yet
+   * purged.
    **/
 
   static async register(
@@ -78,9 +140,14 @@ class User {
             first_name,
             last_name,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+            is_admin,
+            token_version)
+           VALUES ($1, $2, $3, $4, $5, $6,
+                   COALESCE((SELECT token_version
+                             FROM deleted_users
+                             WHERE username = $7), 0))
+           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin",
+                     token_version AS "tokenVersion"`,
         [
           username,
           hashedPassword,
@@ -88,6 +155,7 @@ class User {
           lastName,
           email,
           isAdmin,
+          username,
         ],
     );
 
@@ -96,42 +164,88 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users, by username, a page at a time (see findPage).
+   *
+   * page is { limit, cursor }, both optional. view is { fields, include,
+   * includeDeleted } (see applyView), to return only some fields of each
+   * user, or include their applications or jobs, as for get; deleted users
+   * are only found with includeDeleted, when each user also has deletedAt.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns { users, next, total }
+   *   where users is [{ username, firstName, lastName, email, isAdmin }, ...]
    **/
 
-  static async findAll() {
-    const result = await db.query(
-          `SELECT username,
+  static async findAll(page = {}, view = {}) {
+    return User.filterSearch({}, page, view);
+  }
+
+  /** Find users matching all of searchTerms (see sqlForFilters and
+   * FILTER_FIELDS), by username, a page at a time (see findPage).
+   *
+   * Returns { users, next, total } as for findAll.
+   *
+   * Throws BadRequestError if a search term or view is invalid.
+   **/
+
+  static async filterSearch(searchTerms, page = {}, view = {}) {
+    const { whereClause, values } = sqlForFilters(searchTerms, FILTER_FIELDS);
+    const where = whereClause ? [whereClause] : [];
+    let select = `username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
-           FROM users
-           ORDER BY username`,
-    );
+                  is_admin AS "isAdmin"`;
 
-    return result.rows;
+    if (view.includeDeleted) {
+      select += `, deleted_at AS "deletedAt"`;
+    } else {
+      where.push("deleted_at IS NULL");
+    }
+
+    const { rows, next, total } = await findPage({
+      select,
+      from: "users",
+      where,
+      values,
+      orderBy: [{ column: "username", key: "username" }],
+    }, page);
+
+    const spec = specForRead(
+      VIEW, { unread: ["emailVerified"], includeDeleted: view.includeDeleted });
+    return { users: await applyView(rows, view, spec), next, total };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+   *           applications, jobs }
+   *   where applications is [jobId, ...] of jobs the user applied to
+   *   and jobs is [{ id, title, companyHandle, companyName, state }, ...]
    *
-   * Throws NotFoundError if user not found.
+   * view is { fields, include, includeDeleted } (see applyView); include is
+   * ["applications", "jobs"] unless given. A deleted user is only found with
+   * includeDeleted, which also adds deletedAt.
+   *
+   * Throws NotFoundError if user not found, BadRequestError if view is
+   * invalid.
    **/
 
-  static async get(username) {
+  static async get(username, {
+    fields,
+    include = ["applications", "jobs"],
+    includeDeleted = false,
+  } = {}) {
+    const deletedCol = includeDeleted ? `, deleted_at AS "deletedAt"` : "";
+    const notDeleted = includeDeleted ? "" : "AND deleted_at IS NULL";
     const userRes = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  email_verified AS "emailVerified",
+                  is_admin AS "isAdmin"${deletedCol}
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 ${notDeleted}`,
         [username],
     );
 
@@ -139,7 +253,9 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
-    return user;
+    const spec = specForRead(VIEW, { includeDeleted });
+    const [shown] = await applyView([user], { fields, include }, spec);
+    return shown;
   }
 
   /** Update user data with `data`.
@@ -154,6 +270,10 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * Changing password or isAdmin bumps the user's token version, so tokens
+   * issued before stop working; a new password also revokes refresh tokens.
+   * Changing email marks it unverified.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
@@ -173,9 +293,28 @@ class User {
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // a new password or admin status invalidates tokens already issued, so
+    // their stale claims (like isAdmin) stop being trusted right away
+    let versionCol = "";
+    if (data.password) {
+      versionCol = ", token_version = token_version + 1";
+    } else if (data.isAdmin !== undefined) {
+      const isAdminVarIdx = "$" + (Object.keys(data).indexOf("isAdmin") + 1);
+      versionCol = `, token_version = token_version
+                        + (is_admin IS DISTINCT FROM ${isAdminVarIdx})::int`;
+    }
+
+    // a changed email has to be verified again
+    let verifiedCol = "";
+    if (data.email !== undefined) {
+      const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+      verifiedCol = `, email_verified = email_verified
+                        AND email IS NOT DISTINCT FROM ${emailVarIdx}`;
+    }
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      SET ${setCols}${versionCol}${verifiedCol} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
@@ -186,16 +325,31 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    if (data.password) {
+      await db.query(
+            `UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE username = $1 AND revoked_at IS NULL`,
+          [username],
+      );
+    }
+
     delete user.password;
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Revoke all of user's sessions; returns undefined.
+   *
+   * Bumps the user's token version, so every JWT issued so far is rejected,
+   * and revokes all their refresh tokens.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
-  static async remove(username) {
-    let result = await db.query(
-          `DELETE
-           FROM users
+  static async revokeSessions(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
            WHERE username = $1
            RETURNING username`,
         [username],
@@ -203,6 +357,94 @@ class User {
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+
+  /** Delete given user until restored (see restore) or purged (see
+   * purgeDeleted); returns undefined.
+   *
+   * Tokens issued to the user stop working, even if they're restored.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async remove(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NOW(), token_version = token_version + 1
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING username`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username],
+    );
+  }
+
+  /** Restore given deleted user; they can log in again.
+   *
+   * Returns { username, firstName, lastName, email, isAdmin }
+   *
+   * Throws NotFoundError if there's no such deleted user.
+   **/
+
+  static async restore(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     is_admin AS "isAdmin"`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return user;
+  }
+
+  /** Delete for good users deleted more than retention seconds ago
+   * (DELETED_RETENTION by default), with their applications.
+   *
+   * Returns the number of users purged.
+   **/
+
+  static async purgeDeleted(retention = DELETED_RETENTION) {
+    // remember each one's token version (bumped when deleted), so if the
+    // username is registered again, tokens issued to the deleted user don't
+    // work for the new one
+    const result = await db.query(
+          `WITH purged AS (
+             DELETE
+             FROM users
+             WHERE deleted_at < NOW() - make_interval(secs => $1)
+             RETURNING username, token_version)
+           INSERT INTO deleted_users (username, token_version)
+           SELECT username, token_version
+           FROM purged
+           ON CONFLICT (username) DO UPDATE
+             SET token_version = EXCLUDED.token_version,
+                 deleted_at = NOW()`,
+        [retention],
+    );
+    return result.rowCount;
   }
 }
 
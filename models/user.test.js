@@ -30,6 +30,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -68,7 +69,7 @@ describe("register", function () {
       ...newUser,
       password: "password",
     });
-    expect(user).toEqual(newUser);
+    expect(user).toEqual({ ...newUser, tokenVersion: 0 });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(false);
@@ -81,7 +82,7 @@ describe("register", function () {
       password: "password",
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, isAdmin: true, tokenVersion: 0 });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(true);
@@ -109,7 +110,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -129,9 +130,68 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findAll, with a view */
+
+describe("findAll, with a view", function () {
+  test("works", async function () {
+    const jobRes = await db.query(`
+        INSERT INTO jobs(title, salary, equity, company_handle)
+        VALUES ('testJob1', 1000, 0.001, 'c1')
+        RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    await db.query(
+        "INSERT INTO applications (username, job_id) VALUES ('u2', $1)",
+        [jobId]);
+
+    const { users } = await User.findAll(
+      {}, { fields: ["username"], include: ["applications"] });
+    expect(users).toEqual([
+      { username: "u1", applications: [] },
+      { username: "u2", applications: [jobId] },
+    ]);
+  });
+});
+
+/************************************** filterSearch */
+
+describe("filterSearch", function () {
+  test("works", async function () {
+    const { users, total } = await User.filterSearch({ firstName: "u2" });
+    expect(total).toEqual(1);
+    expect(users).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        isAdmin: false,
+      },
+    ]);
+  });
+
+  test("works: with operators", async function () {
+    const { users } = await User.filterSearch({
+      username: { in: ["u1", "u2"] },
+      email: { eq: "u1@email.com" },
+      isAdmin: false,
+    });
+    expect(users.map(u => u.username)).toEqual(["u1"]);
+  });
+
+  test("bad request for unknown field", async function () {
+    await expect(User.filterSearch({ password: "x" }))
+      .rejects.toThrow(BadRequestError);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
+  test("works: with a view", async function () {
+    const user = await User.get("u1", { fields: ["username"], include: [] });
+    expect(user).toEqual({ username: "u1" });
+  });
+
   test("works", async function () {
     let user = await User.get("u1");
     expect(user).toEqual({
@@ -139,10 +199,34 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: false,
       isAdmin: false,
+      applications: [],
+      jobs: [],
     });
   });
 
+  test("works: includes applications", async function () {
+    const jobRes = await db.query(`
+        INSERT INTO jobs(title, salary, equity, company_handle)
+        VALUES ('testJob1', 1000, 0.001, 'c1')
+        RETURNING id`);
+    const jobId = jobRes.rows[0].id;
+    await db.query(
+        "INSERT INTO applications (username, job_id) VALUES ('u1', $1)",
+        [jobId]);
+
+    let user = await User.get("u1");
+    expect(user.applications).toEqual([jobId]);
+    expect(user.jobs).toEqual([{
+      id: jobId,
+      title: "testJob1",
+      companyHandle: "c1",
+      companyName: "C1",
+      state: "applied",
+    }]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -187,6 +271,48 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: password change bumps token version", async function () {
+    await db.query(`
+        INSERT INTO refresh_tokens (username, family_id, token_hash, expires_at)
+        VALUES ('u1', 'f1', 'hash1', NOW() + INTERVAL '1 day')`);
+    await User.update("u1", { password: "new-password" });
+
+    const found = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(1);
+    const tokenRes = await db.query(
+        "SELECT revoked_at FROM refresh_tokens WHERE username = 'u1'");
+    expect(tokenRes.rows[0].revoked_at).toEqual(expect.any(Date));
+  });
+
+  test("works: admin change bumps token version", async function () {
+    await User.update("u1", { firstName: "New", isAdmin: true });
+    const found = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(1);
+  });
+
+  test("works: changing email marks it unverified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE");
+    await User.update("u1", { email: "u1@email.com" });
+    await User.update("u2", { email: "new@email.com" });
+
+    const found = await db.query(
+        "SELECT username, email_verified FROM users ORDER BY username");
+    expect(found.rows).toEqual([
+      { username: "u1", email_verified: true },
+      { username: "u2", email_verified: false },
+    ]);
+  });
+
+  test("works: unchanged admin flag keeps token version", async function () {
+    await User.update("u1", { isAdmin: false });
+    await User.update("u1", { firstName: "New" });
+    const found = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(0);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -209,16 +335,95 @@ describe("update", function () {
   });
 });
 
+/************************************** revokeSessions */
+
+describe("revokeSessions", function () {
+  test("works", async function () {
+    await db.query(`
+        INSERT INTO refresh_tokens (username, family_id, token_hash, expires_at)
+        VALUES ('u1', 'f1', 'hash1', NOW() + INTERVAL '1 day')`);
+    await User.revokeSessions("u1");
+
+    const userRes = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(userRes.rows[0].token_version).toEqual(1);
+    const tokenRes = await db.query(
+        "SELECT revoked_at FROM refresh_tokens WHERE username = 'u1'");
+    expect(tokenRes.rows[0].revoked_at).toEqual(expect.any(Date));
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.revokeSessions("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
   test("works", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
+        "SELECT * FROM users WHERE username='u1' AND deleted_at IS NULL");
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: logs them out, and hides them", async function () {
+    await db.query(`
+        INSERT INTO refresh_tokens (username, family_id, token_hash, expires_at)
+        VALUES ('u1', 'f1', 'hash1', NOW() + INTERVAL '1 day')`);
+    await User.remove("u1");
+
+    const userRes = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(userRes.rows[0].token_version).toEqual(1);
+    const tokenRes = await db.query(
+        "SELECT revoked_at FROM refresh_tokens WHERE username = 'u1'");
+    expect(tokenRes.rows[0].revoked_at).toEqual(expect.any(Date));
+
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1"))
+      .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request registering same username until purged", async function () {
+    await User.remove("u1");
+    await expect(User.register({
+      username: "u1",
+      password: "password",
+      firstName: "Test",
+      lastName: "Tester",
+      email: "test@test.com",
+      isAdmin: false,
+    })).rejects.toThrow(BadRequestError);
+  });
+
+  test("works: registering same username again starts a new token version",
+      async function () {
+    await User.remove("u1");
+    await db.query(
+        "UPDATE users SET deleted_at = NOW() - INTERVAL '31 days'");
+    await User.purgeDeleted();
+    const user = await User.register({
+      username: "u1",
+      password: "password",
+      firstName: "Test",
+      lastName: "Tester",
+      email: "test@test.com",
+      isAdmin: false,
+    });
+    const res = await db.query(
+        "SELECT token_version FROM users WHERE username='u1'");
+    expect(res.rows[0].token_version).toEqual(1);
+    expect(user.tokenVersion).toEqual(1);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.remove("nope");
@@ -228,3 +433,62 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      isAdmin: false,
+    });
+    const found = await User.authenticate("u1", "password1");
+    expect(found.tokenVersion).toEqual(1);
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow("No deleted user: u1");
+  });
+});
+
+/************************************** includeDeleted */
+
+describe("includeDeleted", function () {
+  test("works", async function () {
+    await User.remove("u1");
+
+    const { users } = await User.findAll(
+      {}, { fields: ["username", "deletedAt"], includeDeleted: true });
+    expect(users).toEqual([
+      { username: "u1", deletedAt: expect.any(Date) },
+      { username: "u2", deletedAt: null },
+    ]);
+    const user = await User.get("u1", { include: [], includeDeleted: true });
+    expect(user.deletedAt).toEqual(expect.any(Date));
+  });
+});
+
+/************************************** purgeDeleted */
+
+describe("purgeDeleted", function () {
+  test("works: only those deleted before the retention window", async function () {
+    await User.remove("u1");
+    await User.remove("u2");
+    await db.query(`
+        UPDATE users
+        SET deleted_at = NOW() - INTERVAL '31 days'
+        WHERE username = 'u1'`);
+
+    expect(await User.purgeDeleted()).toEqual(1);
+    const res = await db.query("SELECT username FROM users");
+    expect(res.rows).toEqual([{ username: "u2" }]);
+    const deletedRes = await db.query(
+        "SELECT username, token_version FROM deleted_users");
+    expect(deletedRes.rows).toEqual([{ username: "u1", token_version: 1 }]);
+  });
+});
@@ -0,0 +1,26 @@
+"use strict";
+
+/** Purge job: deletes for good the companies, jobs and users deleted more
+ * than DELETED_RETENTION seconds ago (see config).
+ *
+ * Run it daily, e.g. `npm run purge` from a scheduler.
+ */
+
+const db = require("./db");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+
+async function purge() {
+  const companies = await Company.purgeDeleted();
+  const jobs = await Job.purgeDeleted();
+  const users = await User.purgeDeleted();
+  console.log(`Purged ${companies} companies, ${jobs} jobs, ${users} users`);
+}
+
+purge()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
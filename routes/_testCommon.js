@@ -87,7 +87,7 @@ async function commonAfterAll() {
 
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
-const u4AdminToken = createToken({ username: "testAdmin", isAdmin: true });
+const u4AdminToken = createToken({ username: "u4admin", isAdmin: true });
 
 
 module.exports = {
@@ -0,0 +1,46 @@
+"use strict";
+
+/** Routes for the audit log. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { requirePermission } = require("../middleware/auth");
+const Audit = require("../models/audit");
+
+const auditFilterSchema = require("../schemas/auditFilter.json");
+
+const router = new express.Router();
+
+
+/** GET /  =>
+ *   { entries: [{ id, actor, action, entityType, entityId, before, after,
+ *                 requestId, impersonator, createdAt }, ...] }
+ *
+ * Returns audit entries, newest first. Can filter on:
+ * - actor (username)
+ * - action (create, update or delete)
+ * - entityType (company, job, user, application, ...) and entityId
+ * - from and to (ISO date-times, inclusive)
+ * - limit (1 to 1000; default 100)
+ *
+ * Authorization required: audit:read permission
+ */
+
+router.get("/", requirePermission("audit:read"), async function (req, res, next) {
+  const validator = jsonschema.validate(req.query, auditFilterSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const filters = { ...req.query };
+  if (filters.limit) filters.limit = +filters.limit;
+
+  const entries = await Audit.findAll(filters);
+  return res.json({ entries });
+});
+
+
+module.exports = router;
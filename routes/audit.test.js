@@ -0,0 +1,201 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const Audit = require("../models/audit");
+const Role = require("../models/role");
+const TwoFactor = require("../models/twoFactor");
+const { codeAt, timeStep } = require("../helpers/totp");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u4AdminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /audit */
+
+describe("GET /audit", function () {
+  beforeEach(async function () {
+    await Audit.record({
+      actor: "u4admin",
+      action: "delete",
+      entityType: "company",
+      entityId: "c3",
+      before: { handle: "c3" },
+    });
+    await Audit.record({
+      actor: "u1",
+      action: "update",
+      entityType: "user",
+      entityId: "u1",
+      before: { firstName: "U1F" },
+      after: { firstName: "New" },
+    });
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/audit")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.entries.map(e => [e.actor, e.action, e.entityId]))
+      .toEqual([
+        ["u1", "update", "u1"],
+        ["u4admin", "delete", "c3"],
+      ]);
+  });
+
+  test("works for auditors, with filters", async function () {
+    await Role.assign("u1", "auditor");
+    const resp = await request(app)
+      .get("/audit")
+      .query({ entityType: "company", action: "delete" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      entries: [{
+        id: expect.any(Number),
+        actor: "u4admin",
+        action: "delete",
+        entityType: "company",
+        entityId: "c3",
+        before: { handle: "c3" },
+        after: null,
+        requestId: null,
+        impersonator: null,
+        createdAt: expect.any(String),
+      }],
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get("/audit")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid filter", async function () {
+    const resp = await request(app)
+      .get("/audit")
+      .query({ from: "yesterday" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** recording */
+
+describe("mutations are recorded", function () {
+  test("company delete, with actor and request id", async function () {
+    const resp = await request(app)
+      .delete("/companies/c1")
+      .set("x-request-id", "req-abc")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.headers["x-request-id"]).toEqual("req-abc");
+
+    const [entry] = await Audit.findAll({ entityType: "company" });
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: "u4admin",
+      action: "delete",
+      entityType: "company",
+      entityId: "c1",
+      before: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+      after: null,
+      requestId: "req-abc",
+      impersonator: null,
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test("user update, without password", async function () {
+    await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New", password: "new-password" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const [entry] = await Audit.findAll({ entityType: "user", entityId: "u1" });
+    expect(entry.actor).toEqual("u1");
+    expect(entry.before.firstName).toEqual("U1F");
+    expect(entry.after.firstName).toEqual("New");
+    expect(entry.after.password).toEqual("(changed)");
+  });
+
+  test("session revocation and unlock by an admin", async function () {
+    await request(app)
+      .post("/users/u1/revoke-sessions")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    await request(app)
+      .post("/users/u1/unlock")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+
+    const entries = await Audit.findAll({ entityType: "user", entityId: "u1" });
+    expect(entries.map(e => [e.actor, e.action, e.after])).toEqual([
+      ["u4admin", "update", { username: "u1", locked: false }],
+      ["u4admin", "update", { username: "u1", sessions: "(revoked)" }],
+    ]);
+  });
+
+  test("two-factor auth turned on, then off by an admin", async function () {
+    const { secret } = await TwoFactor.setup("u1");
+    await request(app)
+      .post("/users/u1/2fa/confirm")
+      .send({ code: codeAt(secret, timeStep()) })
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .post("/users/u1/2fa/disable")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+
+    const entries = await Audit.findAll({ entityType: "user", entityId: "u1" });
+    expect(entries.map(e => [e.actor, e.before, e.after])).toEqual([
+      [
+        "u4admin",
+        { username: "u1", twoFactorEnabled: true },
+        { username: "u1", twoFactorEnabled: false },
+      ],
+      [
+        "u1",
+        { username: "u1", twoFactorEnabled: false },
+        { username: "u1", twoFactorEnabled: true },
+      ],
+    ]);
+  });
+
+  test("anonymous registration", async function () {
+    await request(app)
+      .post("/auth/register")
+      .send({
+        username: "new",
+        firstName: "first",
+        lastName: "last",
+        password: "password",
+        email: "new@email.com",
+      });
+
+    const [entry] = await Audit.findAll({ entityType: "user", entityId: "new" });
+    expect(entry.actor).toBeNull();
+    expect(entry.action).toEqual("create");
+    expect(entry.after).toEqual({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      email: "new@email.com",
+      isAdmin: false,
+    });
+  });
+});
@@ -5,21 +5,73 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const RevokedToken = require("../models/revokedToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
+const LoginAttempt = require("../models/loginAttempt");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { audit } = require("../helpers/audit");
+const { ensureLoggedIn } = require("../middleware/auth");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authChallengeSchema = require("../schemas/authChallenge.json");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                 or { challenge, code } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token to get a new one from POST /auth/refresh.
+ *
+ * If the user has two-factor auth on, { username, password } instead returns
+ * { challenge, twoFactorRequired: true }; POST the challenge back with a code
+ * from their authenticator app (or a recovery code) to get the tokens.
+ *
+ * With REQUIRE_ADMIN_2FA, admins without two-factor auth get a token without
+ * admin rights, and { twoFactorSetupRequired: true }.
+ *
+ * Repeated wrong passwords and two-factor codes are throttled (see
+ * LoginAttempt): retries get 429 until a delay passes, and too many lock the
+ * account (423) for a while. Both send a Retry-After header.
  *
  * Authorization required: none
  */
 
 router.post("/token", async function (req, res, next) {
+  if (req.body.challenge !== undefined) {
+    const validator = jsonschema.validate(req.body, authChallengeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const username = await TwoFactor.challengeUser(req.body.challenge);
+    await LoginAttempt.check(username, req.ip);
+
+    let user;
+    try {
+      user = await TwoFactor.answerChallenge(req.body.challenge, req.body.code);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginAttempt.recordFailure(username, req.ip);
+      }
+      throw err;
+    }
+    await LoginAttempt.recordSuccess(username, req.ip);
+
+    const token = createToken(user);
+    const refreshToken = await RefreshToken.issue(user.username);
+    return res.json({ token, refreshToken });
+  }
+
   const validator = jsonschema.validate(req.body, userAuthSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
@@ -27,17 +79,143 @@ router.post("/token", async function (req, res, next) {
   }
 
   const { username, password } = req.body;
-  const user = await User.authenticate(username, password);
+  await LoginAttempt.check(username, req.ip);
+
+  let user;
+  try {
+    user = await User.authenticate(username, password);
+  } catch (err) {
+    if (err instanceof UnauthorizedError) {
+      await LoginAttempt.recordFailure(username, req.ip);
+    }
+    throw err;
+  }
+
+  // with two-factor auth, the login only succeeds once the code is right
+  if (await TwoFactor.isEnabled(user.username)) {
+    const challenge = await TwoFactor.createChallenge(user.username);
+    return res.json({ challenge, twoFactorRequired: true });
+  }
+  await LoginAttempt.recordSuccess(username, req.ip);
+
+  if (await TwoFactor.adminNeedsSetup(user)) {
+    const token = createToken({ ...user, isAdmin: false });
+    return res.json({ token, twoFactorSetupRequired: true });
+  }
+
+  const token = createToken(user);
+  const refreshToken = await RefreshToken.issue(user.username);
+  return res.json({ token, refreshToken });
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token;
+ * the old refresh token can't be used again. Presenting an already used
+ * refresh token revokes every refresh token from that login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, authRefreshSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { refreshToken, ...user } =
+    await RefreshToken.rotate(req.body.refreshToken);
+  if (await TwoFactor.adminNeedsSetup(user)) user.isAdmin = false;
   const token = createToken(user);
-  return res.json({ token });
+  return res.json({ token, refreshToken });
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used for this request and, if given, the refresh
+ * token from the same login. API keys can't log out; revoke them instead
+ * (400).
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/logout", ensureLoggedIn, async function (req, res, next) {
+  if (res.locals.user.apiKey) {
+    throw new BadRequestError("Revoke API keys instead of logging out");
+  }
+
+  const validator = jsonschema.validate(req.body, authLogoutSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = res.locals.user;
+  await RevokedToken.revoke(res.locals.user);
+  if (req.body.refreshToken) {
+    await RefreshToken.revoke(req.body.refreshToken, username);
+  }
+  return res.json({ loggedOut: username });
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/password-reset/request:  { username } => { message }
+ *
+ * Emails a single-use password reset token to the user. Responds the same
+ * whether or not the user exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  await PasswordReset.request(req.body.username);
+  return res.status(202).json({
+    message: "If that user exists, a reset token was emailed to them",
+  });
+});
+
+
+/** POST /auth/password-reset/confirm:  { token, password } => { message }
+ *
+ * Sets a new password using a token from POST /auth/password-reset/request.
+ * The user is logged out everywhere and must log in with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const username = await PasswordReset.confirm(req.body.token, req.body.password);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    after: { password: "(changed)" },
+  });
+  return res.json({ message: "Password reset" });
+});
+
+
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token. Emails the user a token to verify their email with.
  *
  * Authorization required: none
  */
@@ -50,8 +228,55 @@ router.post("/register", async function (req, res, next) {
   }
 
   const newUser = await User.register({ ...req.body, isAdmin: false });
+  const { tokenVersion, ...after } = newUser;
+  await audit(res, {
+    action: "create",
+    entityType: "user",
+    entityId: newUser.username,
+    after,
+  });
+  await EmailVerification.send(newUser.username);
   const token = createToken(newUser);
-  return res.status(201).json({ token });
+  const refreshToken = await RefreshToken.issue(newUser.username);
+  return res.status(201).json({ token, refreshToken });
+});
+
+
+/** GET /auth/verify-email?token=  =>  { verified: username }
+ *
+ * Marks the user's email verified, using a token emailed to them.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify-email", async function (req, res, next) {
+  const { token } = req.query;
+  if (typeof token !== "string" || !token) {
+    throw new BadRequestError("token is required");
+  }
+
+  const username = await EmailVerification.confirm(token);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    before: { emailVerified: false },
+    after: { emailVerified: true },
+  });
+  return res.json({ verified: username });
+});
+
+
+/** POST /auth/verify-email/resend  =>  { message }
+ *
+ * Emails the logged in user a new email verification token.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
+  await EmailVerification.send(res.locals.user.username);
+  return res.status(202).json({ message: "Verification token emailed" });
 });
 
 
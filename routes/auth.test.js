@@ -2,15 +2,25 @@
 
 const request = require("supertest");
 
+const db = require("../db");
 const app = require("../app");
+const config = require("../config");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { codeAt, timeStep } = require("../helpers/totp");
+const { signToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
+const expiredToken = signToken(
+    { username: "u1", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 });
+
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
@@ -28,6 +38,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -71,6 +82,360 @@ describe("POST /auth/token", function () {
   });
 });
 
+/************************************** POST /auth/token throttling */
+
+describe("POST /auth/token throttling", function () {
+  async function tryPassword(password) {
+    return await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password });
+  }
+
+  test("too many requests after repeated wrong passwords", async function () {
+    for (let i = 0; i < config.LOGIN_DELAY_AFTER; i++) {
+      expect((await tryPassword("nope")).statusCode).toEqual(401);
+    }
+
+    const resp = await tryPassword("password1");
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("locked after LOCKOUT_AFTER wrong passwords", async function () {
+    await db.query(
+      `INSERT INTO login_attempts (username, ip, succeeded, attempted_at)
+           SELECT 'u1', '1.1.1.1', FALSE, NOW() - interval '5 minutes'
+               FROM generate_series(2, $1)`,
+      [config.LOCKOUT_AFTER]);
+    expect((await tryPassword("nope")).statusCode).toEqual(401);
+
+    const resp = await tryPassword("password1");
+    expect(resp.statusCode).toEqual(423);
+    expect(resp.headers["retry-after"]).toEqual(String(config.LOCKOUT_DURATION));
+  });
+});
+
+/************************************** POST /auth/token with 2FA */
+
+describe("POST /auth/token with two-factor auth", function () {
+  let secret;
+
+  async function enable(username) {
+    ({ secret } = await TwoFactor.setup(username));
+    await TwoFactor.enable(username, codeAt(secret, timeStep() - 1));
+  }
+
+  test("works: challenge then code", async function () {
+    await enable("u1");
+    const first = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(first.body).toEqual({
+      challenge: expect.any(String),
+      twoFactorRequired: true,
+    });
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          challenge: first.body.challenge,
+          code: codeAt(secret, timeStep()),
+        });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("unauth with wrong code", async function () {
+    await enable("u1");
+    const first = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          challenge: first.body.challenge,
+          code: "000000",
+        });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("wrong codes are throttled like wrong passwords", async function () {
+    await enable("u1");
+    const first = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    for (let i = 0; i < config.LOGIN_DELAY_AFTER; i++) {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({
+            challenge: first.body.challenge,
+            code: "000000",
+          });
+      expect(resp.statusCode).toEqual(401);
+    }
+
+    // a correct password doesn't reset the count
+    const second = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(second.statusCode).toEqual(429);
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          challenge: first.body.challenge,
+          code: codeAt(secret, timeStep()),
+        });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("bad request with missing code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  describe("with REQUIRE_ADMIN_2FA", function () {
+    beforeEach(function () {
+      config.REQUIRE_ADMIN_2FA = true;
+    });
+    afterEach(function () {
+      config.REQUIRE_ADMIN_2FA = false;
+    });
+
+    test("admin without 2FA gets non-admin token", async function () {
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u4admin",
+            password: "passwordadmin",
+          });
+      expect(resp.body).toEqual({
+        token: expect.any(String),
+        twoFactorSetupRequired: true,
+      });
+
+      const usersResp = await request(app)
+          .get("/users")
+          .set("authorization", `Bearer ${resp.body.token}`);
+      expect(usersResp.statusCode).toEqual(401);
+    });
+
+    test("admin with 2FA gets admin token", async function () {
+      await enable("u4admin");
+      const first = await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u4admin",
+            password: "passwordadmin",
+          });
+      const resp = await request(app)
+          .post("/auth/token")
+          .send({
+            challenge: first.body.challenge,
+            code: codeAt(secret, timeStep()),
+          });
+
+      const usersResp = await request(app)
+          .get("/users")
+          .set("authorization", `Bearer ${resp.body.token}`);
+      expect(usersResp.statusCode).toEqual(200);
+    });
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("works with an expired token still sent", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${expiredToken}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const jobsResp = await request(app)
+        .get("/jobs")
+        .set("authorization", `Bearer ${expiredToken}`);
+    expect(jobsResp.statusCode).toEqual(200);
+
+    const logoutResp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${expiredToken}`);
+    expect(logoutResp.statusCode).toEqual(401);
+    expect(logoutResp.body.error.message).toEqual("Token expired");
+  });
+
+  test("unauth when reused, and revokes rotated token", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const { token, refreshToken } = loginResp.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(401);
+
+    const refreshResp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with an API key", async function () {
+    const { key } = await ApiKey.create("u1", { name: "script" });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(400);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("x-api-key", key);
+    expect(userResp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  test("works: request then confirm", async function () {
+    const reqResp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(reqResp.statusCode).toEqual(202);
+
+    const mailRes = await db.query(
+        "SELECT to_email, body FROM mail_outbox");
+    expect(mailRes.rows[0].to_email).toEqual("user1@user.com");
+    const token = mailRes.rows[0].body.match(/token is: (\S+)/)[1];
+
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ message: "Password reset" });
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "new-password",
+        });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("request looks the same for unknown user", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(202);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -87,9 +452,31 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("token works when reusing a deleted user's username", async function () {
+    await db.query("DELETE FROM users WHERE username = 'u1'");
+    await db.query(
+        "INSERT INTO deleted_users (username, token_version) VALUES ('u1', 3)");
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "u1",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(201);
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(200);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +499,63 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** GET /auth/verify-email */
+
+describe("GET /auth/verify-email", function () {
+  test("works with token emailed on register", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const mailRes = await db.query(
+        "SELECT body FROM mail_outbox WHERE to_email = 'new@email.com'");
+    const token = mailRes.rows[0].body.match(/token is: (\S+)/)[1];
+
+    const resp = await request(app)
+        .get(`/auth/verify-email?token=${token}`);
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const userRes = await db.query(
+        "SELECT email_verified FROM users WHERE username = 'new'");
+    expect(userRes.rows[0].email_verified).toEqual(true);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email?token=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify-email");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(202);
+
+    const mailRes = await db.query(
+        "SELECT to_email FROM mail_outbox");
+    expect(mailRes.rows).toEqual([{ to_email: "user1@user.com" }]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -6,12 +6,24 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const {
+  ensureAdmin,
+  ensureAdminToIncludeDeleted,
+  requirePermission,
+  requirePermissionOrMember,
+} = require("../middleware/auth");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const Revision = require("../models/revision");
+const { audit } = require("../helpers/audit");
+const { parseQuery } = require("../helpers/query");
+const { parseView } = require("../helpers/view");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyFilterSchema = require("../schemas/companyFilter.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
+const viewSchema = require("../schemas/view.json");
 
 const router = new express.Router();
 
@@ -22,10 +34,10 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required:  isAdmin 
+ * Authorization required: companies:write permission
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermission("companies:write"), async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
@@ -33,58 +45,61 @@ router.post("/", ensureAdmin, async function (req, res, next) {
   }
 
   const company = await Company.create(req.body);
+  await audit(res, {
+    action: "create",
+    entityType: "company",
+    entityId: company.handle,
+    after: company,
+  });
   return res.status(201).json({ company });
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl,
+ *                    jobCount, salaryRange }, ...],
+ *     next, total }
+ *
+ * jobCount is how many open jobs a company has; salaryRange is { min, max }
+ * of their salaries.
  *
  * Can filter on provided search filters:
- * - minEmployees
- * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - q (full-text search of name and description; see Company.filterSearch)
+ * - handle (can be given more than once, for any of them)
+ * - numEmployees, or minEmployees and maxEmployees
+ * - name (will find case-insensitive, partial matches)
+ * - hasOpenJobs (true or false)
+ * - jobCount, or minJobs
+ * - minSalaryOffered (companies with a job paying at least this)
+ * - hasEquityJobs (true or false)
+ *
+ * A filter can also be given an operator, like numEmployees[lte]=100 (see
+ * sqlForFilters and Company's FILTER_FIELDS).
+ *
+ * fields (like "handle,name") limits the fields of each company returned;
+ * include=jobs adds each company's open jobs, as for GET /[handle].
+ * includeDeleted=true lists deleted companies too, each with deletedAt.
+ *
+ * Can sort on handle, name and numEmployees: sort is a list of fields like
+ * "-numEmployees,name", "-" for descending; by default, by name. With q,
+ * companies also have rank and snippet, and are by default sorted best
+ * match (-rank) first.
  *
- * Authorization required: none
+ * Companies come a page at a time: limit (1 to 100; default 20) per page,
+ * starting after cursor, which is the next from the page before (with the
+ * same sort). next is null on the last page; total counts companies on all
+ * pages.
+ *
+ * Authorization required: none; admin for includeDeleted
  */
 
-router.get("/", async function (req, res, next) {
-  if (Object.keys(req.query).length > 0) {
-    const validator = jsonschema.validate(req.query, companyFilterSchema);
-
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    let { name, minEmployees, maxEmployees } = req.query;
-
-    let searchTerms = {};
-
-    if (name) {
-      searchTerms["name"] = name;
-    }
-    if (minEmployees) {
-      if (Number(minEmployees)) {
-        searchTerms["minEmployees"] = Number(minEmployees);
-      } else {
-        throw new BadRequestError("minEmployees must be a number")
-      }
-    }
-    if (maxEmployees) {
-      if (Number(maxEmployees)) {
-        searchTerms["maxEmployees"] = Number(maxEmployees);
-      } else {
-        throw new BadRequestError("maxEmployees must be a number")
-      }
-    }
-
-    const companies = await Company.filterSearch(searchTerms);
-    return res.json({ companies });
-  }
-  // console.log(req.query, "req query object")
+router.get("/", ensureAdminToIncludeDeleted, async function (req, res, next) {
+  const { limit, cursor, sort, fields, include, includeDeleted, ...searchTerms } =
+    parseQuery(req.query, companyFilterSchema);
 
-  const companies = await Company.findAll();
-  return res.json({ companies });
+  return res.json(await Company.filterSearch(
+    searchTerms,
+    { limit, cursor, sort },
+    parseView({ fields, include, includeDeleted })));
 });
 
 /** GET /[handle]  =>  { company }
@@ -92,11 +107,16 @@ router.get("/", async function (req, res, next) {
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
  *   where jobs is [{ id, title, salary, equity }, ...]
  *
- * Authorization required: none
+ * fields (like "handle,name") limits the company's fields returned;
+ * include is jobs unless given (include= for none). includeDeleted=true
+ * finds it even if deleted, with deletedAt.
+ *
+ * Authorization required: none; admin for includeDeleted
  */
 
-router.get("/:handle", async function (req, res, next) {
-  const company = await Company.get(req.params.handle);
+router.get("/:handle", ensureAdminToIncludeDeleted, async function (req, res, next) {
+  const view = parseView(parseQuery(req.query, viewSchema));
+  const company = await Company.get(req.params.handle, view);
   return res.json({ company });
 });
 
@@ -108,29 +128,190 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required:  isAdmin 
+ * The change is kept as a revision (see GET /[handle]/revisions).
+ *
+ * Authorization required: companies:write permission, or owner of the
+ * company
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", requirePermissionOrMember("companies:write", req => req.params.handle, { roles: ["owner"] }), async function (req, res, next) {
   const validator = jsonschema.validate(req.body, companyUpdateSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
+  const before = await Company.get(req.params.handle, { include: [] });
   const company = await Company.update(req.params.handle, req.body);
+  await Revision.record({
+    entityType: "company",
+    entityId: company.handle,
+    author: res.locals.user.username,
+    before,
+    after: company,
+  });
+  await audit(res, {
+    action: "update",
+    entityType: "company",
+    entityId: company.handle,
+    before,
+    after: company,
+  });
+  return res.json({ company });
+});
+
+/** GET /[handle]/revisions  =>
+ *   { revisions: [{ id, author, createdAt, changes }, ...] }
+ *
+ * Returns the changes made to the company, newest first; changes is
+ * { field: { from, to }, ... } of the fields each one changed.
+ *
+ * Authorization required: companies:write permission, or member of the
+ * company
+ */
+
+router.get("/:handle/revisions", requirePermissionOrMember("companies:write", req => req.params.handle), async function (req, res, next) {
+  await Company.get(req.params.handle, { include: [] });
+  const revisions = await Revision.findAll("company", req.params.handle);
+  return res.json({ revisions });
+});
+
+/** POST /[handle]/revisions/[id]/revert  =>  { company }
+ *
+ * Sets the company's fields back to how they were after revision id; this
+ * is kept as a new revision.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:handle/revisions/:id/revert", ensureAdmin, async function (req, res, next) {
+  const id = +req.params.id;
+  if (!Number.isInteger(id)) throw new BadRequestError("id must be an integer");
+
+  const { handle } = req.params;
+  const revision = await Revision.get("company", handle, id);
+  const before = await Company.get(handle, { include: [] });
+  const company = await Company.update(handle, revision.after);
+  await Revision.record({
+    entityType: "company",
+    entityId: handle,
+    author: res.locals.user.username,
+    before,
+    after: company,
+  });
+  await audit(res, {
+    action: "update",
+    entityType: "company",
+    entityId: handle,
+    before,
+    after: company,
+  });
   return res.json({ company });
 });
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization:  isAdmin 
+ * Deletes the company and its jobs until restored, or purged once
+ * DELETED_RETENTION has passed (see purge.js).
+ *
+ * Authorization: companies:write permission
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", requirePermission("companies:write"), async function (req, res, next) {
+  const before = await Company.get(req.params.handle, { include: [] });
   await Company.remove(req.params.handle);
+  await audit(res, {
+    action: "delete",
+    entityType: "company",
+    entityId: req.params.handle,
+    before,
+  });
   return res.json({ deleted: req.params.handle });
 });
 
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Restores a deleted company, with the jobs deleted along with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization: admin
+ */
+
+router.post("/:handle/restore", ensureAdmin, async function (req, res, next) {
+  const before = await Company.get(
+    req.params.handle, { include: [], includeDeleted: true });
+  const company = await Company.restore(req.params.handle);
+  await audit(res, {
+    action: "update",
+    entityType: "company",
+    entityId: company.handle,
+    before,
+    after: company,
+  });
+  return res.json({ company });
+});
+
+
+/** GET /[handle]/members  =>  { members: [{ username, role, addedAt }, ...] }
+ *
+ * Returns the company's owners and recruiters.
+ *
+ * Authorization required: members:write permission, or member of the
+ * company
+ */
+
+router.get("/:handle/members", requirePermissionOrMember("members:write", req => req.params.handle), async function (req, res, next) {
+  const members = await CompanyMember.findAll(req.params.handle);
+  return res.json({ members });
+});
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Adds a user to the company as an "owner" or "recruiter", and emails them
+ * about it.
+ *
+ * Returns { companyHandle, username, role, addedAt }
+ *
+ * Authorization required: members:write permission
+ */
+
+router.post("/:handle/members", requirePermission("members:write"), async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const member = await CompanyMember.add(req.params.handle, req.body);
+  await audit(res, {
+    action: "create",
+    entityType: "companyMember",
+    entityId: `${member.companyHandle}:${member.username}`,
+    after: member,
+  });
+  return res.status(201).json({ member });
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: members:write permission
+ */
+
+router.delete("/:handle/members/:username", requirePermission("members:write"), async function (req, res, next) {
+  const { handle, username } = req.params;
+  const role = await CompanyMember.getRole(handle, username);
+  await CompanyMember.remove(handle, username);
+  await audit(res, {
+    action: "delete",
+    entityType: "companyMember",
+    entityId: `${handle}:${username}`,
+    before: { companyHandle: handle, username, role },
+  });
+  return res.json({ removed: username });
+});
+
 
 module.exports = router;
@@ -4,6 +4,8 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
 
 const {
   commonBeforeAll,
@@ -64,6 +66,15 @@ describe("POST /companies", function () {
     });
   });
 
+  test("ok for recruiters", async function () {
+    await Role.assign("u1", "recruiter");
+    const resp = await request(app)
+      .post("/companies")
+      .send(newCompany)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
   test("unauthorized for non-admin users", async function () {
     const resp = await request(app)
       .post("/companies")
@@ -135,6 +146,8 @@ describe("GET /companies", function () {
             description: "Desc1",
             numEmployees: 1,
             logoUrl: "http://c1.img",
+            jobCount: 1,
+            salaryRange: { min: 1000, max: 1000 },
           },
           {
             handle: "c2",
@@ -142,6 +155,8 @@ describe("GET /companies", function () {
             description: "Desc2",
             numEmployees: 2,
             logoUrl: "http://c2.img",
+            jobCount: 0,
+            salaryRange: { min: null, max: null },
           },
           {
             handle: "c3",
@@ -149,8 +164,12 @@ describe("GET /companies", function () {
             description: "Desc3",
             numEmployees: 3,
             logoUrl: "http://c3.img",
+            jobCount: 0,
+            salaryRange: { min: null, max: null },
           },
         ],
+      next: null,
+      total: 3,
     });
   });
 
@@ -167,6 +186,115 @@ describe("GET /companies", function () {
 });
 
 
+/************************************** GET /companies, paginated */
+
+describe("GET /companies, with a view", function () {
+  test("works: fields and include", async function () {
+    const resp = await request(app).get("/companies?fields=handle,name&include=jobs");
+    expect(resp.body.companies).toEqual([
+      {
+        handle: "c1",
+        name: "C1",
+        jobs: [{
+          id: expect.any(Number),
+          title: "testJob1",
+          salary: 1000,
+          equity: "0.001"
+        }],
+      },
+      { handle: "c2", name: "C2", jobs: [] },
+      { handle: "c3", name: "C3", jobs: [] },
+    ]);
+  });
+
+  test("bad request for what can't be included", async function () {
+    const resp = await request(app).get("/companies?include=owners");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Can't include owners");
+  });
+});
+
+describe("GET /companies, paginated", function () {
+  test("works: pages through with next", async function () {
+    const resp1 = await request(app).get("/companies?limit=2");
+    expect(resp1.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp1.body.total).toEqual(3);
+    expect(resp1.body.next).toEqual(expect.any(String));
+
+    const resp2 = await request(app)
+      .get("/companies")
+      .query({ limit: 2, cursor: resp1.body.next });
+    expect(resp2.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(resp2.body.total).toEqual(3);
+    expect(resp2.body.next).toBeNull();
+  });
+
+  test("works: with filters", async function () {
+    const resp1 = await request(app).get("/companies?minEmployees=2&limit=1");
+    expect(resp1.body.companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(resp1.body.total).toEqual(2);
+
+    const resp2 = await request(app)
+      .get("/companies")
+      .query({ minEmployees: 2, limit: 1, cursor: resp1.body.next });
+    expect(resp2.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(resp2.body.next).toBeNull();
+  });
+
+  test("bad request for bad limit or cursor", async function () {
+    const resp1 = await request(app).get("/companies?limit=101");
+    expect(resp1.statusCode).toEqual(400);
+    const resp2 = await request(app).get("/companies?limit=0");
+    expect(resp2.statusCode).toEqual(400);
+    const resp3 = await request(app).get("/companies?cursor=nope");
+    expect(resp3.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /companies, sorted */
+
+describe("GET /companies, sorted", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/companies?sort=-numEmployees");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request for unsortable field", async function () {
+    const resp = await request(app).get("/companies?sort=description");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /companies, searched */
+
+describe("GET /companies, searched", function () {
+  test("works", async function () {
+    await db.query(
+      `UPDATE companies SET description = 'Builds rockets' WHERE handle = 'c2'`);
+    const resp = await request(app).get("/companies?q=rocket");
+    expect(resp.body).toEqual({
+      companies: [{
+        handle: "c2",
+        name: "C2",
+        description: "Builds rockets",
+        numEmployees: 2,
+        logoUrl: "http://c2.img",
+        jobCount: 0,
+        salaryRange: { min: null, max: null },
+        rank: expect.any(Number),
+        snippet: "Builds <b>rockets</b>",
+      }],
+      next: null,
+      total: 1,
+    });
+  });
+
+  test("bad request for empty q", async function () {
+    const resp = await request(app).get("/companies?q=");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** GET /companies with query strings */
 
 describe("GET /companies with query params", function () {
@@ -181,6 +309,8 @@ describe("GET /companies with query params", function () {
             description: "Desc1",
             numEmployees: 1,
             logoUrl: "http://c1.img",
+            jobCount: 1,
+            salaryRange: { min: 1000, max: 1000 },
           },
           {
             handle: "c2",
@@ -188,6 +318,8 @@ describe("GET /companies with query params", function () {
             description: "Desc2",
             numEmployees: 2,
             logoUrl: "http://c2.img",
+            jobCount: 0,
+            salaryRange: { min: null, max: null },
           },
           {
             handle: "c3",
@@ -195,8 +327,12 @@ describe("GET /companies with query params", function () {
             description: "Desc3",
             numEmployees: 3,
             logoUrl: "http://c3.img",
+            jobCount: 0,
+            salaryRange: { min: null, max: null },
           },
         ],
+      next: null,
+      total: 3,
     });
   });
 
@@ -211,8 +347,12 @@ describe("GET /companies with query params", function () {
             description: "Desc1",
             numEmployees: 1,
             logoUrl: "http://c1.img",
+            jobCount: 1,
+            salaryRange: { min: 1000, max: 1000 },
           }
         ],
+      next: null,
+      total: 1,
     });
   });
 
@@ -220,7 +360,7 @@ describe("GET /companies with query params", function () {
     const resp = await request(app).get("/companies?minEmployees=string");
     expect(resp.body).toEqual({
       "error": {
-        "message": "minEmployees must be a number",
+        "message": "minEmployees must be an integer",
         "status": 400
       }
     });
@@ -230,19 +370,43 @@ describe("GET /companies with query params", function () {
     const resp = await request(app).get("/companies?maxEmployees=string&name=c");
     expect(resp.body).toEqual({
       "error": {
-        "message": "maxEmployees must be a number",
+        "message": "maxEmployees must be an integer",
         "status": 400
       }
     });
   });
 
+  test("ok for filters on jobs", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, salary, equity, company_handle)
+      VALUES ('testJob2', 5000, 0, 'c2'),
+             ('testJob3', 2000, 0.01, 'c2')`);
+
+    const hiring = await request(app).get("/companies?hasOpenJobs=true");
+    expect(hiring.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(hiring.body.companies[1]).toEqual(expect.objectContaining({
+      jobCount: 2,
+      salaryRange: { min: 2000, max: 5000 },
+    }));
+
+    const notHiring = await request(app).get("/companies?hasOpenJobs=false");
+    expect(notHiring.body.companies.map(c => c.handle)).toEqual(["c3"]);
+
+    const resp = await request(app)
+      .get("/companies?minJobs=2&minSalaryOffered=3000&hasEquityJobs=true");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("pass in invalid hasOpenJobs param", async function () {
+    const resp = await request(app).get("/companies?hasOpenJobs=yes");
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("pass in extra params", async function () {
     const resp = await request(app).get("/companies?name=c&color=red");
     expect(resp.body).toEqual({
       "error": {
-        "message": [
-          "instance is not allowed to have the additional property \"color\""
-        ],
+        "message": "Can't filter on color",
         "status": 400
       }
     });
@@ -272,6 +436,17 @@ describe("GET /companies/:handle", function () {
     });
   });
 
+  test("works for anon: without jobs", async function () {
+    const resp = await request(app).get(`/companies/c1?include=&fields=handle,name`);
+    expect(resp.body).toEqual({ company: { handle: "c1", name: "C1" } });
+  });
+
+  test("bad request for fields only searches return", async function () {
+    const resp = await request(app).get(`/companies/c1?fields=jobCount`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Unknown field: jobCount");
+  });
+
   test("works for anon: company w/o jobs", async function () {
     const resp = await request(app).get(`/companies/c2`);
     expect(resp.body).toEqual({
@@ -357,6 +532,33 @@ describe("PATCH /companies/:handle", function () {
 
   });
 
+  test("works for owners", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("unauth for recruiters of the company", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for owners of another company", async function () {
+    await CompanyMember.add("c2", { username: "u1", role: "owner" });
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -433,7 +635,7 @@ describe("DELETE /companies/:handle", function () {
     const compRes = await db.query(
       `SELECT handle, name, logo_url
       FROM companies
-      WHERE handle='c1'`
+      WHERE handle='c1' AND deleted_at IS NULL`
     );
     expect(compRes.rows).toEqual([]);
 
@@ -507,3 +709,287 @@ describe("DELETE /companies/:handle", function () {
   });
 
 });
+
+/************************************** GET /companies/:handle/revisions */
+
+describe("GET /companies/:handle/revisions", function () {
+  beforeEach(async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ description: "New" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/revisions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({
+      revisions: [{
+        id: expect.any(Number),
+        author: "u4admin",
+        createdAt: expect.any(String),
+        changes: { description: { from: "Desc1", to: "New" } },
+      }],
+    });
+  });
+
+  test("works for members of the company", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+    const resp = await request(app)
+      .get(`/companies/c1/revisions`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.revisions.length).toEqual(1);
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/revisions`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/revisions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/revisions/:id/revert */
+
+describe("POST /companies/:handle/revisions/:id/revert", function () {
+  let revisionId;
+
+  beforeEach(async function () {
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ description: "First" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    await request(app)
+      .patch(`/companies/c1`)
+      .send({ description: "Second", numEmployees: 10 })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    const resp = await request(app)
+      .get(`/companies/c1/revisions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    revisionId = resp.body.revisions[1].id;
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/revisions/${revisionId}/revert`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "First",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+
+    const revResp = await request(app)
+      .get(`/companies/c1/revisions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(revResp.body.revisions.length).toEqual(3);
+    expect(revResp.body.revisions[0].changes).toEqual({
+      description: { from: "Second", to: "First" },
+      numEmployees: { from: 10, to: 1 },
+    });
+  });
+
+  test("unauth for owners of the company", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    const resp = await request(app)
+      .post(`/companies/c1/revisions/${revisionId}/revert`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for a revision of another company", async function () {
+    const resp = await request(app)
+      .post(`/companies/c2/revisions/${revisionId}/revert`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request for a bad id", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/revisions/nope/revert`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /companies/:handle/restore */
+
+describe("POST /companies/:handle/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({
+      company: {
+        handle: "c1",
+        name: "C1",
+        description: "Desc1",
+        numEmployees: 1,
+        logoUrl: "http://c1.img",
+      },
+    });
+
+    const getResp = await request(app).get(`/companies/c1`);
+    expect(getResp.body.company.jobs.length).toEqual(1);
+  });
+
+  test("unauth for non-admins", async function () {
+    await Role.assign("u1", "recruiter");
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/restore`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies, includeDeleted */
+
+describe("GET /companies, includeDeleted", function () {
+  beforeEach(async function () {
+    await request(app)
+      .delete(`/companies/c1`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+  });
+
+  test("deleted companies are hidden", async function () {
+    const resp = await request(app).get("/companies");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+    const getResp = await request(app).get("/companies/c1");
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/companies?includeDeleted=true&fields=handle,deletedAt")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.companies).toEqual([
+      { handle: "c1", deletedAt: expect.any(String) },
+      { handle: "c2", deletedAt: null },
+      { handle: "c3", deletedAt: null },
+    ]);
+    const getResp = await request(app)
+      .get("/companies/c1?includeDeleted=true")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(getResp.body.company.deletedAt).toEqual(expect.any(String));
+  });
+
+  test("unauth for others", async function () {
+    const resp = await request(app)
+      .get("/companies?includeDeleted=true")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    const getResp = await request(app).get("/companies/c1?includeDeleted=true");
+    expect(getResp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** /companies/:handle/members */
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "recruiter" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: {
+        companyHandle: "c1",
+        username: "u1",
+        role: "recruiter",
+        addedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("unauth for owners", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "owner" });
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u2", role: "recruiter" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid role", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "boss" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+      .post(`/companies/nope/members`)
+      .send({ username: "u1", role: "owner" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /companies/:handle/members", function () {
+  test("works for members", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [
+        { username: "u1", role: "recruiter", addedAt: expect.any(String) },
+      ],
+    });
+  });
+
+  test("unauth for non-members", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admins", async function () {
+    await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({ removed: "u1" });
+
+    const jobResp = await request(app)
+      .post("/jobs")
+      .send({ title: "new-job", companyHandle: "c1" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -7,27 +7,111 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureAdmin } = require("../middleware/auth");
+const {
+    BadRequestError,
+    NotFoundError,
+    UnauthorizedError,
+} = require("../expressError");
+const {
+    ensureAdmin,
+    ensureAdminToIncludeDeleted,
+    requirePermissionOrMember,
+} = require("../middleware/auth");
 const Job = require("../models/job");
+const Revision = require("../models/revision");
+const { audit } = require("../helpers/audit");
+const { parseQuery } = require("../helpers/query");
+const { parseView } = require("../helpers/view");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobFilterSchema = require("../schemas/jobFilter.json");
+const viewSchema = require("../schemas/view.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 
 const router = new express.Router();
 
 
+/** Middleware: the job id in the URL must be an integer.
+ *
+ * If not, raises BadRequest.
+ */
+
+function ensureIntegerId(req, res, next) {
+    if (!Number.isInteger(+req.params.id)) {
+        throw new BadRequestError("id must be an integer");
+    }
+    return next();
+}
+
+
+/** return the handle of the company that the job in the URL belongs to.
+ *
+ * Throws NotFoundError if no such job.
+ */
+
+async function jobCompanyHandle(req) {
+    const job = await Job.get(req.params.id);
+    return job.companyHandle;
+}
+
+
+/** Middleware: let through only those who may manage the job in the URL
+ * (jobs:write permission, or member of its company). */
+
+const ensureJobManager = requirePermissionOrMember("jobs:write", jobCompanyHandle);
+
+
+/** Middleware: the job in the URL is not found if it's a draft or paused,
+ * unless they may manage it (see ensureJobManager).
+ *
+ * Throws NotFoundError if no such job.
+ */
+
+async function ensureJobListed(req, res, next) {
+    // only admins, who may manage any job, can ask for deleted jobs
+    if (req.query.includeDeleted === "true") return next();
+
+    const job = await Job.get(req.params.id);
+    if (job.status === "open" || job.status === "closed") return next();
+
+    return ensureJobManager(req, res, function (err) {
+        return next(err && new NotFoundError(`No job id: ${req.params.id}`));
+    });
+}
+
+
+/** return a route handler that moves the job in the URL to status (see
+ * Job.updateStatus) and responds with { job }. */
+
+function statusChanger(status) {
+    return async function (req, res, next) {
+        const before = await Job.get(req.params.id);
+        const job = await Job.updateStatus(req.params.id, status);
+        await audit(res, {
+            action: "update",
+            entityType: "job",
+            entityId: job.id,
+            before,
+            after: job,
+        });
+        return res.json({ job });
+    };
+}
+
+
 /** POST / { job } =>  { job }
  *
- * input job should be { title, salary, equity, company_handle }
+ * input job should be { title, salary, equity, company_handle, status, closesAt }
+ *   status is "open" (the default) or "draft"; closesAt (optional) is when
+ *   the job closes, in the future
  *
- * Returns { id, title, salary, equity, company_handle }
+ * Returns { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
  *
- * Authorization required: isAdmin 
+ * Authorization required: jobs:write permission, or member of the company
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermissionOrMember("jobs:write", req => req.body.companyHandle), async function (req, res, next) {
     const validator = jsonschema.validate(req.body, jobNewSchema);
     if (!validator.valid) {
         const errs = validator.errors.map(e => e.stack);
@@ -35,75 +119,86 @@ router.post("/", ensureAdmin, async function (req, res, next) {
     }
 
     const job = await Job.create(req.body);
+    await audit(res, {
+        action: "create",
+        entityType: "job",
+        entityId: job.id,
+        after: job,
+    });
     return res.status(201).json({ job });
 });
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, company_handle }, ...] }
+ *   { jobs: [ { id, title, salary, equity, company_handle, status, postedAt,
+ *               closesAt, updatedAt }, ...], next, total }
+ *
+ * Only lists open jobs, unless an admin filters on status, like
+ * status[in]=draft,paused.
  *
  * Can filter on provided search filters:
+ * - q (full-text search of title and company name; see Job.filterSearch)
  * - title (will find case-insensitive, partial matches)
- * - minSalary
- * - hasEquity
+ * - salary, or minSalary and maxSalary
+ * - hasSalary (true or false)
+ * - hasEquity (true or false), equity, or minEquity and maxEquity
+ * - companyHandle (can be given more than once, for jobs at any of them)
+ * - companyNumEmployees, or companyMinEmployees and companyMaxEmployees
+ *
+ * A filter can also be given an operator, like salary[gte]=50000 or
+ * companyHandle[in]=c1,c2 (see sqlForFilters and Job's FILTER_FIELDS).
  *
- * Authorization required: none
+ * fields (like "id,title") limits the fields of each job returned;
+ * include=company adds each job's company, as for GET /[id].
+ * includeDeleted=true lists deleted jobs too, each with deletedAt.
+ *
+ * Can sort on id, title, salary, equity and companyHandle: sort is a list of
+ * fields like "-salary,title", "-" for descending; by default, by id. Jobs
+ * without a salary or equity come last. With q, jobs also have rank and
+ * snippet, and are by default sorted best match (-rank) first.
+ *
+ * Jobs come a page at a time: limit (1 to 100; default 20) per page,
+ * starting after cursor, which is the next from the page before (with the
+ * same sort). next is null on the last page; total counts jobs on all
+ * pages.
+ *
+ * Authorization required: none; admin (not with an API key) to filter on
+ * status or for includeDeleted
  */
 
-router.get("/", async function (req, res, next) {
-
-    //simple case no filtering
-    if (Object.keys(req.query).length === 0) {
-        const jobs = await Job.findAll();
-        return res.json({ jobs });
-    }
-
-    const validator = jsonschema.validate(req.query, jobFilterSchema);
-
-    if (!validator.valid) {
-        const errs = validator.errors.map(e => e.stack);
-        throw new BadRequestError(errs);
-    }
-
-    const { title, minSalary, hasEquity } = req.query;
-
-    let searchTerms = {};
-
-    if (title) {
-        searchTerms["title"] = title;
-    }
-    if (minSalary) {
-        if (Number(minSalary) && Number(minSalary) > 0) {
-            searchTerms["minSalary"] = Number(minSalary);
-        } else {
-            throw new BadRequestError("minSalary must be a number");
-        }
+router.get("/", ensureAdminToIncludeDeleted, async function (req, res, next) {
+    const { limit, cursor, sort, fields, include, includeDeleted, ...searchTerms } =
+        parseQuery(req.query, jobFilterSchema);
+    const user = res.locals.user;
+    if (searchTerms.status !== undefined && (user?.isAdmin !== true || user.apiKey)) {
+        throw new UnauthorizedError();
     }
-    if (hasEquity) {
-
-        if (hasEquity === "true" || hasEquity === "false") {
-            searchTerms["hasEquity"] = hasEquity;
-        } else {
-            throw new BadRequestError("hasEquity must be a boolean");
-        }
-    }
-
-    const jobs = await Job.filterSearch(searchTerms);
-    return res.json({ jobs });
-
-
 
+    return res.json(await Job.filterSearch(
+        searchTerms,
+        { limit, cursor, sort },
+        parseView({ fields, include, includeDeleted })));
 });
 
 
 /** GET /[id]  =>  { job }
  *
- *  job is { id, title, salary, equity, company_handle  }
- *  
- * Authorization required: none
+ *  job is { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
+ *
+ * Draft and paused jobs are only found by those who may manage them.
+ *
+ * fields (like "id,title") limits the job's fields returned;
+ * include=company adds its company
+ *   { handle, name, description, numEmployees, logoUrl }
+ * includeDeleted=true finds it even if deleted, with deletedAt.
+ *
+ * Authorization required: none; jobs:write permission or member of the
+ * job's company for draft and paused jobs; admin for includeDeleted
  */
 
-router.get("/:id", async function (req, res, next) {
-    const job = await Job.get(req.params.id);
+router.get("/:id", ensureIntegerId, ensureAdminToIncludeDeleted, ensureJobListed, async function (req, res, next) {
+    const view = parseView(parseQuery(req.query, viewSchema));
+    const job = await Job.get(req.params.id, view);
     return res.json({ job });
 });
 
@@ -113,14 +208,20 @@ router.get("/:id", async function (req, res, next) {
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity }
+ * fields can be: { title, salary, equity, closesAt }
+ *   (closesAt in the future, or null for none; status is changed with
+ *   POST /[id]/open, /pause and /close)
  *
- * Returns { id, title, salary, equity, company_handle }
+ * Returns { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
  *
- * Authorization required:  isAdmin 
+ * The change is kept as a revision (see GET /[id]/revisions).
+ *
+ * Authorization required: jobs:write permission, or member of the job's
+ * company
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), async function (req, res, next) {
     // console.log("hit patch route")
     const validator = jsonschema.validate(req.body, jobUpdateSchema);
     if (!validator.valid) {
@@ -128,19 +229,139 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
         throw new BadRequestError(errs);
     }
 
+    const before = await Job.get(req.params.id);
     const job = await Job.update(req.params.id, req.body);
+    await Revision.record({
+        entityType: "job",
+        entityId: job.id,
+        author: res.locals.user.username,
+        before,
+        after: job,
+    });
+    await audit(res, {
+        action: "update",
+        entityType: "job",
+        entityId: job.id,
+        before,
+        after: job,
+    });
+    return res.json({ job });
+});
+
+/** GET /[id]/revisions  =>
+ *   { revisions: [{ id, author, createdAt, changes }, ...] }
+ *
+ * Returns the changes made to the job with PATCH, newest first; changes is
+ * { field: { from, to }, ... } of the fields each one changed.
+ *
+ * Authorization required: jobs:write permission, or member of the job's
+ * company
+ */
+
+router.get("/:id/revisions", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), async function (req, res, next) {
+    const job = await Job.get(req.params.id);
+    const revisions = await Revision.findAll("job", job.id);
+    return res.json({ revisions });
+});
+
+/** POST /[id]/revisions/[revisionId]/revert  =>  { job }
+ *
+ * Sets the job's title, salary, equity and closesAt back to how they were
+ * after the revision; this is kept as a new revision. A closesAt that has
+ * since passed can't be reverted to.
+ *
+ * Returns { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
+ *
+ * Authorization required: admin
+ */
+
+router.post("/:id/revisions/:revisionId/revert", ensureIntegerId, ensureAdmin, async function (req, res, next) {
+    const revisionId = +req.params.revisionId;
+    if (!Number.isInteger(revisionId)) {
+        throw new BadRequestError("revisionId must be an integer");
+    }
+
+    const before = await Job.get(req.params.id);
+    const revision = await Revision.get("job", before.id, revisionId);
+    const job = await Job.update(before.id, revision.after);
+    await Revision.record({
+        entityType: "job",
+        entityId: job.id,
+        author: res.locals.user.username,
+        before,
+        after: job,
+    });
+    await audit(res, {
+        action: "update",
+        entityType: "job",
+        entityId: job.id,
+        before,
+        after: job,
+    });
     return res.json({ job });
 });
 
+/** POST /[id]/open, POST /[id]/pause, POST /[id]/close  =>  { job }
+ *
+ * Moves the job to open, paused or closed. Drafts and paused jobs can be
+ * opened, open jobs paused, and any job but a closed one closed; jobs also
+ * close by themselves once their closesAt passes. A job is posted
+ * (postedAt) when first opened.
+ *
+ * Returns { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
+ *
+ * Authorization required: jobs:write permission, or member of the job's
+ * company
+ */
+
+router.post("/:id/open", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), statusChanger("open"));
+router.post("/:id/pause", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), statusChanger("paused"));
+router.post("/:id/close", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), statusChanger("closed"));
+
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: isAdmin 
+ * Deletes the job until restored, or purged once DELETED_RETENTION has
+ * passed (see purge.js).
+ *
+ * Authorization: jobs:write permission, or member of the job's company
  */
 
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", ensureIntegerId, requirePermissionOrMember("jobs:write", jobCompanyHandle), async function (req, res, next) {
+    const before = await Job.get(req.params.id);
     await Job.remove(req.params.id);
+    await audit(res, {
+        action: "delete",
+        entityType: "job",
+        entityId: before.id,
+        before,
+    });
     return res.json({ deleted: req.params.id });
 });
 
+/** POST /[id]/restore  =>  { job }
+ *
+ * Restores a deleted job; its company mustn't be deleted.
+ *
+ * Returns { id, title, salary, equity, company_handle, status, postedAt,
+ *           closesAt, updatedAt }
+ *
+ * Authorization: admin
+ */
+
+router.post("/:id/restore", ensureIntegerId, ensureAdmin, async function (req, res, next) {
+    const before = await Job.get(req.params.id, { includeDeleted: true });
+    const job = await Job.restore(req.params.id);
+    await audit(res, {
+        action: "update",
+        entityType: "job",
+        entityId: job.id,
+        before,
+        after: job,
+    });
+    return res.json({ job });
+});
+
 
 module.exports = router;
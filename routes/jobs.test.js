@@ -15,8 +15,18 @@ const {
 } = require("./_testCommon");
 
 const Job = require("../models/job")
+const Role = require("../models/role")
+const CompanyMember = require("../models/companyMember")
 let jobId1;
 
+// the status and dates of a job just made open
+const lifecycle = {
+    status: "open",
+    postedAt: expect.any(String),
+    closesAt: null,
+    updatedAt: expect.any(String),
+};
+
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 beforeEach(async function () {
@@ -72,7 +82,8 @@ describe("POST /jobs", function () {
                 title: "new-job",
                 salary: 1000,
                 equity: "0.005",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                ...lifecycle,
             }
         });
 
@@ -88,6 +99,42 @@ describe("POST /jobs", function () {
         });
     });
 
+    test("ok for recruiters", async function () {
+        await Role.assign("u1", "recruiter");
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(201);
+    });
+
+    test("ok for members of the company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(201);
+    });
+
+    test("unauthorized for members of another company", async function () {
+        await CompanyMember.add("c2", { username: "u1", role: "owner" });
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("unauthorized for auditors", async function () {
+        await Role.assign("u1", "auditor");
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
     test("unauthorized for non-admin users", async function () {
         const resp = await request(app)
             .post("/jobs")
@@ -151,6 +198,31 @@ describe("POST /jobs", function () {
             }
         })
     });
+
+    test("works: as a draft, with a closing date", async function () {
+        const closesAt = new Date(Date.now() + 86400000).toISOString();
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, status: "draft", closesAt })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job).toEqual(expect.objectContaining(
+            { status: "draft", postedAt: null, closesAt }));
+    });
+
+    test("bad request for other statuses or a past closing date", async function () {
+        const closed = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, status: "closed" })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(closed.statusCode).toEqual(400);
+        const late = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, closesAt: "2000-01-01T00:00:00Z" })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(late.statusCode).toEqual(400);
+        expect(late.body.error.message).toEqual("closesAt must be in the future");
+    });
 });
 
 /************************************** GET /jobs without filter */
@@ -165,24 +237,29 @@ describe("GET /jobs", function () {
                     title: 'testJob1',
                     salary: 1000,
                     equity: "0",
-                    companyHandle: 'c1'
+                    companyHandle: 'c1',
+                    ...lifecycle,
                 },
                 {
                     id: expect.any(Number),
                     title: 'testJob2',
                     salary: 2000,
                     equity: "0.002",
-                    companyHandle: 'c2'
+                    companyHandle: 'c2',
+                    ...lifecycle,
                 },
                 {
                     id: expect.any(Number),
                     title: 'testJob3',
                     salary: 3000,
                     equity: null,
-                    companyHandle: 'c3'
+                    companyHandle: 'c3',
+                    ...lifecycle,
                 }
 
-            ]
+            ],
+            next: null,
+            total: 3,
         });
     });
 
@@ -198,6 +275,92 @@ describe("GET /jobs", function () {
     });
 });
 
+/*********************************** GET /jobs, paginated  */
+
+describe("GET /jobs, paginated", function () {
+    test("works: pages through with next", async function () {
+        const resp1 = await request(app).get("/jobs?limit=2");
+        expect(resp1.body.jobs.map(j => j.title))
+            .toEqual(["testJob1", "testJob2"]);
+        expect(resp1.body.total).toEqual(3);
+
+        const resp2 = await request(app)
+            .get("/jobs")
+            .query({ limit: 2, cursor: resp1.body.next });
+        expect(resp2.body.jobs.map(j => j.title)).toEqual(["testJob3"]);
+        expect(resp2.body.next).toBeNull();
+    });
+
+    test("works: with filters", async function () {
+        const resp1 = await request(app).get("/jobs?title=job&minSalary=1500&limit=1");
+        expect(resp1.body.jobs.map(j => j.title)).toEqual(["testJob2"]);
+        expect(resp1.body.total).toEqual(2);
+
+        const resp2 = await request(app)
+            .get("/jobs")
+            .query({ title: "job", minSalary: 1500, limit: 1, cursor: resp1.body.next });
+        expect(resp2.body.jobs.map(j => j.title)).toEqual(["testJob3"]);
+        expect(resp2.body.next).toBeNull();
+    });
+
+    test("bad request for bad cursor", async function () {
+        const resp = await request(app).get("/jobs?cursor=nope");
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("bad request for a cursor with keys of the wrong type", async function () {
+        const cursor = Buffer.from(JSON.stringify(["x"])).toString("base64url");
+        const resp = await request(app).get("/jobs").query({ cursor });
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual("Invalid cursor");
+    });
+});
+
+/*********************************** GET /jobs, sorted  */
+
+describe("GET /jobs, sorted", function () {
+    test("works", async function () {
+        const resp = await request(app).get("/jobs?sort=-salary,title");
+        expect(resp.body.jobs.map(j => j.title))
+            .toEqual(["testJob3", "testJob2", "testJob1"]);
+    });
+
+    test("works: with filters and pages", async function () {
+        const resp1 = await request(app).get("/jobs?title=job&sort=-salary&limit=2");
+        expect(resp1.body.jobs.map(j => j.title))
+            .toEqual(["testJob3", "testJob2"]);
+
+        const resp2 = await request(app)
+            .get("/jobs")
+            .query({ title: "job", sort: "-salary", limit: 2, cursor: resp1.body.next });
+        expect(resp2.body.jobs.map(j => j.title)).toEqual(["testJob1"]);
+        expect(resp2.body.next).toBeNull();
+    });
+
+    test("bad request for unsortable field", async function () {
+        const resp = await request(app).get("/jobs?sort=-color");
+        expect(resp.statusCode).toEqual(400);
+    });
+});
+
+/*********************************** GET /jobs, searched  */
+
+describe("GET /jobs, searched", function () {
+    test("works", async function () {
+        const resp = await request(app).get("/jobs?q=testJob2");
+        expect(resp.body.jobs).toEqual([{
+            id: expect.any(Number),
+            title: "testJob2",
+            salary: 2000,
+            equity: "0.002",
+            companyHandle: "c2",
+            ...lifecycle,
+            rank: expect.any(Number),
+            snippet: "<b>testJob2</b> at C2",
+        }]);
+    });
+});
+
 /*********************************** GET /jobs with filters  */
 describe("GET /jobs with filters", function () {
 
@@ -210,9 +373,12 @@ describe("GET /jobs with filters", function () {
                     title: 'testJob2',
                     salary: 2000,
                     equity: "0.002",
-                    companyHandle: 'c2'
+                    companyHandle: 'c2',
+                    ...lifecycle,
                 }
-            ]
+            ],
+            next: null,
+            total: 1,
         });
     });
 
@@ -225,23 +391,20 @@ describe("GET /jobs with filters", function () {
                     title: 'testJob1',
                     salary: 1000,
                     equity: "0",
-                    companyHandle: 'c1'
-                },
-                {
-                    id: expect.any(Number),
-                    title: 'testJob2',
-                    salary: 2000,
-                    equity: "0.002",
-                    companyHandle: 'c2'
+                    companyHandle: 'c1',
+                    ...lifecycle,
                 },
                 {
                     id: expect.any(Number),
                     title: 'testJob3',
                     salary: 3000,
                     equity: null,
-                    companyHandle: 'c3'
+                    companyHandle: 'c3',
+                    ...lifecycle,
                 }
-            ]
+            ],
+            next: null,
+            total: 2,
         });
     });
 
@@ -254,9 +417,12 @@ describe("GET /jobs with filters", function () {
                     title: 'testJob2',
                     salary: 2000,
                     equity: "0.002",
-                    companyHandle: 'c2'
+                    companyHandle: 'c2',
+                    ...lifecycle,
                 }
-            ]
+            ],
+            next: null,
+            total: 1,
         });
     });
 
@@ -264,7 +430,7 @@ describe("GET /jobs with filters", function () {
         const resp = await request(app).get("/jobs?minSalary=onemillion");
         expect(resp.body).toEqual({
             error: {
-                message: "minSalary must be a number",
+                message: "minSalary must be an integer",
                 status: 400
             }
         });
@@ -280,11 +446,68 @@ describe("GET /jobs with filters", function () {
         });
     });
 
+    test("ok for anon with salary and equity ranges", async function () {
+        const resp = await request(app)
+            .get("/jobs?minSalary=1000&maxSalary=2000&minEquity=0.001&maxEquity=0.5");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["testJob2"]);
+    });
+
+    test("ok for anon with hasSalary filter", async function () {
+        await db.query("UPDATE jobs SET salary = NULL WHERE id = $1", [jobId1]);
+        const withSalary = await request(app).get("/jobs?hasSalary=true");
+        expect(withSalary.body.jobs.map(j => j.title))
+            .toEqual(["testJob2", "testJob3"]);
+        const withoutSalary = await request(app).get("/jobs?hasSalary=false");
+        expect(withoutSalary.body.jobs.map(j => j.title)).toEqual(["testJob1"]);
+    });
+
+    test("ok for anon with one or more companyHandle", async function () {
+        const one = await request(app).get("/jobs?companyHandle=c2");
+        expect(one.body.jobs.map(j => j.title)).toEqual(["testJob2"]);
+        const two = await request(app).get("/jobs?companyHandle=c1&companyHandle=c3");
+        expect(two.body.jobs.map(j => j.title)).toEqual(["testJob1", "testJob3"]);
+    });
+
+    test("ok for anon with company size filters", async function () {
+        const resp = await request(app)
+            .get("/jobs?companyMinEmployees=2&companyMaxEmployees=2");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["testJob2"]);
+    });
+
+    test("ok for anon with a min of 0", async function () {
+        const resp = await request(app).get("/jobs?minSalary=0&companyMinEmployees=0");
+        expect(resp.body.total).toEqual(3);
+    });
+
+    test("ok for anon with operators", async function () {
+        const resp = await request(app)
+            .get("/jobs?salary[gte]=1500&companyHandle[in]=c1,c2,c3&title[like]=job");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["testJob2", "testJob3"]);
+    });
+
+    test("bad request for an operator a field can't use", async function () {
+        const resp = await request(app).get("/jobs?title[gte]=a");
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual("Can't filter on title with gte");
+    });
+
+    test("bad request for a min more than its max", async function () {
+        const resp = await request(app).get("/jobs?minSalary=2000&maxSalary=1000");
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message)
+            .toEqual("maxSalary must not be less than minSalary");
+    });
+
+    test("bad request for equity over 1", async function () {
+        const resp = await request(app).get("/jobs?minEquity=2");
+        expect(resp.statusCode).toEqual(400);
+    });
+
     test("bad req for passing in extra filters", async function () {
         const resp = await request(app).get("/jobs?title=job&color=red");
         expect(resp.body).toEqual({
             error: {
-                message: ["instance is not allowed to have the additional property \"color\""],
+                message: "Can't filter on color",
                 status: 400
             }
         });
@@ -302,11 +525,35 @@ describe("GET /jobs/:id", function () {
                 title: 'testJob1',
                 salary: 1000,
                 equity: "0",
-                companyHandle: 'c1'
+                companyHandle: 'c1',
+                ...lifecycle,
             }
         });
     });
 
+    test("ok for anon with include=company", async function () {
+        const resp = await request(app).get(`/jobs/${jobId1}?include=company`);
+        expect(resp.body.job.company).toEqual({
+            handle: "c1",
+            name: "C1",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+        });
+    });
+
+    test("ok for anon with fields", async function () {
+        const resp = await request(app).get(`/jobs/${jobId1}?fields=id,title`);
+        expect(resp.body).toEqual({ job: { id: jobId1, title: "testJob1" } });
+    });
+
+    test("bad request for unknown field or query param", async function () {
+        const resp1 = await request(app).get(`/jobs/${jobId1}?fields=nope`);
+        expect(resp1.statusCode).toEqual(400);
+        const resp2 = await request(app).get(`/jobs/${jobId1}?color=red`);
+        expect(resp2.statusCode).toEqual(400);
+    });
+
     test("not found for anon with invalid job id", async function () {
         const resp = await request(app).get("/jobs/9999999");
         expect(resp.body).toEqual({
@@ -316,6 +563,61 @@ describe("GET /jobs/:id", function () {
             }
         });
     });
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app).get("/jobs/abc");
+        expect(resp.statusCode).toEqual(400);
+    });
+});
+
+describe("GET /jobs/:id, draft and paused", function () {
+    let draftId;
+
+    beforeEach(async function () {
+        const draft = await Job.create({
+            title: "draftJob",
+            salary: 1000,
+            equity: 0,
+            companyHandle: "c1",
+            status: "draft",
+        });
+        draftId = draft.id;
+        await Job.updateStatus(jobId1, "paused");
+    });
+
+    test("not found for anon and other users", async function () {
+        for (const id of [draftId, jobId1]) {
+            const anonResp = await request(app).get(`/jobs/${id}`);
+            expect(anonResp.statusCode).toEqual(404);
+
+            const userResp = await request(app)
+                .get(`/jobs/${id}`)
+                .set("authorization", `Bearer ${u1Token}`);
+            expect(userResp.statusCode).toEqual(404);
+            expect(userResp.body.error.message).toEqual(`No job id: ${id}`);
+        }
+    });
+
+    test("ok for admin", async function () {
+        const resp = await request(app)
+            .get(`/jobs/${draftId}`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body.job.status).toEqual("draft");
+    });
+
+    test("ok for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .get(`/jobs/${jobId1}?fields=id`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body).toEqual({ job: { id: jobId1 } });
+    });
+
+    test("ok for anon once closed", async function () {
+        await Job.updateStatus(jobId1, "closed");
+        const resp = await request(app).get(`/jobs/${jobId1}`);
+        expect(resp.body.job.status).toEqual("closed");
+    });
 });
 
 /******************************************  GET /jobs/:id   */
@@ -335,7 +637,8 @@ describe("PATCH /jobs/:id", function () {
                 title: "new-job",
                 salary: 9999999,
                 equity: "0",
-                companyHandle: 'c1'
+                companyHandle: 'c1',
+                ...lifecycle,
             }
         });
 
@@ -346,7 +649,8 @@ describe("PATCH /jobs/:id", function () {
                 title: "new-job",
                 salary: 9999999,
                 equity: "0",
-                companyHandle: 'c1'
+                companyHandle: 'c1',
+                ...lifecycle,
             }
         });
     });
@@ -368,6 +672,41 @@ describe("PATCH /jobs/:id", function () {
         });
     });
 
+    test("ok for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .patch(`/jobs/${jobId1}`)
+            .send({ title: "new-job" })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body.job.title).toEqual("new-job");
+    });
+
+    test("unauthorized for members of another company", async function () {
+        await CompanyMember.add("c2", { username: "u1", role: "owner" });
+        const resp = await request(app)
+            .patch(`/jobs/${jobId1}`)
+            .send({ title: "new-job" })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("not found for members if no such job", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .patch(`/jobs/0`)
+            .send({ title: "new-job" })
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app)
+            .patch(`/jobs/abc`)
+            .send({ title: "new-job" })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
     test("bad request for admin with invalid data", async function () {
         const resp = await request(app)
             .patch(`/jobs/${jobId1}`)
@@ -406,6 +745,96 @@ describe("PATCH /jobs/:id", function () {
 
 });
 
+/******************************************  POST /jobs/:id/open, pause, close */
+describe("POST /jobs/:id/open, pause, close", function () {
+    test("ok for admin", async function () {
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/pause`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body.job).toEqual(expect.objectContaining(
+            { id: jobId1, status: "paused" }));
+
+        const resp2 = await request(app)
+            .post(`/jobs/${jobId1}/open`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp2.body.job.status).toEqual("open");
+    });
+
+    test("ok for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/close`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body.job.status).toEqual("closed");
+    });
+
+    test("unauth for regular users", async function () {
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/close`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("bad request once closed", async function () {
+        await Job.updateStatus(jobId1, "closed");
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/open`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+        expect(resp.body.error.message).toEqual(
+            "Cannot change job from closed to open; no further changes allowed");
+    });
+
+    test("not found if no such job", async function () {
+        const resp = await request(app)
+            .post(`/jobs/0/open`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+
+    test("bad request for a non-integer id", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        for (const token of [u4AdminToken, u1Token]) {
+            for (const action of ["open", "pause", "close"]) {
+                const resp = await request(app)
+                    .post(`/jobs/abc/${action}`)
+                    .set("authorization", `Bearer ${token}`);
+                expect(resp.statusCode).toEqual(400);
+            }
+        }
+    });
+});
+
+/*********************************** GET /jobs, by status  */
+describe("GET /jobs, by status", function () {
+    beforeEach(async function () {
+        await Job.create({ title: "draft", companyHandle: "c1", status: "draft" });
+    });
+
+    test("lists only open jobs", async function () {
+        const resp = await request(app).get("/jobs");
+        expect(resp.body.jobs.map(j => j.title))
+            .toEqual(["testJob1", "testJob2", "testJob3"]);
+    });
+
+    test("ok for admin to filter on status", async function () {
+        const resp = await request(app)
+            .get("/jobs?status=draft")
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body.jobs).toEqual([expect.objectContaining(
+            { title: "draft", status: "draft", postedAt: null })]);
+    });
+
+    test("unauth for others to filter on status", async function () {
+        const resp = await request(app)
+            .get("/jobs?status=draft")
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+        const anonResp = await request(app).get("/jobs?status=open");
+        expect(anonResp.statusCode).toEqual(401);
+    });
+});
+
 /******************************************  DELETE /jobs/:id   */
 describe("DELETE /jobs:id", function () {
     test("ok for admin", async function () {
@@ -423,6 +852,21 @@ describe("DELETE /jobs:id", function () {
         })
     })
 
+    test("ok for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .delete(`/jobs/${jobId1}`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body).toEqual({ deleted: `${jobId1}` });
+    })
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app)
+            .delete(`/jobs/abc`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
     test("unauth for regular users", async function () {
         const resp = await request(app)
             .delete(`/jobs/${jobId1}`)
@@ -441,8 +885,199 @@ describe("DELETE /jobs:id", function () {
                 title: 'testJob1',
                 salary: 1000,
                 equity: "0",
-                companyHandle: 'c1'
+                companyHandle: 'c1',
+                ...lifecycle,
             }
         })
     })
-})
\ No newline at end of file
+})
+/******************************************  POST /jobs/:id/restore   */
+describe("POST /jobs/:id/restore", function () {
+    test("works for admins", async function () {
+        await Job.remove(jobId1);
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/restore`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body).toEqual({
+            job: {
+                id: jobId1,
+                title: "testJob1",
+                salary: 1000,
+                equity: "0",
+                companyHandle: "c1",
+                ...lifecycle,
+            }
+        });
+    });
+
+    test("unauth for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "owner" });
+        await Job.remove(jobId1);
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/restore`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("bad request if its company is deleted", async function () {
+        await request(app)
+            .delete(`/companies/c1`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/restore`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app)
+            .post(`/jobs/abc/restore`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+});
+
+/*********************************** GET /jobs, includeDeleted  */
+describe("GET /jobs, includeDeleted", function () {
+    beforeEach(async function () {
+        await Job.remove(jobId1);
+    });
+
+    test("deleted jobs are hidden", async function () {
+        const resp = await request(app).get("/jobs");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["testJob2", "testJob3"]);
+        const getResp = await request(app).get(`/jobs/${jobId1}`);
+        expect(getResp.statusCode).toEqual(404);
+    });
+
+    test("works for admins", async function () {
+        const resp = await request(app)
+            .get("/jobs?includeDeleted=true&fields=title,deletedAt")
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body.jobs).toEqual([
+            { title: "testJob1", deletedAt: expect.any(String) },
+            { title: "testJob2", deletedAt: null },
+            { title: "testJob3", deletedAt: null },
+        ]);
+        const getResp = await request(app)
+            .get(`/jobs/${jobId1}?includeDeleted=true`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(getResp.body.job.deletedAt).toEqual(expect.any(String));
+    });
+
+    test("unauth for others", async function () {
+        const resp = await request(app).get("/jobs?includeDeleted=true");
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("works for anon with includeDeleted=false", async function () {
+        const resp = await request(app).get("/jobs?includeDeleted=false");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["testJob2", "testJob3"]);
+    });
+
+    test("drafts stay hidden with includeDeleted=false", async function () {
+        const draft = await Job.create({ title: "draft", companyHandle: "c1", status: "draft" });
+        const resp = await request(app).get(`/jobs/${draft.id}?includeDeleted=false`);
+        expect(resp.statusCode).toEqual(404);
+    });
+});
+
+/******************************************  GET /jobs/:id/revisions   */
+describe("GET /jobs/:id/revisions", function () {
+    beforeEach(async function () {
+        await request(app)
+            .patch(`/jobs/${jobId1}`)
+            .send({ title: "New", salary: 2000 })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+    });
+
+    test("works for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "recruiter" });
+        const resp = await request(app)
+            .get(`/jobs/${jobId1}/revisions`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body).toEqual({
+            revisions: [{
+                id: expect.any(Number),
+                author: "u4admin",
+                createdAt: expect.any(String),
+                changes: {
+                    title: { from: "testJob1", to: "New" },
+                    salary: { from: 1000, to: 2000 },
+                },
+            }],
+        });
+    });
+
+    test("unauth for others", async function () {
+        const resp = await request(app)
+            .get(`/jobs/${jobId1}/revisions`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app)
+            .get(`/jobs/abc/revisions`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+});
+
+/******************************************  POST /jobs/:id/revisions/:revisionId/revert   */
+describe("POST /jobs/:id/revisions/:revisionId/revert", function () {
+    let revisionId;
+
+    beforeEach(async function () {
+        await request(app)
+            .patch(`/jobs/${jobId1}`)
+            .send({ title: "First" })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        await request(app)
+            .patch(`/jobs/${jobId1}`)
+            .send({ title: "Second", equity: 0.5 })
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        const resp = await request(app)
+            .get(`/jobs/${jobId1}/revisions`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        revisionId = resp.body.revisions[1].id;
+    });
+
+    test("works for admins", async function () {
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/revisions/${revisionId}/revert`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.body).toEqual({
+            job: {
+                id: jobId1,
+                title: "First",
+                salary: 1000,
+                equity: "0",
+                companyHandle: "c1",
+                ...lifecycle,
+            }
+        });
+    });
+
+    test("unauth for members of the job's company", async function () {
+        await CompanyMember.add("c1", { username: "u1", role: "owner" });
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/revisions/${revisionId}/revert`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
+    test("not found for no such revision", async function () {
+        const resp = await request(app)
+            .post(`/jobs/${jobId1}/revisions/0/revert`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(404);
+    });
+
+    test("bad request for a non-integer id", async function () {
+        const resp = await request(app)
+            .post(`/jobs/abc/revisions/${revisionId}/revert`)
+            .set("authorization", `Bearer ${u4AdminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+});
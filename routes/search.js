@@ -0,0 +1,46 @@
+"use strict";
+
+/** Routes for searching companies and jobs together. */
+
+const express = require("express");
+
+const Company = require("../models/company");
+const Job = require("../models/job");
+const { parseQuery } = require("../helpers/query");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=  =>
+ *   { companies: { results: [{ handle, name, description, numEmployees,
+ *                              logoUrl, rank, snippet }, ...],
+ *                  total },
+ *     jobs: { results: [{ id, title, salary, equity, companyHandle, rank,
+ *                         snippet }, ...],
+ *             total } }
+ *
+ * Full-text searches companies and jobs for q (see Company.filterSearch and
+ * Job.filterSearch), returning the best limit (1 to 100; default 20)
+ * matches of each, and how many there are in all. Page through the rest
+ * with q on GET /companies or GET /jobs.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  const { q, limit } = parseQuery(req.query, searchQuerySchema);
+  const page = { limit };
+
+  const companyRes = await Company.filterSearch({ q }, page);
+  const jobRes = await Job.filterSearch({ q }, page);
+
+  return res.json({
+    companies: { results: companyRes.companies, total: companyRes.total },
+    jobs: { results: jobRes.jobs, total: jobRes.total },
+  });
+});
+
+
+module.exports = router;
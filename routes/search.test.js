@@ -0,0 +1,64 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db.js");
+const app = require("../app");
+const Job = require("../models/job");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  beforeEach(async function () {
+    await db.query(
+      `UPDATE companies SET description = 'Hiring engineers' WHERE handle = 'c1'`);
+    await Job.create({ title: "Engineer", salary: 100, equity: "0", companyHandle: "c2" });
+    await Job.create({ title: "Engineer", salary: 100, equity: "0", companyHandle: "c3" });
+    await Job.create({ title: "Designer", salary: 100, equity: "0", companyHandle: "c3" });
+  });
+
+  test("works", async function () {
+    const resp = await request(app).get("/search?q=engineering");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.companies).toEqual({
+      results: [expect.objectContaining({
+        handle: "c1",
+        snippet: "Hiring <b>engineers</b>",
+      })],
+      total: 1,
+    });
+    expect(resp.body.jobs.total).toEqual(2);
+    expect(resp.body.jobs.results.map(j => j.companyHandle).sort())
+      .toEqual(["c2", "c3"]);
+  });
+
+  test("works: limit", async function () {
+    const resp = await request(app).get("/search?q=engineer&limit=1");
+    expect(resp.body.jobs.results.length).toEqual(1);
+    expect(resp.body.jobs.total).toEqual(2);
+  });
+
+  test("bad request for limit out of range or not an integer", async function () {
+    for (const limit of ["0", "101", "1.5", "abc"]) {
+      const resp = await request(app).get(`/search?q=engineer&limit=${limit}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
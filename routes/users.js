@@ -5,16 +5,59 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureAdmin, ensureUserOrAdmin } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureAdmin,
+  ensureAdminToIncludeDeleted,
+  ensureUserOrAdmin,
+  ensureCorrectUser,
+  requirePermission,
+} = require("../middleware/auth");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const Application = require("../models/application");
+const TwoFactor = require("../models/twoFactor");
+const LoginAttempt = require("../models/loginAttempt");
+const Role = require("../models/role");
+const ApiKey = require("../models/apiKey");
+const Impersonation = require("../models/impersonation");
+const {
+  createToken,
+  createImpersonationToken,
+} = require("../helpers/tokens");
+const { audit } = require("../helpers/audit");
+const { parseQuery } = require("../helpers/query");
+const { parseView } = require("../helpers/view");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userFilterSchema = require("../schemas/userFilter.json");
+const viewSchema = require("../schemas/view.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+
+/** states a candidate may move their own application to; others are
+ * recruiter decisions and need the applications:write permission. */
+const CANDIDATE_STATES = ["applied", "withdrawn"];
 
 const router = express.Router();
 
 
+/** return user's details for an audit snapshot, without their
+ * applications. */
+
+async function userSnapshot(username) {
+  return await User.get(username, { include: [] });
+}
+
+/** return an application for an audit snapshot, without its history. */
+
+async function applicationSnapshot(username, jobId) {
+  const { history, ...application } = await Application.get(username, jobId);
+  return application;
+}
+
+
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
@@ -24,47 +67,73 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
- * Authorization required: isAdmin
+ * Authorization required: users:write permission
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", requirePermission("users:write"), async function (req, res, next) {
   const validator = jsonschema.validate(req.body, userNewSchema);
   if (!validator.valid) {
     const errs = validator.errors.map(e => e.stack);
     throw new BadRequestError(errs);
   }
 
-  const user = await User.register(req.body);
-  const token = createToken(user);
+  const { tokenVersion, ...user } = await User.register(req.body);
+  await audit(res, {
+    action: "create",
+    entityType: "user",
+    entityId: user.username,
+    after: await userSnapshot(user.username),
+  });
+  const token = createToken({ ...user, tokenVersion });
   return res.status(201).json({ user, token });
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *             next, total }
+ *
+ * Returns list of all users, a page at a time: limit (1 to 100; default 20)
+ * per page, starting after cursor, which is the next from the page before.
+ * next is null on the last page; total counts users on all pages.
  *
- * Returns list of all users.
+ * Can filter on username, firstName, lastName, email and isAdmin, like
+ * ?lastName=smith or ?username[in]=u1,u2 (see sqlForFilters).
  *
- * Authorization required: isAdmin
+ * fields (like "username,email") limits the fields of each user returned;
+ * include can be applications and/or jobs, as for GET /[username].
+ * includeDeleted=true lists deleted users too, each with deletedAt.
+ *
+ * Authorization required: users:read permission; admin for includeDeleted
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
-  const users = await User.findAll();
-  return res.json({ users });
+router.get("/", requirePermission("users:read"), ensureAdminToIncludeDeleted, async function (req, res, next) {
+  const { limit, cursor, fields, include, includeDeleted, ...searchTerms } =
+    parseQuery(req.query, userFilterSchema);
+  return res.json(await User.filterSearch(
+    searchTerms,
+    { limit, cursor },
+    parseView({ fields, include, includeDeleted })));
 });
 
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, isAdmin, applications, jobs }
+ *   where applications is [jobId, ...]
+ *   and jobs is [{ id, title, companyHandle, companyName, state }, ...]
  *
- * Authorization required: current user or admin
+ * includeDeleted=true finds them even if deleted, with deletedAt.
+ *
+ * Authorization required: current user or users:read permission; admin for
+ * includeDeleted
  **/
 
-router.get("/:username", ensureUserOrAdmin, async function (req, res, next) {
+router.get("/:username", requirePermission("users:read", { allowSelf: true }), ensureAdminToIncludeDeleted, async function (req, res, next) {
 
   // console.log(res.locals, "res.locals")
 
-  const user = await User.get(req.params.username);
+  const view = parseView(parseQuery(req.query, viewSchema));
+  const user = await User.get(req.params.username, view);
   return res.json({ user });
 });
 
@@ -76,7 +145,8 @@ router.get("/:username", ensureUserOrAdmin, async function (req, res, next) {
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
- * Authorization required: current user or admin
+ * Authorization required: current user or admin; only the current user,
+ * logged in with a token (not an API key), can change their password
  **/
 
 router.patch("/:username", ensureUserOrAdmin, async function (req, res, next) {
@@ -87,7 +157,19 @@ router.patch("/:username", ensureUserOrAdmin, async function (req, res, next) {
     throw new BadRequestError(errs);
   }
 
-  const user = await User.update(req.params.username, req.body);
+  const { username } = req.params;
+  const before = await userSnapshot(username);
+  const user = await User.update(username, req.body);
+  const after = await userSnapshot(username);
+  // never store password hashes; just note that it changed
+  if (req.body.password) after.password = "(changed)";
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    before,
+    after,
+  });
   return res.json({ user });
 
 
@@ -96,13 +178,477 @@ router.patch("/:username", ensureUserOrAdmin, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: current user or admin
+ * Deletes the user until restored, or purged once DELETED_RETENTION has
+ * passed (see purge.js); they're logged out everywhere.
+ *
+ * Authorization required: current user or users:write permission
  **/
 
-router.delete("/:username", ensureUserOrAdmin, async function (req, res, next) {
+router.delete("/:username", requirePermission("users:write", { allowSelf: true }), async function (req, res, next) {
+  const before = await userSnapshot(req.params.username);
   await User.remove(req.params.username);
+  await audit(res, {
+    action: "delete",
+    entityType: "user",
+    entityId: req.params.username,
+    before,
+  });
   return res.json({ deleted: req.params.username });
 });
 
 
+/** POST /[username]/restore  =>  { user }
+ *
+ * Restores a deleted user; they can log in again.
+ *
+ * Returns { username, firstName, lastName, email, isAdmin }
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/restore", ensureAdmin, async function (req, res, next) {
+  const { username } = req.params;
+  const before = await User.get(username, { include: [], includeDeleted: true });
+  const user = await User.restore(username);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    before,
+    after: await userSnapshot(username),
+  });
+  return res.json({ user });
+});
+
+
+/** POST /[username]/revoke-sessions  =>  { revoked: username }
+ *
+ * Logs user out everywhere: every JWT and refresh token issued to them so
+ * far stops working.
+ *
+ * Authorization required: users:write permission
+ **/
+
+router.post("/:username/revoke-sessions", requirePermission("users:write"), async function (req, res, next) {
+  const { username } = req.params;
+  await User.revokeSessions(username);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    after: { username, sessions: "(revoked)" },
+  });
+  return res.json({ revoked: username });
+});
+
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Unlocks an account locked after too many failed logins, and clears its
+ * failed login count.
+ *
+ * Authorization required: users:write permission
+ **/
+
+router.post("/:username/unlock", requirePermission("users:write"), async function (req, res, next) {
+  const { username } = req.params;
+  await LoginAttempt.unlock(username, res.locals.user.username);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    after: { username, locked: false },
+  });
+  return res.json({ unlocked: username });
+});
+
+
+/** GET /[username]/lockouts  =>  { events: [{ id, eventType, username, ip,
+ *                                              actor, createdAt }, ...] }
+ *
+ * Returns the user's lockout and unlock history, newest first.
+ *
+ * Authorization required: security:read permission
+ **/
+
+router.get("/:username/lockouts", requirePermission("security:read"), async function (req, res, next) {
+  const events = await LoginAttempt.events({ username: req.params.username });
+  return res.json({ events });
+});
+
+
+/** POST /[username]/impersonate  =>  { token }
+ *
+ * Returns a short-lived token for acting as user (who can't be an admin).
+ * It can't be used to change user's password, set up two-factor auth or
+ * create API keys for them, and every request made with it is logged (see GET
+ * /[username]/impersonations); changes made with it are audited with the
+ * admin as impersonator.
+ *
+ * Authorization required: admin, logged in with their own token (not an
+ * API key or another impersonation token)
+ **/
+
+router.post("/:username/impersonate", ensureAdmin, async function (req, res, next) {
+  const admin = res.locals.user;
+  if (admin.apiKey || admin.impersonator) throw new UnauthorizedError();
+
+  const user = await Impersonation.start(admin.username, req.params.username);
+  const token = createImpersonationToken(user, admin);
+  return res.status(201).json({ token });
+});
+
+
+/** GET /[username]/impersonations  =>  { events: [{ id, impersonator, event,
+ *                                                  method, path, requestId,
+ *                                                  createdAt }, ...] }
+ *
+ * Returns when admins started impersonating user, and each request they
+ * made as user, newest first.
+ *
+ * Authorization required: security:read permission
+ **/
+
+router.get("/:username/impersonations", requirePermission("security:read"), async function (req, res, next) {
+  const events = await Impersonation.findAll(req.params.username);
+  return res.json({ events });
+});
+
+
+/** GET /[username]/roles  =>  { roles: [role, ...], permissions: [...] }
+ *
+ * Returns the roles assigned to user (everyone also has the candidate role)
+ * and the permissions they add up to.
+ *
+ * Authorization required: current user or users:read permission
+ **/
+
+router.get("/:username/roles", requirePermission("users:read", { allowSelf: true }), async function (req, res, next) {
+  const { username } = req.params;
+  const roles = await Role.getForUser(username);
+  const permissions = await Role.permissionsFor({
+    username,
+    isAdmin: roles.includes("admin"),
+  });
+  return res.json({ roles, permissions });
+});
+
+
+/** POST /[username]/roles/[role]  =>  { assigned: role }
+ *
+ * Gives user a role. Making a user admin logs them out everywhere.
+ *
+ * Authorization required: roles:write permission
+ **/
+
+router.post("/:username/roles/:role", requirePermission("roles:write"), async function (req, res, next) {
+  const { username, role } = req.params;
+  await Role.assign(username, role);
+  await audit(res, {
+    action: "create",
+    entityType: "userRole",
+    entityId: `${username}:${role}`,
+    after: { username, role },
+  });
+  return res.status(201).json({ assigned: role });
+});
+
+
+/** DELETE /[username]/roles/[role]  =>  { removed: role }
+ *
+ * Takes a role away from user.
+ *
+ * Authorization required: roles:write permission
+ **/
+
+router.delete("/:username/roles/:role", requirePermission("roles:write"), async function (req, res, next) {
+  const { username, role } = req.params;
+  await Role.remove(username, role);
+  await audit(res, {
+    action: "delete",
+    entityType: "userRole",
+    entityId: `${username}:${role}`,
+    before: { username, role },
+  });
+  return res.json({ removed: role });
+});
+
+
+/** POST /[username]/api-keys { name, scopes, expiresAt }  =>  { apiKey }
+ *
+ * Creates an API key, to send as an X-API-Key header (or as
+ * "Authorization: ApiKey <key>") instead of a token. scopes, a list of
+ * permissions like "jobs:write", limits what the key can do; expiresAt is
+ * an ISO date-time. Both are optional.
+ *
+ * Returns { id, name, prefix, scopes, createdAt, expiresAt, key }; the key
+ * is not shown again.
+ *
+ * With REQUIRE_ADMIN_2FA, admins must turn on two-factor auth first (403).
+ *
+ * Authorization required: current user, logged in with a token (not an
+ * API key, or an admin's impersonation token)
+ **/
+
+router.post("/:username/api-keys", ensureCorrectUser, async function (req, res, next) {
+  if (res.locals.user.apiKey || res.locals.user.impersonator) {
+    throw new UnauthorizedError();
+  }
+
+  const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const apiKey = await ApiKey.create(req.params.username, req.body);
+  const { key, ...after } = apiKey;
+  await audit(res, {
+    action: "create",
+    entityType: "apiKey",
+    entityId: apiKey.id,
+    after: { username: req.params.username, ...after },
+  });
+  return res.status(201).json({ apiKey });
+});
+
+
+/** GET /[username]/api-keys  =>  { apiKeys: [{ id, name, prefix, scopes,
+ *                                   createdAt, expiresAt, lastUsedAt,
+ *                                   revokedAt }, ...] }
+ *
+ * Authorization required: current user or admin
+ **/
+
+router.get("/:username/api-keys", ensureUserOrAdmin, async function (req, res, next) {
+  const apiKeys = await ApiKey.findAll(req.params.username);
+  return res.json({ apiKeys });
+});
+
+
+/** DELETE /[username]/api-keys/[id]  =>  { revoked: id }
+ *
+ * Revokes an API key; it stops working right away.
+ *
+ * Authorization required: current user or admin
+ **/
+
+router.delete("/:username/api-keys/:id", ensureUserOrAdmin, async function (req, res, next) {
+  const id = +req.params.id;
+  if (!Number.isInteger(id)) throw new BadRequestError("id must be an integer");
+
+  await ApiKey.revoke(req.params.username, id);
+  await audit(res, {
+    action: "delete",
+    entityType: "apiKey",
+    entityId: id,
+    before: { username: req.params.username, id },
+  });
+  return res.json({ revoked: id });
+});
+
+
+/** POST /[username]/2fa/setup  =>  { secret, otpauthUrl }
+ *
+ * Starts setting up two-factor auth: add the secret (or otpauthUrl, e.g. as
+ * a QR code) to an authenticator app, then confirm with a code from it.
+ *
+ * Authorization required: current user, logged in with a token (not an
+ * API key, or an admin's impersonation token)
+ **/
+
+router.post("/:username/2fa/setup", ensureCorrectUser, async function (req, res, next) {
+  if (res.locals.user.apiKey || res.locals.user.impersonator) {
+    throw new UnauthorizedError();
+  }
+
+  const result = await TwoFactor.setup(req.params.username);
+  return res.json(result);
+});
+
+
+/** POST /[username]/2fa/confirm { code }  =>  { recoveryCodes }
+ *
+ * Enables two-factor auth, given a code from the authenticator app.
+ * Returns single-use recovery codes; they are not shown again.
+ *
+ * Authorization required: current user, logged in with a token (not an
+ * API key, or an admin's impersonation token)
+ **/
+
+router.post("/:username/2fa/confirm", ensureCorrectUser, async function (req, res, next) {
+  if (res.locals.user.apiKey || res.locals.user.impersonator) {
+    throw new UnauthorizedError();
+  }
+
+  const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+  if (!req.body.code) throw new BadRequestError("code is required");
+
+  const { username } = req.params;
+  const result = await TwoFactor.enable(username, req.body.code);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    before: { username, twoFactorEnabled: false },
+    after: { username, twoFactorEnabled: true },
+  });
+  return res.json(result);
+});
+
+
+/** POST /[username]/2fa/disable { code }  =>  { disabled: username }
+ *
+ * Turns off two-factor auth. Users need a current code (or recovery code);
+ * admins can turn it off for other users who lost theirs.
+ *
+ * Authorization required: current user or admin
+ **/
+
+router.post("/:username/2fa/disable", ensureUserOrAdmin, async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = req.params;
+  if (res.locals.user.username === username) {
+    if (!req.body.code) throw new BadRequestError("code is required");
+    await TwoFactor.verify(username, req.body.code);
+  }
+
+  const wasEnabled = await TwoFactor.isEnabled(username);
+  await TwoFactor.disable(username);
+  await audit(res, {
+    action: "update",
+    entityType: "user",
+    entityId: username,
+    before: { username, twoFactorEnabled: wasEnabled },
+    after: { username, twoFactorEnabled: false },
+  });
+  return res.json({ disabled: username });
+});
+
+
+/** POST /[username]/jobs/[id] { state }  =>  { applied: jobId }
+ *
+ * Applies user to the job. Optional state is "interested" or "applied"
+ * (the default).
+ *
+ * Authorization required: current user or applications:write permission
+ **/
+
+router.post("/:username/jobs/:id", requirePermission("applications:write", { allowSelf: true }), async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, applicationNewSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { username } = req.params;
+  const jobId = +req.params.id;
+  if (!Number.isInteger(jobId)) throw new BadRequestError("id must be an integer");
+
+  await Application.apply(username, jobId, req.body.state);
+  await audit(res, {
+    action: "create",
+    entityType: "application",
+    entityId: `${username}:${jobId}`,
+    after: await applicationSnapshot(username, jobId),
+  });
+  return res.status(201).json({ applied: jobId });
+});
+
+
+/** GET /[username]/jobs/[id]  =>  { application }
+ *
+ * Returns { username, jobId, state, stateChangedAt, history }
+ *   where history is [{ fromState, toState, changedAt }, ...]
+ *
+ * Authorization required: current user or applications:read permission
+ **/
+
+router.get("/:username/jobs/:id", requirePermission("applications:read", { allowSelf: true }), async function (req, res, next) {
+  const jobId = +req.params.id;
+  if (!Number.isInteger(jobId)) throw new BadRequestError("id must be an integer");
+
+  const application = await Application.get(req.params.username, jobId);
+  return res.json({ application });
+});
+
+
+/** PATCH /[username]/jobs/[id] { state }  =>  { application }
+ *
+ * Moves the application to a new state. Illegal moves are a BadRequestError
+ * listing the states allowed from the current one.
+ *
+ * Returns { username, jobId, state, stateChangedAt }
+ *
+ * Authorization required: applications:write permission, or current user
+ * when moving to applied or withdrawn
+ **/
+
+router.patch("/:username/jobs/:id", requirePermission("applications:write", { allowSelf: true }), async function (req, res, next) {
+  const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+
+  const { state } = req.body;
+  if (!CANDIDATE_STATES.includes(state)) {
+    const permissions = await Role.permissionsFor(res.locals.user);
+    if (!permissions.includes("applications:write")) {
+      throw new UnauthorizedError();
+    }
+  }
+
+  const { username } = req.params;
+  const jobId = +req.params.id;
+  if (!Number.isInteger(jobId)) throw new BadRequestError("id must be an integer");
+
+  const before = await applicationSnapshot(username, jobId);
+  const application = await Application.updateState(username, jobId, state);
+  await audit(res, {
+    action: "update",
+    entityType: "application",
+    entityId: `${username}:${jobId}`,
+    before,
+    after: application,
+  });
+  return res.json({ application });
+});
+
+
+/** DELETE /[username]/jobs/[id]  =>  { withdrawn: jobId }
+ *
+ * Withdraws user's application to the job. It's kept, with its history, as
+ * withdrawn.
+ *
+ * Authorization required: current user or applications:write permission
+ **/
+
+router.delete("/:username/jobs/:id", requirePermission("applications:write", { allowSelf: true }), async function (req, res, next) {
+  const { username } = req.params;
+  const jobId = +req.params.id;
+  if (!Number.isInteger(jobId)) throw new BadRequestError("id must be an integer");
+
+  const before = await applicationSnapshot(username, jobId);
+  const application = await Application.withdraw(username, jobId);
+  await audit(res, {
+    action: "update",
+    entityType: "application",
+    entityId: `${username}:${jobId}`,
+    before,
+    after: application,
+  });
+  return res.json({ withdrawn: jobId });
+});
+
+
 module.exports = router;
@@ -5,6 +5,14 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Job = require("../models/job");
+const Application = require("../models/application");
+const TwoFactor = require("../models/twoFactor");
+const LoginAttempt = require("../models/loginAttempt");
+const Role = require("../models/role");
+const ApiKey = require("../models/apiKey");
+const config = require("../config");
+const { codeAt, timeStep } = require("../helpers/totp");
 
 const {
   commonBeforeAll,
@@ -16,8 +24,19 @@ const {
   u4AdminToken
 } = require("./_testCommon");
 
+let testJobId;
+
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
+beforeEach(async function () {
+  const job = await Job.create({
+    title: "testJob1",
+    salary: 1000,
+    equity: 0.001,
+    companyHandle: "c1",
+  });
+  testJobId = job.id;
+});
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
@@ -208,9 +227,48 @@ describe("GET /users", function () {
           isAdmin: true,
         }
       ],
+      next: null,
+      total: 4,
     });
   });
 
+  test("works: paginated", async function () {
+    const resp1 = await request(app)
+      .get("/users?limit=3")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp1.body.users.map(u => u.username)).toEqual(["u1", "u2", "u3"]);
+    expect(resp1.body.total).toEqual(4);
+
+    const resp2 = await request(app)
+      .get("/users")
+      .query({ limit: 3, cursor: resp1.body.next })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp2.body.users.map(u => u.username)).toEqual(["u4admin"]);
+    expect(resp2.body.next).toBeNull();
+  });
+
+  test("works: filtered", async function () {
+    const resp = await request(app)
+      .get("/users?isAdmin=false&username[in]=u1,u3,u4admin")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u1", "u3"]);
+    expect(resp.body.total).toEqual(2);
+  });
+
+  test("works: with a view", async function () {
+    const resp = await request(app)
+      .get("/users?fields=username&include=jobs&limit=1")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.users).toEqual([{ username: "u1", jobs: [] }]);
+  });
+
+  test("bad request for unknown query params", async function () {
+    const resp = await request(app)
+      .get("/users?color=red")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for non-admin users", async function () {
     const resp = await request(app)
       .get("/users")
@@ -261,11 +319,23 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
+        applications: [],
+        jobs: [],
       },
     });
   });
 
+  test("works with a view", async function () {
+    const resp = await request(app)
+      .get(`/users/u1?fields=username,email&include=applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      user: { username: "u1", email: "user1@user.com", applications: [] },
+    });
+  });
+
   test("works for admin", async function () {
     const resp = await request(app)
       .get(`/users/u1`)
@@ -276,7 +346,10 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
         isAdmin: false,
+        applications: [],
+        jobs: [],
       },
     });
   });
@@ -317,7 +390,7 @@ describe("GET /users/:username", function () {
     });
   });
 
-  test("not found if user not found with valid user token", async function () {
+  test("unauth with token of a deleted user", async function () {
     await db.query(`
     DELETE
     FROM users
@@ -326,13 +399,7 @@ describe("GET /users/:username", function () {
     const resp = await request(app)
       .get(`/users/u1`)
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(404);
-    expect(resp.statusCode).toEqual(404); expect(resp.body).toEqual({
-      error: {
-        message: "No user: u1",
-        status: 404
-      }
-    });
+    expect(resp.statusCode).toEqual(401);
   });
 });
 
@@ -429,7 +496,7 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("not found if no such user with valid user token", async function () {
+  test("unauth with token of a deleted user", async function () {
     await db.query(`
           DELETE
           FROM users
@@ -441,7 +508,7 @@ describe("PATCH /users/:username", () => {
         firstName: "Nope",
       })
       .set("authorization", `Bearer ${u1Token}`);
-    expect(resp.statusCode).toEqual(404);
+    expect(resp.statusCode).toEqual(401);
   });
 
 
@@ -485,6 +552,27 @@ describe("PATCH /users/:username", () => {
     expect(isSuccessful).toBeTruthy();
   });
 
+  test("old token stops working after password change", async function () {
+    await request(app)
+      .patch(`/users/u1`)
+      .send({
+        password: "new-password",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("demoted admin's token stops working", async function () {
+    await User.update("u4admin", { isAdmin: false });
+    const resp = await request(app)
+      .get(`/users`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("can't set password with admin token", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -529,7 +617,7 @@ describe("DELETE /users/:username", function () {
     const userRes = await db.query(
       `SELECT username
       FROM users
-      WHERE username = 'u1'`
+      WHERE username = 'u1' AND deleted_at IS NULL`
     );
     // console.log(userRes.rows, "rows")
     expect(userRes.rows).toEqual([]);
@@ -544,7 +632,7 @@ describe("DELETE /users/:username", function () {
     const userRes = await db.query(
       `SELECT username
       FROM users
-      WHERE username = 'u1'`
+      WHERE username = 'u1' AND deleted_at IS NULL`
     );
     expect(userRes.rows).toEqual([]);
   });
@@ -565,7 +653,7 @@ describe("DELETE /users/:username", function () {
     const userRes = await db.query(
       `SELECT username
       FROM users
-      WHERE username = 'u1'`
+      WHERE username = 'u1' AND deleted_at IS NULL`
     );
     expect(userRes.rows).toEqual([{ username: "u1" }]);
   });
@@ -595,7 +683,7 @@ describe("DELETE /users/:username", function () {
     });
   });
 
-  test("not found with valid token if user already deleted", async function () {
+  test("unauth with token of an already deleted user", async function () {
     await db.query(
       `DELETE
       FROM users
@@ -604,12 +692,957 @@ describe("DELETE /users/:username", function () {
     const resp = await request(app)
       .delete(`/users/u1`)
       .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/restore */
+
+describe("POST /users/:username/restore", function () {
+  test("works for admins", async function () {
+    await request(app)
+      .delete(`/users/u1`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        isAdmin: false,
+      },
+    });
+
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admins", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not deleted", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/restore`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users, includeDeleted */
+
+describe("GET /users, includeDeleted", function () {
+  beforeEach(async function () {
+    await request(app)
+      .delete(`/users/u2`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+  });
+
+  test("deleted users are hidden", async function () {
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.users.map(u => u.username)).not.toContain("u2");
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u2", password: "password2" });
+    expect(loginResp.statusCode).toEqual(401);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .get("/users?includeDeleted=true&username=u2&fields=username,deletedAt")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.users).toEqual(
+      [{ username: "u2", deletedAt: expect.any(String) }]);
+    const getResp = await request(app)
+      .get("/users/u2?includeDeleted=true&include=")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(getResp.body.user.deletedAt).toEqual(expect.any(String));
+  });
+
+  test("unauth for others", async function () {
+    await Role.assign("u1", "auditor");
+    const resp = await request(app)
+      .get("/users?includeDeleted=true")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/revoke-sessions */
+
+describe("POST /users/:username/revoke-sessions", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/revoke-sessions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({ revoked: "u1" });
+
+    const afterResp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(afterResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/revoke-sessions`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/revoke-sessions`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  async function lockU1() {
+    for (let i = 0; i < config.LOCKOUT_AFTER; i++) {
+      await LoginAttempt.recordFailure("u1", "1.1.1.1");
+    }
+  }
+
+  test("works for admins", async function () {
+    await lockU1();
+    const resp = await request(app)
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const loginResp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/unlock`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+      .post(`/users/nope/unlock`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
     expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/lockouts */
+
+describe("GET /users/:username/lockouts", function () {
+  test("works for admins", async function () {
+    for (let i = 0; i < config.LOCKOUT_AFTER; i++) {
+      await LoginAttempt.recordFailure("u1", "1.1.1.1");
+    }
+    await LoginAttempt.unlock("u1", "u4admin");
+
+    const resp = await request(app)
+      .get(`/users/u1/lockouts`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
     expect(resp.body).toEqual({
-      error: {
-        message: "No user: u1",
-        status: 404
-      }
+      events: [
+        {
+          id: expect.any(Number),
+          eventType: "unlock",
+          username: "u1",
+          ip: null,
+          actor: "u4admin",
+          createdAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          eventType: "lockout",
+          username: "u1",
+          ip: "1.1.1.1",
+          actor: null,
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("unauth for non-admin users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/lockouts`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/impersonate */
+
+describe("POST /users/:username/impersonate", function () {
+  async function impersonateU1() {
+    const resp = await request(app)
+      .post("/users/u1/impersonate")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    return resp.body.token;
+  }
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post("/users/u1/impersonate")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+
+    const me = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(me.statusCode).toEqual(200);
+    expect(me.body.user.username).toEqual("u1");
+  });
+
+  test("logs every request made with the token", async function () {
+    const token = await impersonateU1();
+    await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`)
+      .set("x-request-id", "req-imp");
+
+    const resp = await request(app)
+      .get("/users/u1/impersonations")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.events).toEqual([
+      {
+        id: expect.any(Number),
+        impersonator: "u4admin",
+        event: "request",
+        method: "GET",
+        path: "/users/u1",
+        requestId: "req-imp",
+        createdAt: expect.any(String),
+      },
+      {
+        id: expect.any(Number),
+        impersonator: "u4admin",
+        event: "start",
+        method: null,
+        path: null,
+        requestId: null,
+        createdAt: expect.any(String),
+      },
+    ]);
+  });
+
+  test("changes are audited with the admin as impersonator", async function () {
+    const token = await impersonateU1();
+    const resp = await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New" })
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const found = await db.query(
+      `SELECT actor, impersonator
+           FROM audit_log
+           WHERE entity_type = 'user' AND entity_id = 'u1'`);
+    expect(found.rows).toEqual([{ actor: "u1", impersonator: "u4admin" }]);
+  });
+
+  test("can't change password or create API keys", async function () {
+    const token = await impersonateU1();
+    const patchResp = await request(app)
+      .patch("/users/u1")
+      .send({ password: "new-password" })
+      .set("authorization", `Bearer ${token}`);
+    expect(patchResp.statusCode).toEqual(401);
+
+    const keyResp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "script" })
+      .set("authorization", `Bearer ${token}`);
+    expect(keyResp.statusCode).toEqual(401);
+  });
+
+  test("can't set up two-factor auth", async function () {
+    const token = await impersonateU1();
+    const setupResp = await request(app)
+      .post("/users/u1/2fa/setup")
+      .set("authorization", `Bearer ${token}`);
+    expect(setupResp.statusCode).toEqual(401);
+
+    const { secret } = await TwoFactor.setup("u1");
+    const confirmResp = await request(app)
+      .post("/users/u1/2fa/confirm")
+      .send({ code: codeAt(secret, timeStep()) })
+      .set("authorization", `Bearer ${token}`);
+    expect(confirmResp.statusCode).toEqual(401);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("can't impersonate again with the token", async function () {
+    const token = await impersonateU1();
+    const resp = await request(app)
+      .post("/users/u2/impersonate")
+      .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("token stops working when admin is logged out everywhere",
+    async function () {
+      const token = await impersonateU1();
+      await User.revokeSessions("u4admin");
+      const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    });
+
+  test("bad request for an admin", async function () {
+    await Role.assign("u1", "admin");
+    const resp = await request(app)
+      .post("/users/u1/impersonate")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post("/users/nope/impersonate")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/users/u2/impersonate")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username/impersonations */
+
+describe("GET /users/:username/impersonations", function () {
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+      .get("/users/u1/impersonations")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .get("/users/nope/impersonations")
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/roles */
+
+describe("GET /users/:username/roles", function () {
+  test("works for same user", async function () {
+    await Role.assign("u1", "auditor");
+    const resp = await request(app)
+      .get(`/users/u1/roles`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      roles: ["auditor"],
+      permissions: [
+        "applications:read",
+        "audit:read",
+        "security:read",
+        "users:read",
+      ],
     });
   });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/roles`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ assigned: "recruiter" });
+
+    const jobResp = await request(app)
+      .patch(`/jobs/${testJobId}`)
+      .send({ title: "retitled" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(jobResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for recruiters", async function () {
+    await Role.assign("u1", "recruiter");
+    const resp = await request(app)
+      .post(`/users/u1/roles/admin`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for unknown role", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/roles/nope`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admins", async function () {
+    await Role.assign("u1", "recruiter");
+    const resp = await request(app)
+      .delete(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({ removed: "recruiter" });
+    expect(await Role.getForUser("u1")).toEqual([]);
+  });
+
+  test("not found if user doesn't have role", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/roles/recruiter`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+describe("POST /users/:username/api-keys", function () {
+  test("works for same user; key can be used", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "script", scopes: ["users:read"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "script",
+        prefix: expect.any(String),
+        scopes: ["users:read"],
+        createdAt: expect.any(String),
+        expiresAt: null,
+        key: expect.any(String),
+      },
+    });
+
+    const getResp = await request(app)
+      .get(`/users/u1`)
+      .set("x-api-key", resp.body.apiKey.key);
+    expect(getResp.body.user.username).toEqual("u1");
+  });
+
+  test("unauth when using an API key", async function () {
+    const { key } = await ApiKey.create("u1", { name: "script" });
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "another" })
+      .set("authorization", `ApiKey ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden for admin without 2FA, with REQUIRE_ADMIN_2FA", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u4admin", password: "passwordadmin" });
+      const resp = await request(app)
+        .post(`/users/u4admin/api-keys`)
+        .send({ name: "script" })
+        .set("authorization", `Bearer ${loginResp.body.token}`);
+      expect(resp.statusCode).toEqual(403);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("unauth for admin on other user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "script" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/api-keys`)
+      .send({ name: "script", expiresAt: "tomorrow" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/api-keys", function () {
+  test("works for admins", async function () {
+    await ApiKey.create("u1", { name: "script" });
+    const resp = await request(app)
+      .get(`/users/u1/api-keys`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body.apiKeys.map(k => k.name)).toEqual(["script"]);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/api-keys`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works for same user", async function () {
+    const { id, key } = await ApiKey.create("u1", { name: "script" });
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const getResp = await request(app)
+      .get(`/users/u1`)
+      .set("x-api-key", key);
+    expect(getResp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such key", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("API keys with scopes", function () {
+  let u1Key;
+  let adminKey;
+
+  beforeEach(async function () {
+    ({ key: u1Key } = await ApiKey.create("u1", { name: "script", scopes: ["users:read"] }));
+    ({ key: adminKey } = await ApiKey.create("u4admin", { name: "script", scopes: ["users:read"] }));
+  });
+
+  test("work within their scopes", async function () {
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("x-api-key", u1Key);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth to change own password, with or without scopes", async function () {
+    const { key } = await ApiKey.create("u1", { name: "all" });
+    for (const k of [u1Key, key]) {
+      const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password", firstName: "New" })
+        .set("x-api-key", k);
+      expect(resp.statusCode).toEqual(401);
+    }
+    await expect(User.authenticate("u1", "password1")).resolves.toBeTruthy();
+  });
+
+  test("unauth to change email, with or without scopes", async function () {
+    const { key } = await ApiKey.create("u1", { name: "all" });
+    const { key: writeKey } = await ApiKey.create("u1", { name: "write", scopes: ["users:write"] });
+    for (const k of [key, writeKey]) {
+      const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ email: "new@email.com" })
+        .set("x-api-key", k);
+      expect(resp.statusCode).toEqual(401);
+    }
+    const user = await User.get("u1");
+    expect(user.email).toEqual("user1@user.com");
+
+    const okResp = await request(app)
+      .patch(`/users/u1`)
+      .send({ firstName: "New" })
+      .set("x-api-key", writeKey);
+    expect(okResp.statusCode).toEqual(200);
+  });
+
+  test("unauth for own user outside their scopes", async function () {
+    const patchResp = await request(app)
+      .patch(`/users/u1`)
+      .send({ firstName: "New" })
+      .set("x-api-key", u1Key);
+    expect(patchResp.statusCode).toEqual(401);
+
+    const applyResp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("x-api-key", u1Key);
+    expect(applyResp.statusCode).toEqual(401);
+
+    const deleteResp = await request(app)
+      .delete(`/users/u1`)
+      .set("x-api-key", u1Key);
+    expect(deleteResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for admins outside their scopes", async function () {
+    const patchResp = await request(app)
+      .patch(`/users/u2`)
+      .send({ email: "new@email.com" })
+      .set("x-api-key", adminKey);
+    expect(patchResp.statusCode).toEqual(401);
+
+    const jobsResp = await request(app)
+      .get(`/jobs`)
+      .query({ status: "draft" })
+      .set("x-api-key", adminKey);
+    expect(jobsResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for admin-only routes, with or without scopes", async function () {
+    const { key } = await ApiKey.create("u4admin", { name: "all" });
+    await User.remove("u2");
+    for (const k of [adminKey, key]) {
+      const resp = await request(app)
+        .post(`/users/u2/restore`)
+        .set("x-api-key", k);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("POST /users/:username/2fa", function () {
+  test("works: setup, confirm, disable", async function () {
+    const setupResp = await request(app)
+      .post(`/users/u1/2fa/setup`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(setupResp.body).toEqual({
+      secret: expect.any(String),
+      otpauthUrl: expect.any(String),
+    });
+    const { secret } = setupResp.body;
+
+    const confirmResp = await request(app)
+      .post(`/users/u1/2fa/confirm`)
+      .send({ code: codeAt(secret, timeStep() - 1) })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(confirmResp.body).toEqual({
+      recoveryCodes: expect.any(Array),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+
+    const disableResp = await request(app)
+      .post(`/users/u1/2fa/disable`)
+      .send({ code: codeAt(secret, timeStep()) })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(disableResp.body).toEqual({ disabled: "u1" });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("setup unauth for admin on other user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/2fa/setup`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("setup and confirm unauth for API keys, with or without scopes",
+    async function () {
+      const { key: scopedKey } = await ApiKey.create("u1", { name: "script", scopes: ["jobs:write"] });
+      const { key } = await ApiKey.create("u1", { name: "all" });
+      for (const k of [scopedKey, key]) {
+        const setupResp = await request(app)
+          .post(`/users/u1/2fa/setup`)
+          .set("x-api-key", k);
+        expect(setupResp.statusCode).toEqual(401);
+      }
+
+      const { secret } = await TwoFactor.setup("u1");
+      const confirmResp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: codeAt(secret, timeStep()) })
+        .set("x-api-key", key);
+      expect(confirmResp.statusCode).toEqual(401);
+      expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+    });
+
+  test("confirm bad request with wrong code", async function () {
+    await TwoFactor.setup("u1");
+    const resp = await request(app)
+      .post(`/users/u1/2fa/confirm`)
+      .send({ code: "000000" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("disable needs code from user", async function () {
+    const { secret } = await TwoFactor.setup("u1");
+    await TwoFactor.enable("u1", codeAt(secret, timeStep()));
+    const resp = await request(app)
+      .post(`/users/u1/2fa/disable`)
+      .send({ code: "000000" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+  });
+
+  test("disable works for admin without code", async function () {
+    const { secret } = await TwoFactor.setup("u1");
+    await TwoFactor.enable("u1", codeAt(secret, timeStep()));
+    const resp = await request(app)
+      .post(`/users/u1/2fa/disable`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for users with own user token", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: testJobId });
+
+    const user = await User.get("u1");
+    expect(user.applications).toEqual([testJobId]);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: testJobId });
+  });
+
+  test("unauth for other user with valid token", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body).toEqual({
+      error: {
+        message: "No job id: 0",
+        status: 404
+      }
+    });
+  });
+
+  test("bad request if already applied", async function () {
+    await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if id isn't an integer", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for users with own user token", async function () {
+    await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: testJobId });
+
+    const application = await Application.get("u1", testJobId);
+    expect(application.state).toEqual("withdrawn");
+    expect(application.history.map(h => h.toState))
+      .toEqual(["applied", "withdrawn"]);
+  });
+
+  test("bad request if already withdrawn", async function () {
+    await request(app)
+      .post(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .delete(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other user with valid token", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if id isn't an integer", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  beforeEach(async function () {
+    await Application.apply("u1", testJobId);
+  });
+
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobId,
+        state: "screening",
+        stateChangedAt: expect.any(String),
+      },
+    });
+
+    const user = await User.get("u1");
+    expect(user.jobs[0].state).toEqual("screening");
+  });
+
+  test("works for recruiters", async function () {
+    await Role.assign("u2", "recruiter");
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.application.state).toEqual("screening");
+  });
+
+  test("works for users withdrawing own application", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("unauth for users moving to recruiter states", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for illegal transition", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body).toEqual({
+      error: {
+        message: "Cannot change application from applied to accepted; " +
+          "allowed: screening, rejected, withdrawn",
+        status: 400
+      }
+    });
+  });
+
+  test("bad request if id isn't an integer", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/nope`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for unknown state", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${testJobId}`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${u4AdminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  test("works for users with own user token", async function () {
+    await Application.apply("u1", testJobId);
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobId,
+        state: "applied",
+        stateChangedAt: expect.any(String),
+        history: [
+          { fromState: null, toState: "applied", changedAt: expect.any(String) },
+        ],
+      },
+    });
+  });
+
+  test("not found if not applied", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/${testJobId}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if id isn't an integer", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
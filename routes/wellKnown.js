@@ -0,0 +1,27 @@
+"use strict";
+
+/** Routes for well-known metadata, at /.well-known. */
+
+const express = require("express");
+
+const { jwks } = require("../helpers/jwtKeys");
+
+const router = new express.Router();
+
+
+/** GET /jwks.json  =>  { keys: [{ kid, alg, use, kty, ... }, ...] }
+ *
+ * Returns the public keys Jobly's tokens may be signed with, as a JSON Web
+ * Key Set, so other services can verify them. Keys being rotated in appear
+ * here before they sign anything.
+ *
+ * Authorization required: none
+ */
+
+router.get("/jwks.json", function (req, res, next) {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(jwks());
+});
+
+
+module.exports = router;
@@ -0,0 +1,40 @@
+"use strict";
+
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+const app = require("../app");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /.well-known/jwks.json */
+
+describe("GET /.well-known/jwks.json", function () {
+  test("works: verifies our tokens", async function () {
+    const resp = await request(app).get("/.well-known/jwks.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["cache-control"]).toEqual("public, max-age=300");
+
+    const { kid } = jwt.decode(u1Token, { complete: true }).header;
+    const jwk = resp.body.keys.find(k => k.kid === kid);
+    expect(jwk).toEqual(expect.objectContaining({ alg: "ES256", use: "sig" }));
+    expect(jwk.d).toBeUndefined();
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    const payload = jwt.verify(u1Token,
+        publicKey.export({ type: "spki", format: "pem" }),
+        { algorithms: [jwk.alg] });
+    expect(payload.username).toEqual("u1");
+  });
+});
@@ -2,6 +2,10 @@
 
 const app = require("./app");
 const { PORT } = require("./config");
+const { signingKey } = require("./helpers/jwtKeys");
+
+// fail now, rather than at the first login, if the JWT keys are misconfigured
+signingKey();
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);